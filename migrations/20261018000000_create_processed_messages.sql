@@ -0,0 +1,25 @@
+-- Processed-message ledger of the notification worker (see src/services/ledger.js).
+-- One row per PubSub message id; a message is processed by one instance at a time.
+CREATE TABLE IF NOT EXISTS processed_messages (
+  message_id TEXT PRIMARY KEY,
+  trace_id TEXT,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  instance_id TEXT,
+  result JSONB,
+  error TEXT,
+  claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Notifications created per message, so a message that is reclaimed after a partial failure
+-- only creates (and emails) the notifications that are still missing
+CREATE TABLE IF NOT EXISTS processed_notifications (
+  message_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  document_key TEXT NOT NULL,
+  notification_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (message_id, user_id, document_key)
+);
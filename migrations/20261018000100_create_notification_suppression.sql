@@ -0,0 +1,12 @@
+-- Cross-run suppression index of the notification worker (see src/services/suppression.js).
+-- One row per user, document and scope points at the last notification sent for the document;
+-- the primary key is what lets only one concurrent notification claim the document.
+CREATE TABLE IF NOT EXISTS notification_suppression (
+  user_id TEXT NOT NULL,
+  document_key TEXT NOT NULL,
+  scope TEXT NOT NULL DEFAULT '',
+  notification_id TEXT,
+  subscription_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, document_key, scope)
+);
@@ -1,9 +1,103 @@
+import os from 'os';
 import { logger } from '../utils/logger.js';
 
+/**
+ * Reads the subscriptions to consume. PUBSUB_SUBSCRIPTIONS holds a JSON array of entries like
+ * { "name": "boe-notifications", "processorType": "boe", "dlqTopic": "boe-dlq",
+ *   "flowControl": { "maxMessages": 5 } }; without it PUBSUB_SUBSCRIPTION is the only one.
+ * Missing fields fall back to the global DLQ topic and flow-control limits.
+ * @param {Object} defaults - Fallback settings
+ * @param {string} defaults.dlqTopic - Default DLQ topic
+ * @param {Object} defaults.flowControl - Default flow-control limits
+ * @returns {Array<{name: string, processorType: string|null, dlqTopic: string, flowControl: Object}>}
+ */
+function loadSubscriptions({ dlqTopic, flowControl }) {
+  let entries = [process.env.PUBSUB_SUBSCRIPTION];
+
+  if (process.env.PUBSUB_SUBSCRIPTIONS) {
+    try {
+      entries = JSON.parse(process.env.PUBSUB_SUBSCRIPTIONS);
+      if (!Array.isArray(entries)) {
+        throw new Error('expected a JSON array');
+      }
+    } catch (error) {
+      logger.error('Invalid PUBSUB_SUBSCRIPTIONS, falling back to PUBSUB_SUBSCRIPTION', {
+        error: error.message
+      });
+      entries = [process.env.PUBSUB_SUBSCRIPTION];
+    }
+  }
+
+  return entries
+    .map(entry => (typeof entry === 'string' ? { name: entry } : entry))
+    .filter(entry => entry?.name)
+    .map(entry => ({
+      name: entry.name,
+      processorType: entry.processorType || null,
+      dlqTopic: entry.dlqTopic || dlqTopic,
+      flowControl: {
+        maxMessages: entry.flowControl?.maxMessages ?? flowControl.maxMessages,
+        maxBytes: entry.flowControl?.maxBytes ?? flowControl.maxBytes
+      }
+    }));
+}
+
+// Title rules per processor type (see utils/titles.js); `default` applies to every type.
+// `fields` are tried in order, then `template`, then `fallback`. Templates come from the
+// message catalogs in src/locales unless set here. Any rule can be a map keyed by locale.
+const DEFAULT_TITLE_TEMPLATES = {
+  default: {
+    fields: ['notification_title', 'title'],
+    placeholders: []
+  },
+  doga: {
+    // Galician readers get the Galician title first
+    fields: {
+      es: ['notification_title', 'title_es', 'title', 'title_gl'],
+      gl: ['notification_title', 'title_gl', 'title', 'title_es'],
+      en: ['notification_title', 'title_es', 'title', 'title_gl']
+    }
+  },
+  'real-estate': {
+    fields: []
+  }
+};
+
+/**
+ * Reads the per-processor title rules. TITLE_TEMPLATES holds a JSON object keyed by processor
+ * type whose entries override the defaults field by field, e.g.
+ * { "boe": { "template": "{document_type}[ - {issuer}]" } }.
+ * @returns {Object<string, {fields: Array<string>, template: string, fallback: string, placeholders: Array<string>}>}
+ */
+function loadTitleTemplates() {
+  let overrides = {};
+
+  if (process.env.TITLE_TEMPLATES) {
+    try {
+      overrides = JSON.parse(process.env.TITLE_TEMPLATES);
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('expected a JSON object');
+      }
+    } catch (error) {
+      logger.error('Invalid TITLE_TEMPLATES, using the default title templates', {
+        error: error.message
+      });
+      overrides = {};
+    }
+  }
+
+  const types = new Set([...Object.keys(DEFAULT_TITLE_TEMPLATES), ...Object.keys(overrides)]);
+  return Object.fromEntries([...types].map(type => [
+    type,
+    { ...DEFAULT_TITLE_TEMPLATES[type], ...overrides[type] }
+  ]));
+}
+
 export const config = {
   // Server settings
   port: process.env.PORT || 8080,
   environment: process.env.NODE_ENV || 'development',
+  instanceId: process.env.WORKER_INSTANCE_ID || `${os.hostname()}-${process.pid}`,
   
   // Google Cloud settings
   projectId: process.env.GOOGLE_CLOUD_PROJECT,
@@ -12,11 +106,108 @@ export const config = {
     : 'delta-entity-447812-p2:us-central1:nifya-db',
   
   // PubSub settings
+  // 'google' for Cloud Pub/Sub, 'local' for the in-memory/directory queue used in development and CI
+  pubsubTransport: process.env.PUBSUB_TRANSPORT || 'google',
+  localQueue: {
+    directory: process.env.LOCAL_QUEUE_DIR || null,
+    redeliveryDelayMs: parseInt(process.env.LOCAL_QUEUE_REDELIVERY_DELAY_MS || '1000', 10)
+  },
   pubsubSubscription: process.env.PUBSUB_SUBSCRIPTION,
+  // Disable to rely only on push delivery to POST /pubsub/push (lets Cloud Run scale to zero)
+  streamingPull: process.env.PUBSUB_STREAMING_PULL !== 'false',
   dlqTopic: process.env.DLQ_TOPIC,
+  dlqSubscription: process.env.DLQ_SUBSCRIPTION,
   emailImmediateTopic: process.env.EMAIL_IMMEDIATE_TOPIC || 'email-notifications-immediate',
   emailDailyTopic: process.env.EMAIL_DAILY_TOPIC || 'email-notifications-daily',
   
+  // PubSub push endpoint authentication: the push OIDC token is verified unless disabled, and
+  // push requests are refused while the audience or service account is unset
+  push: {
+    verifyAuth: process.env.PUBSUB_PUSH_VERIFY_AUTH !== 'false',
+    audience: process.env.PUBSUB_PUSH_AUDIENCE || null,
+    serviceAccountEmail: process.env.PUBSUB_PUSH_SERVICE_ACCOUNT || null
+  },
+  
+  // Bearer token required by the /admin endpoints; they are disabled while it is unset
+  admin: {
+    apiToken: process.env.ADMIN_API_TOKEN || null
+  },
+  
+  // PubSub flow control: upper bound on messages held by this instance at once
+  flowControl: {
+    maxMessages: parseInt(process.env.PUBSUB_MAX_MESSAGES || '10', 10),
+    maxBytes: parseInt(process.env.PUBSUB_MAX_BYTES || String(10 * 1024 * 1024), 10)
+  },
+  
+  // Subscriptions consumed by this worker, each with its own processor type, DLQ topic and
+  // flow-control limits (filled in below from PUBSUB_SUBSCRIPTIONS or PUBSUB_SUBSCRIPTION)
+  subscriptions: [],
+  
+  // Ordered processing: messages sharing an ordering key run one at a time, in delivery order.
+  // The PubSub ordering key is used when set, otherwise this field of the message request
+  ordering: {
+    enabled: process.env.ORDERING_ENABLED !== 'false',
+    keyField: process.env.ORDERING_KEY_FIELD || 'user_id'
+  },
+  
+  // Minimum relevance_score (0-1) for a match to become a notification, unless the
+  // subscription or user sets their own (see services/relevance.js). 0 disables filtering
+  relevance: {
+    threshold: parseFloat(process.env.RELEVANCE_THRESHOLD || '0')
+  },
+  
+  // Cross-run duplicate suppression: a user isn't notified twice about the same document
+  // within the window, across runs and (unless per subscription) subscriptions
+  suppression: {
+    enabled: process.env.SUPPRESSION_ENABLED !== 'false',
+    windowHours: parseInt(process.env.SUPPRESSION_WINDOW_HOURS || '168', 10),
+    perSubscription: process.env.SUPPRESSION_PER_SUBSCRIPTION === 'true',
+    // Append suppressed matches to the original notification's metadata.also_matched
+    recordAlsoMatched: process.env.SUPPRESSION_RECORD_ALSO_MATCHED !== 'false'
+  },
+  
+  // Locale of the text the worker writes when the user has no language preference and the
+  // processor sets no default (see utils/i18n.js)
+  i18n: {
+    defaultLocale: process.env.DEFAULT_LOCALE || 'es'
+  },
+  
+  // Query and publication dates are calendar dates in the bulletins' time zone (see utils/dates.js)
+  dates: {
+    timeZone: process.env.BULLETIN_TIME_ZONE || 'Europe/Madrid'
+  },
+  
+  // Sanitization of parser text before anything is stored (see utils/sanitize.js): title fields
+  // and every other text field are cut to these lengths
+  sanitization: {
+    titleMaxLength: parseInt(process.env.SANITIZE_TITLE_MAX_LENGTH || '500', 10),
+    contentMaxLength: parseInt(process.env.SANITIZE_CONTENT_MAX_LENGTH || '2000', 10)
+  },
+  
+  // Notification content: summaries longer than this are cut on a sentence boundary (see utils/excerpts.js)
+  excerpts: {
+    maxLength: parseInt(process.env.EXCERPT_MAX_LENGTH || '300', 10)
+  },
+  
+  // Notification titles: longer titles are cut with "...", and titles equal to a placeholder
+  // (case-insensitive) are ignored. Per-processor rules come from TITLE_TEMPLATES
+  titles: {
+    maxLength: parseInt(process.env.TITLE_MAX_LENGTH || '80', 10),
+    placeholders: (process.env.TITLE_PLACEHOLDERS ||
+      'string,title,notification,notification title,untitled,sin título,null,undefined,n/a')
+      .split(',')
+      .map(placeholder => placeholder.trim().toLowerCase())
+      .filter(Boolean),
+    processors: loadTitleTemplates()
+  },
+  
+  // Backpressure: throttle consumption to one message at a time while the database struggles
+  backpressure: {
+    maxPoolWaiting: parseInt(process.env.BACKPRESSURE_MAX_POOL_WAITING || '5', 10),
+    maxQueryLatencyMs: parseInt(process.env.BACKPRESSURE_MAX_QUERY_LATENCY_MS || '2000', 10),
+    checkIntervalMs: parseInt(process.env.BACKPRESSURE_CHECK_INTERVAL_MS || '250', 10)
+  },
+  
   // Database settings
   database: {
     user: process.env.DB_USER,
@@ -30,6 +221,34 @@ export const config = {
     connectionTimeout: process.env.NODE_ENV === 'production' ? 30000 : 10000,
   },
   
+  // Ack/nack policy for failed messages
+  ackPolicy: {
+    // Transient failures are redelivered until this attempt, then dead-lettered
+    maxDeliveryAttempts: parseInt(process.env.ACK_POLICY_MAX_DELIVERY_ATTEMPTS || '5', 10),
+    // Error categories (see utils/errors.js) that are worth redelivering
+    transientCategories: (process.env.ACK_POLICY_TRANSIENT_CATEGORIES || 'db_transient,unknown')
+      .split(',')
+      .map(category => category.trim())
+      .filter(Boolean)
+  },
+  
+  // Graceful shutdown: how long SIGTERM waits for in-flight messages before nacking them
+  // (Cloud Run allows 10 seconds between SIGTERM and SIGKILL)
+  shutdown: {
+    drainTimeoutMs: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || '8000', 10),
+    progressIntervalMs: 1000
+  },
+  
+  // Processed-message ledger settings
+  ledger: {
+    enabled: process.env.MESSAGE_LEDGER_ENABLED !== 'false',
+    // A 'processing' claim older than this is considered abandoned and can be reclaimed
+    processingLeaseMs: parseInt(process.env.MESSAGE_LEDGER_LEASE_MS || '600000', 10),
+    // A message claimed by another instance is held this long before it is nacked, so it
+    // isn't redelivered in a tight loop while the other instance works on it
+    claimedNackDelayMs: parseInt(process.env.MESSAGE_LEDGER_CLAIMED_NACK_DELAY_MS || '30000', 10)
+  },
+  
   // Retry settings
   retry: {
     database: {
@@ -43,15 +262,26 @@ export const config = {
       initialDelay: 2000,
       maxDelay: 15000,
       factor: 2
+    },
+    // Subscription reconnects are retried until they succeed or the worker stops
+    subscription: {
+      initialDelay: parseInt(process.env.SUBSCRIPTION_RETRY_INITIAL_DELAY_MS || '1000', 10),
+      maxDelay: parseInt(process.env.SUBSCRIPTION_RETRY_MAX_DELAY_MS || '60000', 10),
+      factor: 2,
+      // Random spread of +/- this fraction around each delay
+      jitter: 0.2
     }
   }
 };
 
+config.subscriptions = loadSubscriptions(config);
+
 export function logConfig() {
   logger.info('Application configuration loaded', {
     environment: config.environment,
     project_id: config.projectId,
-    pubsub_subscription: config.pubsubSubscription,
+    pubsub_transport: config.pubsubTransport,
+    pubsub_subscriptions: config.subscriptions.map(subscription => subscription.name),
     database_host: process.env.NODE_ENV === 'production' ? 'Cloud SQL' : config.database.host
   });
 }
\ No newline at end of file
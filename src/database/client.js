@@ -19,6 +19,24 @@ export const connectionState = {
   lastErrorTime: null
 };
 
+// Rolling query latency, used by the PubSub consumer to detect database pressure
+export const queryStats = {
+  count: 0,
+  lastDurationMs: null,
+  avgDurationMs: null,
+  lastQueryTime: null
+};
+
+function recordQueryLatency(duration) {
+  queryStats.count++;
+  queryStats.lastDurationMs = duration;
+  // Exponentially weighted moving average so a single slow query doesn't dominate
+  queryStats.avgDurationMs = queryStats.avgDurationMs === null
+    ? duration
+    : Math.round(queryStats.avgDurationMs * 0.8 + duration * 0.2);
+  queryStats.lastQueryTime = new Date().toISOString();
+}
+
 const secretManagerClient = new SecretManagerServiceClient();
 
 async function getSecret(secretName) {
@@ -231,6 +249,7 @@ export const db = {
           // Execute query
           const result = await client.query(text, params);
           const duration = Date.now() - start;
+          recordQueryLatency(duration);
           
           logger.debug('Query executed successfully', {
             text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
@@ -385,7 +404,8 @@ export const db = {
         totalCount: pool.totalCount,
         idleCount: pool.idleCount,
         waitingCount: pool.waitingCount
-      } : null
+      } : null,
+      queryStats: { ...queryStats }
     };
   },
   
@@ -2,49 +2,55 @@ import http from 'http';
 import { logger } from './utils/logger.js';
 import { config, logConfig } from './config/index.js';
 import { database } from './services/database.js';
-import { initializePubSub, pubsubState } from './services/pubsub/client.js';
-import { setupSubscriptionListeners } from './services/pubsub/processor.js';
+import { getSubscriptionRuntimes, SUBSCRIPTION_STATE } from './services/pubsub/subscriptions.js';
+import { createSubscriptionSupervisor } from './services/pubsub/supervisor.js';
 import { serviceStatus } from './services/status.js';
 import { routeRequest } from './routes/index.js';
+import { gracefulShutdown } from './services/shutdown.js';
 
 // Log configuration on startup
 logConfig();
 
+// Supervisors of the PubSub subscriptions, stopped on shutdown
+global.supervisors = [];
+
 // Create HTTP server for Cloud Run health checks and API endpoints
 export const server = http.createServer((req, res) => {
   routeRequest(req, res);
 });
 
-// Handle graceful shutdown
+// Handle graceful shutdown: drain in-flight messages before releasing resources
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM signal, shutting down gracefully');
   
-  // Close HTTP server first (stop accepting new requests)
-  server.close(() => {
-    logger.info('HTTP server closed');
+  await gracefulShutdown({
+    server,
+    supervisors: global.supervisors
   });
   
-  // Close PubSub subscription if active
-  if (global.subscription) {
-    global.subscription.removeAllListeners();
-    global.subscription.close();
-    logger.info('PubSub subscription closed');
-  }
-  
-  // Close database connections
-  try {
-    await database.end();
-    logger.info('Database connections closed');
-  } catch (error) {
-    logger.error('Error closing database connections', {
-      error: error.message
-    });
-  }
-  
   // Exit process
   process.exit(0);
 });
 
+/**
+ * Creates the supervisor that keeps a configured subscription connected
+ * @param {Object} runtime - Subscription runtime (see services/pubsub/subscriptions.js)
+ * @returns {Object} - Subscription supervisor
+ */
+function superviseSubscription(runtime) {
+  return createSubscriptionSupervisor(runtime, {
+    onStateChange: ({ subscription, to, reason }) => {
+      if (to === SUBSCRIPTION_STATE.DEGRADED || to === SUBSCRIPTION_STATE.BACKING_OFF) {
+        serviceStatus.addError('pubsub', reason, { subscription, state: to });
+      }
+      if (to === SUBSCRIPTION_STATE.ACTIVE) {
+        serviceStatus.pubsubActive = true;
+      }
+      serviceStatus.updateSubscriptionState();
+    }
+  });
+}
+
 /**
  * Initialize all services
  * @returns {Promise<void>}
@@ -53,7 +59,7 @@ async function initializeServices() {
   logger.info('Initializing services for notification-worker', {
     environment: config.environment,
     pubsub_project: config.projectId,
-    pubsub_subscription: config.pubsubSubscription
+    pubsub_subscriptions: config.subscriptions.map(subscription => subscription.name)
   });
 
   // Test database connection first
@@ -86,61 +92,35 @@ async function initializeServices() {
     }, 5000);
   }
 
-  // Initialize PubSub
-  try {
-    const { subscription, dlqTopic } = await initializePubSub();
-    
-    // Store resources in global for shutdown
-    global.subscription = subscription;
-    global.dlqTopic = dlqTopic;
-    
-    logger.info('PubSub resources initialized successfully');
-    serviceStatus.pubsubActive = true;
-    
-    // Set up subscription listeners
-    const listenersSetup = await setupSubscriptionListeners(subscription, (error) => {
-      // Subscription error callback
-      serviceStatus.subscriptionActive = false;
-      serviceStatus.addError('pubsub', error.message);
-      serviceStatus.updateOperatingMode();
-      
-      // Try to recover by reinitializing after a delay
-      setTimeout(async () => {
-        try {
-          const { subscription } = await initializePubSub();
-          global.subscription = subscription;
-          
-          const result = await setupSubscriptionListeners(subscription);
-          if (result) {
-            logger.info('Successfully recovered from PubSub subscription error');
-            serviceStatus.subscriptionActive = true;
-            serviceStatus.updateOperatingMode();
-          }
-        } catch (recoveryError) {
-          logger.error('Failed to recover from PubSub subscription error', {
-            error: recoveryError.message
-          });
-        }
-      }, 30000);
+  // In push-only mode messages arrive through POST /pubsub/push, so no streaming pull is opened
+  if (!config.streamingPull) {
+    logger.info('Streaming pull disabled, receiving messages through the push endpoint only');
+    getSubscriptionRuntimes().forEach(runtime => {
+      runtime.health.state = SUBSCRIPTION_STATE.ACTIVE;
     });
-    
-    if (listenersSetup) {
-      logger.info('PubSub subscription listeners set up successfully');
-      serviceStatus.subscriptionActive = true;
-    } else {
-      logger.error('Failed to set up PubSub subscription listeners');
-      serviceStatus.subscriptionActive = false;
-      serviceStatus.addError('pubsub', 'Failed to set up subscription listeners');
-    }
-  } catch (error) {
-    logger.error('Failed to initialize PubSub resources', {
-      error: error.message,
-      stack: error.stack
-    });
-    serviceStatus.pubsubActive = false;
-    serviceStatus.subscriptionActive = false;
-    serviceStatus.addError('pubsub', error.message);
+    serviceStatus.pubsubActive = true;
+    serviceStatus.subscriptionActive = true;
+    serviceStatus.updateOperatingMode();
+    return;
+  }
+
+  // Initialize PubSub: each subscription is opened by its own supervisor, which keeps
+  // reconnecting with backoff when opening fails or the subscription errors later
+  const runtimes = getSubscriptionRuntimes();
+  if (runtimes.length === 0) {
+    logger.error('No PubSub subscriptions configured (set PUBSUB_SUBSCRIPTION or PUBSUB_SUBSCRIPTIONS)');
+    serviceStatus.addError('pubsub', 'No PubSub subscriptions configured');
   }
+  
+  global.supervisors = runtimes.map(runtime => superviseSubscription(runtime));
+  const started = await Promise.all(global.supervisors.map(supervisor => supervisor.start()));
+  serviceStatus.pubsubActive = started.some(Boolean);
+  serviceStatus.updateSubscriptionState();
+  
+  logger.info('PubSub subscriptions initialized', {
+    subscriptions: runtimes.length,
+    started: started.filter(Boolean).length
+  });
 
   // Update overall service status
   serviceStatus.updateOperatingMode();
@@ -166,7 +146,7 @@ async function startService() {
         subscription: serviceStatus.subscriptionActive
       },
       config: {
-        subscription: config.pubsubSubscription,
+        subscriptions: config.subscriptions.map(subscription => subscription.name),
         project: config.projectId,
         port: port
       }
@@ -0,0 +1,35 @@
+/**
+ * English message catalog
+ */
+export const en = {
+  // Title templates (see utils/titles.js); `.<processor_type>` entries override the generic ones
+  'title.template': '{document_type}[ – {issuer}][ ({publication_date})]',
+  'title.fallback': 'Alert[ {processor_type}][: "{prompt_short}"]',
+  'title.fallback.boe': 'BOE alert[: "{prompt_short}"]',
+  'title.template.doga': '{document_type}[ – {issuer}]',
+  'title.fallback.doga': 'DOGA alert[: "{prompt_short}"]',
+  'title.template.real-estate': '{property} in {city} – {price}',
+  'title.fallback.real-estate': '{property} – {price}',
+  'title.default': 'Notification',
+
+  'content.no_summary': 'No summary provided',
+  'email.subscription_name': 'NIFYA Alert',
+
+  'listing.rooms': '{rooms}-room {property_type}',
+  'listing.property': 'property',
+  'listing.per_month': '/month',
+
+  // Property types of listings (see processors/real-estate.js)
+  'property_type.flat': 'flat',
+  'property_type.apartment': 'apartment',
+  'property_type.house': 'house',
+  'property_type.chalet': 'detached house',
+  'property_type.penthouse': 'penthouse',
+  'property_type.studio': 'studio',
+  'property_type.duplex': 'duplex',
+  'property_type.room': 'room',
+  'property_type.land': 'plot',
+  'property_type.garage': 'garage',
+  'property_type.office': 'office',
+  'property_type.commercial': 'commercial premises'
+};
@@ -0,0 +1,35 @@
+/**
+ * Spanish message catalog
+ */
+export const es = {
+  // Title templates (see utils/titles.js); `.<processor_type>` entries override the generic ones
+  'title.template': '{document_type}[ de {issuer}][ ({publication_date})]',
+  'title.fallback': 'Alerta[ {processor_type}][: "{prompt_short}"]',
+  'title.fallback.boe': 'Alerta BOE[: "{prompt_short}"]',
+  'title.template.doga': '{document_type}[ de {issuer}]',
+  'title.fallback.doga': 'Alerta DOGA[: "{prompt_short}"]',
+  'title.template.real-estate': '{property} en {city} – {price}',
+  'title.fallback.real-estate': '{property} – {price}',
+  'title.default': 'Notificación',
+
+  'content.no_summary': 'Sin resumen disponible',
+  'email.subscription_name': 'Alerta NIFYA',
+
+  'listing.rooms': '{property_type} de {rooms} habitaciones',
+  'listing.property': 'inmueble',
+  'listing.per_month': '/mes',
+
+  // Property types of listings (see processors/real-estate.js)
+  'property_type.flat': 'piso',
+  'property_type.apartment': 'apartamento',
+  'property_type.house': 'casa',
+  'property_type.chalet': 'chalet',
+  'property_type.penthouse': 'ático',
+  'property_type.studio': 'estudio',
+  'property_type.duplex': 'dúplex',
+  'property_type.room': 'habitación',
+  'property_type.land': 'terreno',
+  'property_type.garage': 'garaje',
+  'property_type.office': 'oficina',
+  'property_type.commercial': 'local'
+};
@@ -0,0 +1,35 @@
+/**
+ * Galician message catalog
+ */
+export const gl = {
+  // Title templates (see utils/titles.js); `.<processor_type>` entries override the generic ones
+  'title.template': '{document_type}[ de {issuer}][ ({publication_date})]',
+  'title.fallback': 'Alerta[ {processor_type}][: "{prompt_short}"]',
+  'title.fallback.boe': 'Alerta BOE[: "{prompt_short}"]',
+  'title.template.doga': '{document_type}[ de {issuer}]',
+  'title.fallback.doga': 'Alerta DOGA[: "{prompt_short}"]',
+  'title.template.real-estate': '{property} en {city} – {price}',
+  'title.fallback.real-estate': '{property} – {price}',
+  'title.default': 'Notificación',
+
+  'content.no_summary': 'Sen resumo dispoñible',
+  'email.subscription_name': 'Alerta NIFYA',
+
+  'listing.rooms': '{property_type} de {rooms} cuartos',
+  'listing.property': 'inmoble',
+  'listing.per_month': '/mes',
+
+  // Property types of listings (see processors/real-estate.js)
+  'property_type.flat': 'piso',
+  'property_type.apartment': 'apartamento',
+  'property_type.house': 'casa',
+  'property_type.chalet': 'chalé',
+  'property_type.penthouse': 'ático',
+  'property_type.studio': 'estudio',
+  'property_type.duplex': 'dúplex',
+  'property_type.room': 'cuarto',
+  'property_type.land': 'terreo',
+  'property_type.garage': 'garaxe',
+  'property_type.office': 'oficina',
+  'property_type.commercial': 'local'
+};
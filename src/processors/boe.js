@@ -0,0 +1,63 @@
+import { BOENotificationMessageSchema } from '../types/boe.js';
+import { genericProcessor } from './generic.js';
+import { buildTitle } from '../utils/titles.js';
+import { buildBoeLinks } from '../utils/boe-links.js';
+
+/**
+ * Publication date of the bulletin a match was published in
+ * @param {Object} match - The match
+ * @param {Object} message - The normalized message
+ * @returns {string|undefined} - The date
+ */
+function getPublicationDate(match, message) {
+  return message.results.boe_info?.publication_date || match.publication_date || message.results.query_date;
+}
+
+/**
+ * Processor for BOE (Boletín Oficial del Estado) messages
+ * @type {import('./registry.js').ProcessorDefinition}
+ */
+export const boeProcessor = {
+  type: 'boe',
+  schema: BOENotificationMessageSchema,
+  locale: 'es',
+  baseUrl: 'https://www.boe.es',
+  // ELI permalinks sent by the parser or copied from the BOE API
+  linkFields: ['eli_url', 'url_eli'],
+
+  buildTitle(match, { prompt, locale }) {
+    return buildTitle('boe', match, { prompt, locale });
+  },
+
+  getEntityType: genericProcessor.getEntityType,
+
+  /**
+   * The canonical txt.php page of the document, derived from its BOE id when the match has no link
+   */
+  getSourceUrl(match, { message }) {
+    return buildBoeLinks(match, { publicationDate: getPublicationDate(match, message) }).html || '';
+  },
+
+  extractData(match, context) {
+    const { boe_info: boeInfo } = context.message.results;
+    const publicationDate = getPublicationDate(match, context.message);
+
+    return {
+      ...genericProcessor.extractData(match, context),
+      publication_date: publicationDate,
+      issue_number: boeInfo?.issue_number,
+      section: match.section,
+      bulletin_type: match.bulletin_type,
+      // Canonical HTML, PDF and ELI links for the frontend and emails
+      links: buildBoeLinks(match, { publicationDate })
+    };
+  },
+
+  extractMetadata(match, context) {
+    return {
+      ...genericProcessor.extractMetadata(match, context),
+      publication_date: getPublicationDate(match, context.message),
+      boe_info: context.message.results.boe_info || {}
+    };
+  }
+};
@@ -0,0 +1,110 @@
+import { DOGANotificationMessageSchema } from '../types/doga.js';
+import { genericProcessor } from './generic.js';
+import { buildTitle } from '../utils/titles.js';
+
+const DOGA_BASE_URL = 'https://www.xunta.gal';
+const DOGA_PUBLISHED_PATH = '/dog/Publicados/';
+const DOGA_HOME_URL = `${DOGA_BASE_URL}/diario-oficial-galicia`;
+
+/**
+ * Builds an absolute https URL for a DOGA link. Relative links are resolved against
+ * xunta.gal, where DOGA documents are published, and http links to it are upgraded.
+ * @param {string} [link] - Link from the parser
+ * @returns {string|null} - Absolute URL, or null if there is no link
+ */
+export function resolveDogaUrl(link) {
+  if (typeof link !== 'string' || link.trim() === '') {
+    return null;
+  }
+
+  const trimmed = link.trim();
+  try {
+    const base = trimmed.startsWith('/') ? DOGA_BASE_URL : `${DOGA_BASE_URL}${DOGA_PUBLISHED_PATH}`;
+    const url = new URL(trimmed, base);
+    if (url.protocol === 'http:' && url.hostname.endsWith('xunta.gal')) {
+      url.protocol = 'https:';
+    }
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Publication date of the DOGA issue a match was published in
+ * @param {Object} match - The match
+ * @param {Object} message - The normalized message
+ * @returns {string|undefined} - The date
+ */
+function getPublicationDate(match, message) {
+  return match.publication_date || message.results.doga_info?.publication_date || message.results.query_date;
+}
+
+/**
+ * Processor for DOGA (Diario Oficial de Galicia) messages
+ * @type {import('./registry.js').ProcessorDefinition}
+ */
+export const dogaProcessor = {
+  type: 'doga',
+  schema: DOGANotificationMessageSchema,
+  // Galician, the language DOGA publishes in first
+  locale: 'gl',
+  // Relative links are published under /dog/Publicados/, see resolveDogaUrl
+  baseUrl: `${DOGA_BASE_URL}${DOGA_PUBLISHED_PATH}`,
+
+  /**
+   * Title rules (config.titles.processors.doga): the parser's notification title, then the
+   * Spanish, default and Galician titles (Galician first for Galician readers), then the
+   * document type and organism
+   */
+  buildTitle(match, { prompt, locale }) {
+    return buildTitle('doga', match, { prompt, locale });
+  },
+
+  /**
+   * Maps the DOGA document type to `doga:<type>`, e.g. "Resolución" to `doga:resolucion`
+   */
+  getEntityType(match) {
+    const documentType = (match.document_type || 'document')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+
+    return `doga:${documentType || 'document'}`;
+  },
+
+  getSourceUrl(match, { message }) {
+    return resolveDogaUrl(match.links?.html) ||
+      resolveDogaUrl(match.links?.pdf) ||
+      resolveDogaUrl(message.results.doga_info?.source_url) ||
+      DOGA_HOME_URL;
+  },
+
+  extractData(match, context) {
+    const { doga_info: dogaInfo } = context.message.results;
+
+    return {
+      ...genericProcessor.extractData(match, context),
+      issuing_body: match.organism || match.issuing_body,
+      organism: match.organism,
+      section: match.section,
+      publication_number: match.publication_number || dogaInfo?.publication_number,
+      publication_date: getPublicationDate(match, context.message),
+      title_gl: match.title_gl,
+      title_es: match.title_es,
+      pdf_url: resolveDogaUrl(match.links?.pdf)
+    };
+  },
+
+  extractMetadata(match, context) {
+    return {
+      ...genericProcessor.extractMetadata(match, context),
+      issuing_body: match.organism || match.issuing_body,
+      publication_date: getPublicationDate(match, context.message),
+      doga_info: context.message.results.doga_info || {}
+    };
+  }
+};
@@ -0,0 +1,92 @@
+import { createHash } from 'crypto';
+import { MessageSchema } from '../types/parser.js';
+import { buildTitle } from '../utils/titles.js';
+import { findBoeId } from '../utils/boe-links.js';
+import { getInvalidDates } from '../utils/dates.js';
+
+/**
+ * Normalizes a title for hashing: case, accents, punctuation and spacing don't matter
+ * @param {string} title - Document title
+ * @returns {string} - Normalized title
+ */
+function normalizeTitle(title) {
+  return title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Fallback processor for messages whose processor_type has no registered processor
+ * @type {import('./registry.js').ProcessorDefinition}
+ */
+export const genericProcessor = {
+  type: 'generic',
+  schema: MessageSchema,
+
+  getSource(message) {
+    return message.processor_type || 'unknown';
+  },
+
+  buildTitle(match, { message, prompt, locale }) {
+    return buildTitle(message.processor_type, match, { prompt, locale });
+  },
+
+  getEntityType(match) {
+    const documentType = match.document_type?.toLowerCase() || 'document';
+    return `notification:${documentType}`;
+  },
+
+  /**
+   * Identifies the document of a match, so matches of several prompts can be merged:
+   * the BOE id, then the document link, then a hash of the title. Null when none of them
+   * identifies it, e.g. a title of only punctuation, so the match is neither merged nor suppressed.
+   */
+  getDocumentKey(match) {
+    const boeId = findBoeId(match);
+    if (boeId) {
+      return `boe:${boeId}`;
+    }
+
+    if (match.links?.html) {
+      return `url:${match.links.html.trim()}`;
+    }
+
+    const title = normalizeTitle(match.title || '');
+    if (!title) {
+      return null;
+    }
+    return `title:${createHash('sha1').update(title).digest('hex')}`;
+  },
+
+  extractData(match, { message, prompt, prompts = [prompt] }) {
+    return {
+      trace_id: message.trace_id,
+      document_type: match.document_type,
+      issuing_body: match.issuing_body,
+      publication_date: match.publication_date || match.dates?.publication_date || message.results.query_date,
+      prompt,
+      prompts,
+      relevance_score: match.relevance_score,
+      // Dates the parser sent that aren't valid dates (see utils/dates.js)
+      invalid_dates: getInvalidDates(match, message)
+    };
+  },
+
+  extractMetadata(match, { message, prompt, prompts = [prompt] }) {
+    return {
+      prompt,
+      prompts,
+      query_date: message.results.query_date,
+      publication_date: match.publication_date || match.dates?.publication_date || message.results.query_date,
+      document_type: match.document_type,
+      issuing_body: match.issuing_body,
+      relevance_score: match.relevance_score,
+      invalid_dates: getInvalidDates(match, message),
+      trace_id: message.trace_id,
+      processing_info: message.metadata || {}
+    };
+  }
+};
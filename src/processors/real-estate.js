@@ -0,0 +1,176 @@
+import { RealEstateNotificationMessageSchema } from '../types/real-estate.js';
+import { genericProcessor } from './generic.js';
+import { buildTitle } from '../utils/titles.js';
+import { getMessage, translate } from '../utils/i18n.js';
+
+const CURRENCY_SYMBOLS = { EUR: '€', USD: '$', GBP: '£' };
+
+// Prices from this amount up are shortened, e.g. 180000 to "180k"
+const COMPACT_PRICE_FROM = 10000;
+
+// Property types as parsers spell them (English or Spanish), mapped to the `property_type.<type>`
+// keys of the message catalogs
+const PROPERTY_TYPE_ALIASES = {
+  flat: 'flat',
+  piso: 'flat',
+  apartment: 'apartment',
+  apartamento: 'apartment',
+  house: 'house',
+  casa: 'house',
+  chalet: 'chalet',
+  chale: 'chalet',
+  villa: 'chalet',
+  detached_house: 'chalet',
+  penthouse: 'penthouse',
+  atico: 'penthouse',
+  studio: 'studio',
+  estudio: 'studio',
+  duplex: 'duplex',
+  room: 'room',
+  habitacion: 'room',
+  cuarto: 'room',
+  land: 'land',
+  plot: 'land',
+  terreno: 'land',
+  solar: 'land',
+  garage: 'garage',
+  garaje: 'garage',
+  parking: 'garage',
+  office: 'office',
+  oficina: 'office',
+  commercial: 'commercial',
+  commercial_premises: 'commercial',
+  local: 'commercial',
+  local_comercial: 'commercial'
+};
+
+/**
+ * Turns a property type into a slug, e.g. "Ático" into "atico" or "Local comercial" into "local_comercial"
+ * @param {string} propertyType - Property type from the parser
+ * @returns {string} - The slug
+ */
+function slugifyPropertyType(propertyType) {
+  return propertyType
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Names the property type of a listing in the given locale, e.g. "Flat" as "piso" in Spanish.
+ * Types missing from the catalogs are kept as the parser wrote them, in lower case.
+ * @param {string} [propertyType] - Property type from the parser
+ * @param {string} locale - The locale
+ * @returns {string} - The localized property type
+ */
+export function translatePropertyType(propertyType, locale) {
+  const value = propertyType?.trim();
+  if (!value) {
+    return translate(locale, 'listing.property');
+  }
+
+  const type = PROPERTY_TYPE_ALIASES[slugifyPropertyType(value)];
+  return (type && getMessage(locale, `property_type.${type}`)) || value.toLowerCase();
+}
+
+/**
+ * Formats a listing price for titles, e.g. "€180k", "€1.2M" or "€950/month"
+ * @param {Object} listing - Listing with price, currency and operation
+ * @param {string} [locale] - Locale of the rent suffix
+ * @returns {string} - Formatted price
+ */
+export function formatListingPrice({ price, currency = 'EUR', operation = 'sale' }, locale = 'en') {
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+  const round = (value) => Number(value.toFixed(1));
+
+  let amount;
+  if (price >= 1000000) {
+    amount = `${round(price / 1000000)}M`;
+  } else if (price >= COMPACT_PRICE_FROM) {
+    amount = `${round(price / 1000)}k`;
+  } else {
+    amount = Math.round(price).toLocaleString('en-US');
+  }
+
+  return `${symbol}${amount}${operation === 'rent' ? translate(locale, 'listing.per_month') : ''}`;
+}
+
+/**
+ * Processor for real-estate listing messages
+ * @type {import('./registry.js').ProcessorDefinition}
+ */
+export const realEstateProcessor = {
+  type: 'real-estate',
+  schema: RealEstateNotificationMessageSchema,
+  locale: 'en',
+  // Listing sites vary, so relative links are dropped rather than resolved
+  linkFields: ['listing_url', 'images'],
+
+  /**
+   * Builds titles such as "3-room flat in Vigo – €180k" from the listing fields, with the
+   * template in the message catalogs
+   */
+  buildTitle(match, { prompt, locale = realEstateProcessor.locale }) {
+    const propertyType = translatePropertyType(match.property_type, locale);
+    const property = match.rooms
+      ? translate(locale, 'listing.rooms', { rooms: match.rooms, property_type: propertyType })
+      : propertyType;
+
+    return buildTitle('real-estate', match, {
+      prompt,
+      locale,
+      variables: {
+        property: `${property.charAt(0).toUpperCase()}${property.slice(1)}`,
+        city: match.location.city,
+        price: formatListingPrice(match, locale)
+      }
+    });
+  },
+
+  /**
+   * Maps the property type to `real-estate:<type>`, e.g. "Ático" to `real-estate:atico`
+   */
+  getEntityType(match) {
+    const propertyType = slugifyPropertyType(match.property_type || 'listing');
+
+    return `real-estate:${propertyType || 'listing'}`;
+  },
+
+  getSourceUrl(match) {
+    return match.listing_url || match.links?.html || '';
+  },
+
+  getDocumentKey(match) {
+    return `listing:${match.listing_url.trim()}`;
+  },
+
+  extractData(match, context) {
+    return {
+      ...genericProcessor.extractData(match, context),
+      // Structured listing for the frontend cards
+      listing: {
+        price: match.price,
+        currency: match.currency,
+        operation: match.operation,
+        property_type: match.property_type,
+        location: match.location,
+        surface: match.surface,
+        price_per_m2: match.surface ? Math.round(match.price / match.surface) : undefined,
+        rooms: match.rooms,
+        bathrooms: match.bathrooms,
+        listing_url: match.listing_url,
+        images: match.images
+      }
+    };
+  },
+
+  extractMetadata(match, context) {
+    return {
+      ...genericProcessor.extractMetadata(match, context),
+      listing_url: match.listing_url
+    };
+  }
+};
@@ -0,0 +1,90 @@
+import { logger } from '../utils/logger.js';
+import { getDefaultLocale } from '../utils/i18n.js';
+import { genericProcessor } from './generic.js';
+import { boeProcessor } from './boe.js';
+import { dogaProcessor } from './doga.js';
+import { realEstateProcessor } from './real-estate.js';
+
+/**
+ * Describes how messages of one processor_type are validated and turned into notifications.
+ * Every hook receives the match being converted and a context of
+ * { message, queryResult, prompt, prompts, locale } for the normalized message, where `prompts`
+ * lists every prompt that matched the same document and `locale` is the reader's language.
+ *
+ * @typedef {Object} ProcessorDefinition
+ * @property {string} type - The processor_type handled (e.g. 'boe')
+ * @property {import('zod').ZodTypeAny} schema - Zod schema of the normalized message
+ * @property {string} [locale] - Language of notifications for users without one (defaults to DEFAULT_LOCALE)
+ * @property {string} [baseUrl] - Official site relative links are resolved against; without one they are dropped
+ * @property {Array<string>} [linkFields] - Match fields holding links besides `links`, sanitized as URLs
+ * @property {function(Object): Object} [normalize] - Source-specific fixes applied after validation
+ * @property {function(Object): string} [getSource] - Notification source (defaults to the type)
+ * @property {function(Object, Object): string} [getSourceUrl] - Link to the document (defaults to links.html)
+ * @property {function(Object, Object): (string|null)} [getDocumentKey] - Identity of the matched document, used to
+ *   merge matches of several prompts (defaults to the BOE id, link or title hash); null if it can't be identified
+ * @property {function(Object, Object): string} buildTitle - Notification title for a match
+ * @property {function(Object, Object): string} getEntityType - entity_type in `domain:type` format
+ * @property {function(Object, Object): Object} extractData - Notification `data` for a match
+ * @property {function(Object, Object): Object} extractMetadata - Notification `metadata` for a match
+ */
+
+const REQUIRED_HOOKS = ['buildTitle', 'getEntityType', 'extractData', 'extractMetadata'];
+
+// Processors shipped with the worker; a new source adds its definition here
+const BUILTIN_PROCESSORS = [boeProcessor, dogaProcessor, realEstateProcessor];
+
+const processors = new Map();
+
+/**
+ * Registers a processor for a processor_type, replacing any previous one
+ * @param {ProcessorDefinition} definition - The processor definition
+ */
+export function registerProcessor(definition) {
+  if (!definition?.type) {
+    throw new Error('Processor definition requires a type');
+  }
+
+  if (typeof definition.schema?.safeParse !== 'function') {
+    throw new Error(`Processor ${definition.type} requires a Zod schema`);
+  }
+
+  const missing = REQUIRED_HOOKS.filter(hook => typeof definition[hook] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Processor ${definition.type} is missing ${missing.join(', ')}`);
+  }
+
+  if (processors.has(definition.type)) {
+    logger.warn('Replacing registered processor', { processor_type: definition.type });
+  }
+
+  processors.set(definition.type, {
+    locale: getDefaultLocale(),
+    baseUrl: null,
+    linkFields: [],
+    normalize: (message) => message,
+    getSource: () => definition.type,
+    getSourceUrl: (match) => match.links?.html || '',
+    getDocumentKey: genericProcessor.getDocumentKey,
+    ...definition
+  });
+}
+
+/**
+ * Returns the processor for a processor_type, or the generic processor if none is registered
+ * @param {string} [type] - The processor_type of the message
+ * @returns {ProcessorDefinition} - The processor definition
+ */
+export function getProcessor(type) {
+  return processors.get(type) || processors.get(genericProcessor.type);
+}
+
+/**
+ * Lists the registered processor types
+ * @returns {Array<string>} - Processor types, excluding the generic fallback
+ */
+export function getProcessorTypes() {
+  return [...processors.keys()].filter(type => type !== genericProcessor.type);
+}
+
+registerProcessor(genericProcessor);
+BUILTIN_PROCESSORS.forEach(registerProcessor);
@@ -0,0 +1,68 @@
+import { parseArgs } from 'util';
+import { replayDeadLetters } from './services/dlq-replay.js';
+import { database } from './services/database.js';
+
+const usage = `Usage: npm run replay-dlq -- [options]
+
+Options:
+  --subscription <name>     DLQ subscription (defaults to DLQ_SUBSCRIPTION)
+  --error <text>            Only replay messages whose error contains this text
+  --trace-id <id>           Only replay the message with this trace ID
+  --processor-type <type>   Only replay messages from this processor (boe, doga, ...)
+  --from <iso-date>         Only replay messages dead-lettered at or after this time
+  --to <iso-date>           Only replay messages dead-lettered at or before this time
+  --max <n>                 Maximum number of DLQ messages to inspect (default 100)
+  --dry-run                 Report what would be replayed without replaying`;
+
+async function run() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        subscription: { type: 'string' },
+        error: { type: 'string' },
+        'trace-id': { type: 'string' },
+        'processor-type': { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        max: { type: 'string', default: '100' },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(usage);
+    process.exit(0);
+  }
+
+  try {
+    const report = await replayDeadLetters({
+      subscription: values.subscription,
+      dryRun: values['dry-run'],
+      maxMessages: parseInt(values.max, 10),
+      filters: {
+        error: values.error,
+        traceId: values['trace-id'],
+        processorType: values['processor-type'],
+        from: values.from,
+        to: values.to
+      }
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+    process.exitCode = report.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('DLQ replay failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.end();
+    process.exit();
+  }
+}
+
+run();
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { replayDeadLetters } from '../services/dlq-replay.js';
+import { dryRunMessage, EMAIL_DELIVERY_MODES } from '../services/dry-run.js';
+import { normalizeLocale, SUPPORTED_LOCALES } from '../utils/i18n.js';
+import url from 'url';
+
+/**
+ * Checks the bearer token of an admin request against ADMIN_API_TOKEN and answers the
+ * request when it doesn't match. Without a configured token every admin request is refused.
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @returns {boolean} - Whether the request may proceed
+ */
+function authorizeAdmin(req, res) {
+  if (!config.admin.apiToken) {
+    logger.warn('Rejected admin request, ADMIN_API_TOKEN is not configured', { url: req.url });
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      error: 'Forbidden',
+      message: 'Admin endpoints are disabled (ADMIN_API_TOKEN is not set)'
+    }));
+    return false;
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const expected = Buffer.from(config.admin.apiToken);
+  const provided = Buffer.from(token || '');
+
+  if (scheme !== 'Bearer' || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Rejected admin request with a missing or invalid token', { url: req.url });
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      error: 'Unauthorized',
+      message: 'A valid admin bearer token is required'
+    }));
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Handler for the DLQ replay endpoint. Requires the admin bearer token.
+ * Body: { subscription?, dry_run?, max_messages?, filters?: { error, trace_id, processor_type, from, to } }
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+export function handleDlqReplay(req, res) {
+  if (!authorizeAdmin(req, res)) {
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk.toString();
+  });
+
+  req.on('end', async () => {
+    let options;
+    try {
+      const data = body ? JSON.parse(body) : {};
+      const filters = data.filters || {};
+
+      options = {
+        subscription: data.subscription,
+        dryRun: data.dry_run === true,
+        maxMessages: parseInt(data.max_messages || '100', 10),
+        filters: {
+          error: filters.error,
+          traceId: filters.trace_id,
+          processorType: filters.processor_type,
+          from: filters.from,
+          to: filters.to
+        }
+      };
+    } catch (parseError) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: 'Invalid request body',
+        message: parseError.message
+      }));
+      return;
+    }
+
+    try {
+      const report = await replayDeadLetters(options);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(report, null, 2));
+    } catch (error) {
+      logger.error('DLQ replay error:', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: 'DLQ replay failed',
+        message: error.message
+      }));
+    }
+  });
+}
+
+/**
+ * Handler for the dry-run parse endpoint
+ * Body: the raw message data. Query: email_delivery (immediate|daily|none), email, schema_version,
+ * relevance_threshold, locale (es|gl|en)
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+export function handleDebugParse(req, res) {
+  const { query } = url.parse(req.url, true);
+  const emailDelivery = query.email_delivery || 'immediate';
+  const relevanceThreshold = query.relevance_threshold !== undefined ? Number(query.relevance_threshold) : null;
+  const locale = query.locale !== undefined ? normalizeLocale(query.locale) : null;
+
+  if (!EMAIL_DELIVERY_MODES.includes(emailDelivery)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      error: 'Invalid email_delivery',
+      message: `email_delivery must be one of ${EMAIL_DELIVERY_MODES.join(', ')}`
+    }));
+    return;
+  }
+
+  if (relevanceThreshold !== null && !(relevanceThreshold >= 0 && relevanceThreshold <= 1)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      error: 'Invalid relevance_threshold',
+      message: 'relevance_threshold must be a number between 0 and 1'
+    }));
+    return;
+  }
+
+  if (query.locale !== undefined && !locale) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      error: 'Invalid locale',
+      message: `locale must be one of ${SUPPORTED_LOCALES.join(', ')}`
+    }));
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk.toString();
+  });
+
+  req.on('end', async () => {
+    let message;
+    try {
+      message = JSON.parse(body);
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw new Error('Message must be a JSON object');
+      }
+    } catch (parseError) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: 'Invalid request body',
+        message: parseError.message
+      }));
+      return;
+    }
+
+    try {
+      const report = await dryRunMessage(message, {
+        attributes: query.schema_version ? { schema_version: query.schema_version } : {},
+        emailDelivery,
+        email: query.email || null,
+        relevanceThreshold,
+        locale
+      });
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(report, null, 2));
+    } catch (error) {
+      logger.error('Dry-run parse error:', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: 'Dry-run parse failed',
+        message: error.message
+      }));
+    }
+  });
+}
@@ -4,6 +4,8 @@ import {
   handleCreateNotification,
   handleDebugNotifications
 } from './diagnostics.js';
+import { handlePubSubPush } from './pubsub.js';
+import { handleDlqReplay, handleDebugParse } from './admin.js';
 import { logger } from '../utils/logger.js';
 import url from 'url';
 
@@ -68,6 +70,15 @@ export function routeRequest(req, res) {
   else if (path === '/debug/notifications' && req.method === 'GET') {
     handleDebugNotifications(req, res);
   } 
+  else if (path === '/debug/parse' && req.method === 'POST') {
+    handleDebugParse(req, res);
+  } 
+  else if (path === '/pubsub/push' && req.method === 'POST') {
+    handlePubSubPush(req, res);
+  } 
+  else if (path === '/admin/dlq/replay' && req.method === 'POST') {
+    handleDlqReplay(req, res);
+  } 
   else {
     // Default response for unknown routes
     logger.info('Route not found', { path: path, method: req.method });
@@ -0,0 +1,197 @@
+import { OAuth2Client } from 'google-auth-library';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { handleMessage } from '../services/pubsub/processor.js';
+import { publishToDLQ } from '../services/pubsub/client.js';
+import { getSubscriptionRuntime } from '../services/pubsub/subscriptions.js';
+import { MessageParseError } from '../utils/errors.js';
+
+const authClient = new OAuth2Client();
+
+/**
+ * Verifies the OIDC token Pub/Sub attaches to push requests. Requests are refused while the
+ * expected audience or signer isn't configured, since any Google-signed token would pass.
+ * @param {Object} req - HTTP request object
+ * @returns {Promise<{valid: boolean, status?: number, reason?: string}>} - Verification result
+ */
+async function verifyPushAuth(req) {
+  if (!config.push.audience || !config.push.serviceAccountEmail) {
+    return {
+      valid: false,
+      status: 401,
+      reason: 'Push authentication requires PUBSUB_PUSH_AUDIENCE and PUBSUB_PUSH_SERVICE_ACCOUNT'
+    };
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return { valid: false, status: 401, reason: 'Missing bearer token' };
+  }
+
+  try {
+    const ticket = await authClient.verifyIdToken({
+      idToken: token,
+      audience: config.push.audience
+    });
+    const payload = ticket.getPayload();
+
+    if (payload.email !== config.push.serviceAccountEmail || !payload.email_verified) {
+      return { valid: false, status: 403, reason: `Unexpected token email: ${payload.email}` };
+    }
+
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, status: 401, reason: error.message };
+  }
+}
+
+/**
+ * Converts a push envelope into a message compatible with the streaming handler
+ * @param {Object} envelope - Pub/Sub push envelope
+ * @param {Function} settle - Called with 'ack' or 'nack'
+ * @returns {Object} - PubSub-like message
+ */
+function createPushMessage(envelope, settle) {
+  const pushed = envelope.message;
+
+  return {
+    id: pushed.messageId || pushed.message_id,
+    data: Buffer.from(pushed.data || '', 'base64'),
+    attributes: pushed.attributes || {},
+    orderingKey: pushed.orderingKey,
+    publishTime: pushed.publishTime || pushed.publish_time,
+    deliveryAttempt: envelope.deliveryAttempt,
+    ack: () => settle('ack'),
+    nack: () => settle('nack')
+  };
+}
+
+/**
+ * Dead-letters a push request whose envelope can't be read. Pub/Sub would redeliver it forever,
+ * so it is acknowledged once it is in the DLQ.
+ * @param {string} body - The request body
+ * @param {Error} error - Why the envelope can't be read
+ * @param {Object} res - HTTP response object
+ */
+async function deadLetterEnvelope(body, error, res) {
+  let envelope = null;
+  try {
+    envelope = JSON.parse(body);
+  } catch (parseError) {
+    // Not JSON at all; the raw body is dead-lettered
+  }
+
+  const runtime = getSubscriptionRuntime(envelope?.subscription) || getSubscriptionRuntime();
+  try {
+    await publishToDLQ(
+      { raw_message: body },
+      new MessageParseError(`Invalid push envelope: ${error.message}`, { cause: error }),
+      { dlqTopic: runtime.dlqTopic, subscription: envelope?.subscription || null }
+    );
+  } catch (dlqError) {
+    logger.error('Failed to dead-letter invalid push envelope', {
+      error: error.message,
+      dlq_error: dlqError.message
+    });
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      error: 'Invalid push envelope',
+      message: error.message
+    }));
+    return;
+  }
+
+  res.writeHead(204);
+  res.end();
+}
+
+/**
+ * Handler for the /pubsub/push endpoint.
+ * Responds 204 when the message is acknowledged and 500 when it should be redelivered.
+ * Envelopes that can't be read are dead-lettered and acknowledged; envelopes from a
+ * subscription this worker doesn't consume are rejected.
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+export function handlePubSubPush(req, res) {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk.toString();
+  });
+
+  req.on('end', async () => {
+    if (config.push.verifyAuth) {
+      const auth = await verifyPushAuth(req);
+      if (!auth.valid) {
+        logger.warn('Rejected PubSub push request', { reason: auth.reason });
+        res.writeHead(auth.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: 'Unauthorized',
+          message: auth.reason
+        }));
+        return;
+      }
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(body);
+      if (!envelope?.message) {
+        throw new Error('Missing message in push envelope');
+      }
+    } catch (parseError) {
+      logger.error('Invalid PubSub push envelope, dead-lettering', { error: parseError.message });
+      await deadLetterEnvelope(body, parseError, res);
+      return;
+    }
+
+    // The envelope names the push subscription, which selects its processor type, DLQ and limits
+    const runtime = envelope.subscription ? getSubscriptionRuntime(envelope.subscription) : null;
+    if (!runtime) {
+      logger.error('Rejected PubSub push message from an unknown subscription', {
+        subscription: envelope.subscription || null,
+        message_id: envelope.message.messageId || envelope.message.message_id
+      });
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: 'Unknown subscription',
+        message: `Subscription ${envelope.subscription || '(none)'} is not configured on this worker`
+      }));
+      return;
+    }
+
+    let outcome = null;
+    const message = createPushMessage(envelope, (result) => {
+      outcome = outcome || result;
+    });
+
+    logger.debug('Received PubSub push message', {
+      message_id: message.id,
+      subscription: envelope.subscription,
+      delivery_attempt: message.deliveryAttempt
+    });
+
+    try {
+      await handleMessage(message, runtime);
+    } catch (error) {
+      logger.error('Unhandled error processing push message', {
+        error: error.message,
+        message_id: message.id
+      });
+      outcome = outcome || 'nack';
+    }
+
+    if (outcome === 'ack') {
+      res.writeHead(204);
+      res.end();
+    } else {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: 'Message not acknowledged',
+        message_id: message.id
+      }));
+    }
+  });
+}
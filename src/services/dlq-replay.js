@@ -0,0 +1,224 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { pullMessages } from './pubsub/client.js';
+import { handleMessage, MESSAGE_OUTCOME } from './pubsub/processor.js';
+import { getSubscriptionRuntime } from './pubsub/subscriptions.js';
+
+// Number of DLQ messages requested per pull
+const PULL_BATCH_SIZE = 10;
+
+/**
+ * Checks whether a DLQ envelope matches the replay filters
+ * @param {Object} envelope - DLQ payload ({original_message, error, stack, timestamp})
+ * @param {Object} filters - Replay filters
+ * @param {string} [filters.error] - Case-insensitive substring of the recorded error
+ * @param {string} [filters.traceId] - Exact trace ID of the original message
+ * @param {string} [filters.processorType] - Processor type of the original message
+ * @param {string} [filters.from] - Only messages dead-lettered at or after this ISO time
+ * @param {string} [filters.to] - Only messages dead-lettered at or before this ISO time
+ * @returns {boolean} - Whether the envelope matches
+ */
+export function matchesReplayFilters(envelope, filters = {}) {
+  const original = envelope.original_message || {};
+  const failedAt = envelope.timestamp ? new Date(envelope.timestamp) : null;
+
+  if (filters.error && !(envelope.error || '').toLowerCase().includes(filters.error.toLowerCase())) {
+    return false;
+  }
+  if (filters.traceId && original.trace_id !== filters.traceId) {
+    return false;
+  }
+  if (filters.processorType && original.processor_type !== filters.processorType) {
+    return false;
+  }
+  if (filters.from && (!failedAt || failedAt < new Date(filters.from))) {
+    return false;
+  }
+  if (filters.to && (!failedAt || failedAt > new Date(filters.to))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Identifies the original message of a DLQ envelope. A replay that fails again is
+ * dead-lettered under the same original message ID, so its new DLQ copy has the same key.
+ * @param {Object} envelope - DLQ payload
+ * @returns {string} - Replay key
+ */
+function getReplayKey(envelope) {
+  const original = envelope.original_message;
+  return envelope.message_id || original.trace_id || JSON.stringify(original);
+}
+
+/**
+ * Re-injects a dead-lettered message into the processing pipeline under its original
+ * message ID, so the ledger and the notification idempotency keys apply to the replay
+ * @param {Object} dlqMessage - Message pulled from the DLQ subscription
+ * @param {Object} envelope - Parsed DLQ payload
+ * @returns {Promise<{outcome: string, error?: string}>} - Pipeline outcome
+ */
+async function reinject(dlqMessage, envelope) {
+  const original = envelope.original_message;
+  const data = original.raw_message !== undefined
+    ? Buffer.from(String(original.raw_message))
+    : Buffer.from(JSON.stringify(original));
+  // A subscription removed since the message was dead-lettered falls back to the first one
+  const runtime = getSubscriptionRuntime(envelope.subscription) || getSubscriptionRuntime();
+
+  return handleMessage({
+    id: envelope.message_id || `replay-${dlqMessage.id}`,
+    data,
+    attributes: { replayed_from: dlqMessage.id },
+    publishTime: new Date(),
+    deliveryAttempt: 1,
+    // The pipeline settles the replayed copy; the DLQ message is settled by the caller
+    ack: () => {},
+    nack: () => {}
+  }, runtime);
+}
+
+/**
+ * Pulls messages from a DLQ subscription and replays the ones matching the filters.
+ * Replayed messages are acknowledged on the DLQ; skipped ones are released at the end of the run.
+ * A message is replayed at most once per run: the DLQ copy of a replay that fails again is
+ * held for a later run instead of being replayed in a loop.
+ * @param {Object} options - Replay options
+ * @param {string} [options.subscription] - DLQ subscription name (defaults to DLQ_SUBSCRIPTION)
+ * @param {Object} [options.filters] - Filters, see matchesReplayFilters
+ * @param {boolean} [options.dryRun] - Report what would be replayed without replaying
+ * @param {number} [options.maxMessages] - Maximum number of DLQ messages to inspect
+ * @returns {Promise<Object>} - Replay report with per-message outcomes
+ */
+export async function replayDeadLetters({
+  subscription = config.dlqSubscription,
+  filters = {},
+  dryRun = false,
+  maxMessages = 100
+} = {}) {
+  if (!subscription) {
+    throw new Error('No DLQ subscription configured (set DLQ_SUBSCRIPTION or pass a subscription)');
+  }
+
+  const report = {
+    subscription,
+    dry_run: dryRun,
+    filters,
+    inspected: 0,
+    matched: 0,
+    replayed: 0,
+    failed: 0,
+    skipped: 0,
+    messages: []
+  };
+  const held = [];
+  const seen = new Set();
+  const replayed = new Set();
+
+  logger.info('Starting DLQ replay', { subscription, filters, dry_run: dryRun, max_messages: maxMessages });
+
+  try {
+    while (report.inspected < maxMessages) {
+      const batch = await pullMessages(subscription, Math.min(PULL_BATCH_SIZE, maxMessages - report.inspected));
+
+      // Messages whose lease expired during the run come back; hold them without counting twice
+      const fresh = batch.filter(dlqMessage => {
+        if (seen.has(dlqMessage.id)) {
+          held.push(dlqMessage);
+          return false;
+        }
+        seen.add(dlqMessage.id);
+        return true;
+      });
+
+      if (fresh.length === 0) break;
+
+      for (const dlqMessage of fresh) {
+        report.inspected++;
+
+        let envelope;
+        try {
+          envelope = JSON.parse(dlqMessage.data.toString());
+        } catch (parseError) {
+          envelope = null;
+        }
+
+        if (!envelope?.original_message) {
+          report.skipped++;
+          report.messages.push({ dlq_message_id: dlqMessage.id, status: 'unreadable' });
+          held.push(dlqMessage);
+          continue;
+        }
+
+        if (!matchesReplayFilters(envelope, filters)) {
+          report.skipped++;
+          held.push(dlqMessage);
+          continue;
+        }
+
+        const replayKey = getReplayKey(envelope);
+        if (replayed.has(replayKey)) {
+          report.skipped++;
+          report.messages.push({
+            dlq_message_id: dlqMessage.id,
+            trace_id: envelope.original_message.trace_id,
+            status: 'replayed_this_run'
+          });
+          held.push(dlqMessage);
+          continue;
+        }
+        replayed.add(replayKey);
+
+        report.matched++;
+        const entry = {
+          dlq_message_id: dlqMessage.id,
+          trace_id: envelope.original_message.trace_id,
+          processor_type: envelope.original_message.processor_type,
+          original_error: envelope.error,
+          dead_lettered_at: envelope.timestamp
+        };
+        report.messages.push(entry);
+
+        if (dryRun) {
+          entry.status = 'would_replay';
+          held.push(dlqMessage);
+          continue;
+        }
+
+        const { outcome, error } = await reinject(dlqMessage, envelope);
+
+        if (outcome === MESSAGE_OUTCOME.PROCESSED || outcome === MESSAGE_OUTCOME.DUPLICATE) {
+          entry.status = outcome === MESSAGE_OUTCOME.PROCESSED ? 'replayed' : 'already_processed';
+          report.replayed++;
+          await dlqMessage.ack();
+        } else if (outcome === MESSAGE_OUTCOME.DEAD_LETTERED) {
+          // The pipeline already dead-lettered a fresh copy with the new error
+          entry.status = 'failed';
+          entry.replay_error = error;
+          report.failed++;
+          await dlqMessage.ack();
+        } else {
+          entry.status = 'failed';
+          entry.replay_error = error || 'Message was not acknowledged';
+          report.failed++;
+          held.push(dlqMessage);
+        }
+      }
+    }
+  } finally {
+    await Promise.all(held.map(dlqMessage => dlqMessage.nack()));
+  }
+
+  logger.info('DLQ replay completed', {
+    subscription,
+    dry_run: dryRun,
+    inspected: report.inspected,
+    matched: report.matched,
+    replayed: report.replayed,
+    failed: report.failed,
+    skipped: report.skipped
+  });
+
+  return report;
+}
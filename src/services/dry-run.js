@@ -0,0 +1,86 @@
+import { logger } from '../utils/logger.js';
+import { planMessage } from './parser.js';
+import { buildEmailMessage, getEmailTopic } from './notification.js';
+import { getDefaultRelevanceThreshold } from './relevance.js';
+
+// How the email of a dry-run user is assumed to be delivered
+export const EMAIL_DELIVERY_MODES = ['immediate', 'daily', 'none'];
+
+/**
+ * Runs a message through version conversion, validation and normalization without touching
+ * the database or any topic, and reports what processing it would have done
+ * @param {Object} message - The raw message data
+ * @param {Object} [options] - Dry-run options
+ * @param {Object} [options.attributes] - PubSub message attributes
+ * @param {string} [options.emailDelivery='immediate'] - Assumed email preference of the user
+ *   (the real one lives in users.metadata, which a dry run doesn't read)
+ * @param {string} [options.email] - Email address to show in the email messages
+ * @param {number} [options.relevanceThreshold] - Relevance threshold to apply instead of the
+ *   global default (subscription and user thresholds live in the database)
+ * @param {string} [options.locale] - Locale to write the text in instead of the processor's default
+ *   (the user's language lives in users.metadata)
+ * @returns {Promise<Object>} - Report with the stages, normalized message, rows and email publishes
+ */
+export async function dryRunMessage(message, {
+  attributes = {},
+  emailDelivery = 'immediate',
+  email = null,
+  relevanceThreshold = null,
+  locale = null
+} = {}) {
+  const relevance = relevanceThreshold === null
+    ? getDefaultRelevanceThreshold()
+    : { threshold: relevanceThreshold, source: 'request' };
+  const plan = await planMessage(message, {
+    attributes,
+    dryRun: true,
+    resolveRelevance: async () => relevance,
+    resolveLocale: async (userId, processorLocale) => locale || processorLocale
+  });
+
+  const emailPublishes = emailDelivery === 'none'
+    ? []
+    : plan.notifications.map(row => ({
+      topic: getEmailTopic(emailDelivery === 'immediate'),
+      data: buildEmailMessage({
+        id: null,
+        userId: row.user_id,
+        title: row.title,
+        content: row.content,
+        sourceUrl: row.source_url,
+        locale: row.locale,
+        highlights: row.data.highlights
+      }, email)
+    }));
+
+  logger.info('Dry-run parse completed', {
+    trace_id: plan.trace_id,
+    processor: plan.processor,
+    valid: !plan.error,
+    notifications: plan.notifications.length,
+    filtered: plan.filtered.length,
+    email_publishes: emailPublishes.length
+  });
+
+  return {
+    dry_run: true,
+    valid: !plan.error,
+    error: plan.error ? { name: plan.error.name, message: plan.error.message } : null,
+    trace_id: plan.trace_id,
+    processor: plan.processor,
+    schema_version: plan.schema_version,
+    normalization: plan.normalization,
+    sanitization: plan.sanitization,
+    dates: plan.dates,
+    stages: plan.stages,
+    normalized_message: plan.message,
+    relevance: plan.relevance,
+    locale: plan.locale,
+    notifications: plan.notifications,
+    skipped: plan.skipped,
+    filtered: plan.filtered,
+    merged: plan.merged,
+    email_delivery: emailDelivery,
+    email_publishes: emailPublishes
+  };
+}
@@ -0,0 +1,183 @@
+import { database } from './database.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+// Ledger entry statuses
+export const LEDGER_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Claims a message for processing in the ledger (table created by
+ * migrations/20261018000000_create_processed_messages.sql).
+ * Only one claim succeeds per message id, even across instances.
+ * A previously failed message, or one whose processing lease expired, can be reclaimed.
+ * @param {string} messageId - The PubSub message ID
+ * @param {string|null} traceId - The producer trace ID (recorded for tracing only)
+ * @returns {Promise<{claimed: boolean, key: string|null, attempts: number, status: string|null}>}
+ */
+export async function claimMessage(messageId, traceId) {
+  if (!config.ledger.enabled || !messageId) {
+    return { claimed: true, key: null, attempts: 1, status: null };
+  }
+
+  const inserted = await database.query(
+    `INSERT INTO processed_messages (message_id, trace_id, status, instance_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (message_id) DO NOTHING
+     RETURNING message_id, attempts`,
+    [messageId, traceId, LEDGER_STATUS.PROCESSING, config.instanceId]
+  );
+
+  if (inserted.rowCount > 0) {
+    return { claimed: true, key: messageId, attempts: 1, status: LEDGER_STATUS.PROCESSING };
+  }
+
+  // Reclaim entries that failed or were abandoned by a crashed instance
+  const reclaimed = await database.query(
+    `UPDATE processed_messages
+     SET status = $3,
+         trace_id = COALESCE($2, trace_id),
+         attempts = attempts + 1,
+         instance_id = $4,
+         error = NULL,
+         claimed_at = NOW(),
+         updated_at = NOW()
+     WHERE message_id = $1
+       AND (status = $5 OR (status = $3 AND claimed_at < NOW() - ($6 * INTERVAL '1 millisecond')))
+     RETURNING message_id, attempts`,
+    [
+      messageId,
+      traceId,
+      LEDGER_STATUS.PROCESSING,
+      config.instanceId,
+      LEDGER_STATUS.FAILED,
+      config.ledger.processingLeaseMs
+    ]
+  );
+
+  if (reclaimed.rowCount > 0) {
+    const { message_id: key, attempts } = reclaimed.rows[0];
+    logger.info('Reclaimed message in processing ledger', {
+      message_id: messageId,
+      ledger_key: key,
+      trace_id: traceId,
+      attempts
+    });
+    return { claimed: true, key, attempts, status: LEDGER_STATUS.PROCESSING };
+  }
+
+  const existing = await database.query(
+    `SELECT message_id, status, attempts
+     FROM processed_messages
+     WHERE message_id = $1`,
+    [messageId]
+  );
+
+  const entry = existing.rows[0];
+  return {
+    claimed: false,
+    key: entry?.message_id || messageId,
+    attempts: entry?.attempts || 0,
+    status: entry?.status || null
+  };
+}
+
+/**
+ * Marks a claimed ledger entry as completed
+ * @param {string|null} key - The ledger key returned by claimMessage
+ * @param {Object} result - Processing result summary
+ * @returns {Promise<void>}
+ */
+export async function markCompleted(key, result = {}) {
+  if (!key) return;
+
+  await database.query(
+    `UPDATE processed_messages
+     SET status = $2, result = $3, error = NULL, completed_at = NOW(), updated_at = NOW()
+     WHERE message_id = $1`,
+    [key, LEDGER_STATUS.COMPLETED, JSON.stringify(result)]
+  );
+}
+
+/**
+ * Marks a claimed ledger entry as failed so a later delivery can reclaim it. Entries that
+ * completed in the meantime are left alone.
+ * Never throws: a ledger write failure must not mask the original processing error.
+ * @param {string|null} key - The ledger key returned by claimMessage
+ * @param {Error} error - The processing error
+ * @returns {Promise<void>}
+ */
+export async function markFailed(key, error) {
+  if (!key) return;
+
+  try {
+    await database.query(
+      `UPDATE processed_messages
+       SET status = $2, error = $3, updated_at = NOW()
+       WHERE message_id = $1 AND status = $4`,
+      [key, LEDGER_STATUS.FAILED, error?.message || 'Unknown error', LEDGER_STATUS.PROCESSING]
+    );
+  } catch (ledgerError) {
+    logger.warn('Failed to record message failure in ledger', {
+      ledger_key: key,
+      error: ledgerError.message
+    });
+  }
+}
+
+/**
+ * Claims the notification of a document for a message, in the transaction that creates it.
+ * A message reclaimed after a partial failure gets `claimed: false` for the notifications its
+ * earlier attempts already created, so they aren't created or emailed again.
+ * @param {Object} client - Database client of the notification transaction
+ * @param {Object} params - Notification identity
+ * @param {string} params.messageId - The PubSub message ID
+ * @param {string} params.userId - User ID
+ * @param {string} params.documentKey - Document identity (see the processor's getDocumentKey)
+ * @returns {Promise<{claimed: boolean, notificationId: string|null}>} - Whether the notification
+ *   is new, or the notification an earlier attempt created
+ */
+export async function claimNotification(client, { messageId, userId, documentKey }) {
+  const inserted = await client.query(
+    `INSERT INTO processed_notifications (message_id, user_id, document_key)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (message_id, user_id, document_key) DO NOTHING
+     RETURNING message_id`,
+    [messageId, userId, documentKey]
+  );
+
+  if (inserted.rowCount > 0) {
+    return { claimed: true, notificationId: null };
+  }
+
+  const existing = await client.query(
+    `SELECT notification_id
+     FROM processed_notifications
+     WHERE message_id = $1 AND user_id = $2 AND document_key = $3`,
+    [messageId, userId, documentKey]
+  );
+
+  return { claimed: false, notificationId: existing.rows[0]?.notification_id || null };
+}
+
+/**
+ * Records the notification created for a claimed document (see claimNotification)
+ * @param {Object} client - Database client of the notification transaction
+ * @param {Object} params - Notification identity
+ * @param {string} params.messageId - The PubSub message ID
+ * @param {string} params.userId - User ID
+ * @param {string} params.documentKey - Document identity
+ * @param {string} notificationId - ID of the created notification
+ * @returns {Promise<void>}
+ */
+export async function recordNotificationId(client, { messageId, userId, documentKey }, notificationId) {
+  await client.query(
+    `UPDATE processed_notifications
+     SET notification_id = $4
+     WHERE message_id = $1 AND user_id = $2 AND document_key = $3`,
+    [messageId, userId, documentKey, notificationId]
+  );
+}
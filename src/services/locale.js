@@ -0,0 +1,42 @@
+import { database } from './database.js';
+import { logger } from '../utils/logger.js';
+import { getDefaultLocale, normalizeLocale } from '../utils/i18n.js';
+
+/**
+ * Resolves the language notifications are written in for a user: the user's
+ * `metadata.preferences.language` (or `metadata.language`), else the fallback locale.
+ * Falls back if the database can't be read.
+ * @param {string} userId - The user
+ * @param {string} [fallbackLocale] - Locale used when the user has none, usually the processor's
+ * @returns {Promise<string>} - A supported locale
+ */
+export async function resolveUserLocale(userId, fallbackLocale = getDefaultLocale()) {
+  const fallback = normalizeLocale(fallbackLocale) || getDefaultLocale();
+
+  try {
+    const result = await database.query(
+      `SELECT COALESCE(metadata->'preferences'->>'language', metadata->>'language') AS language
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+    const language = result.rows[0]?.language;
+    const locale = normalizeLocale(language);
+
+    if (language && !locale) {
+      logger.debug('Unsupported user language, using the default locale', {
+        user_id: userId,
+        language,
+        locale: fallback
+      });
+    }
+
+    return locale || fallback;
+  } catch (error) {
+    logger.warn('Failed to resolve user locale, using the default', {
+      error: error.message,
+      user_id: userId,
+      locale: fallback
+    });
+    return fallback;
+  }
+}
@@ -2,6 +2,17 @@ import { database } from './database.js';
 import { logger } from '../utils/logger.js';
 import { publishToTopic, getEmailTopics } from './pubsub/client.js';
 import { withRetry } from '../utils/retry.js';
+import { buildTitle } from '../utils/titles.js';
+import { translate } from '../utils/i18n.js';
+import { resolveUserLocale } from './locale.js';
+import { sanitizeMatch } from '../utils/sanitize.js';
+import { boeProcessor } from '../processors/boe.js';
+import { buildBoeLinks } from '../utils/boe-links.js';
+import { toCalendarDate } from '../utils/dates.js';
+import { buildExcerpt, getPromptTerms } from '../utils/excerpts.js';
+import { config } from '../config/index.js';
+import { claimDelivery, recordDelivery, recordAlsoMatched } from './suppression.js';
+import { claimNotification, recordNotificationId } from './ledger.js';
 
 // Get email topics
 const emailTopics = getEmailTopics();
@@ -132,6 +143,65 @@ async function updateSubscriptionProcessingStatus(subscriptionId, status, errorM
   }
 }
 
+/**
+ * Builds the message published to the email notification topics, in the notification's locale
+ * @param {Object} notification - The notification data
+ * @param {string} email - The user's email address
+ * @returns {Object} - The email topic message
+ */
+export function buildEmailMessage(notification, email) {
+  return {
+    userId: notification.userId,
+    email: email,
+    notification: {
+      id: notification.id,
+      title: notification.title,
+      content: notification.content || '',
+      sourceUrl: notification.sourceUrl || '',
+      // Ranges of the prompt terms in the title and content, for bolding
+      highlights: notification.highlights || null,
+      subscriptionName: notification.subscriptionName || translate(notification.locale, 'email.subscription_name'),
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Returns the email topic for immediate notifications or the daily digest
+ * @param {boolean} immediate - Whether to send immediately or add to daily digest
+ * @returns {string} - The topic name
+ */
+export function getEmailTopic(immediate) {
+  return immediate ? config.emailImmediateTopic : config.emailDailyTopic;
+}
+
+/**
+ * Stores the summary of the last run in the subscription processing record's metadata
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} summary - Run summary (counts, relevance threshold)
+ * @returns {Promise<boolean>} - Whether a record was updated
+ */
+export async function recordProcessingSummary(subscriptionId, summary) {
+  try {
+    const result = await database.query(
+      `UPDATE subscription_processing 
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('last_run', $2::jsonb),
+           updated_at = NOW()
+       WHERE subscription_id = $1
+       RETURNING id`,
+      [subscriptionId, JSON.stringify(summary)]
+    );
+    
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.warn('Failed to record subscription processing summary', {
+      error: error.message,
+      subscription_id: subscriptionId
+    });
+    return false;
+  }
+}
+
 /**
  * Publishes a notification to the appropriate email notification topic
  * @param {Object} notification - The notification data
@@ -140,20 +210,8 @@ async function updateSubscriptionProcessingStatus(subscriptionId, status, errorM
  */
 async function publishEmailNotification(notification, email, immediate) {
   try {
-    const messageData = {
-      userId: notification.userId,
-      email: email,
-      notification: {
-        id: notification.id,
-        title: notification.title,
-        content: notification.content || '',
-        sourceUrl: notification.sourceUrl || '',
-        subscriptionName: notification.subscriptionName || 'NIFYA Alert',
-      },
-      timestamp: new Date().toISOString()
-    };
-
-    const topicName = immediate ? 'email-notifications-immediate' : 'email-notifications-daily';
+    const messageData = buildEmailMessage(notification, email);
+    const topicName = getEmailTopic(immediate);
     
     const messageId = await publishToTopic(topicName, messageData);
     
@@ -175,9 +233,12 @@ async function publishEmailNotification(notification, email, immediate) {
 }
 
 /**
- * Creates a single notification with proper RLS context
+ * Creates a single notification with proper RLS context, unless the user was already notified
+ * about the same document (`document_key`) within the suppression window, or an earlier delivery
+ * of the same message (`message_id`) already created it. Default text is written in `locale`.
  * @param {Object} data - Notification data
- * @returns {Promise<Object>} - Created notification ID
+ * @returns {Promise<Object>} - Created notification, or the original one with `suppressed: true`
+ *   or `duplicate: true`
  */
 export async function createNotification(data) {
   try {
@@ -190,20 +251,45 @@ export async function createNotification(data) {
       source = null,
       data: notificationData = {},
       metadata = {}, 
-      entity_type = 'notification:generic' 
+      entity_type = 'notification:generic',
+      document_key = null,
+      message_id = null,
+      locale
     } = data;
     
     // Support both camelCase and snake_case parameter names
     const effectiveUserId = userId || user_id;
     const effectiveSubscriptionId = subscriptionId || subscription_id;
     const effectiveSourceUrl = sourceUrl || source_url;
+    // Same title for the stored notification and its email
+    const effectiveTitle = title || translate(locale, 'title.default');
     
     if (!effectiveUserId || !effectiveSubscriptionId) {
       throw new Error('Missing required fields: userId and subscriptionId');
     }
     
+    // Notifications of a PubSub message are keyed by message, user and document, so a message
+    // reclaimed after a partial failure doesn't create them again
+    const idempotencyKey = message_id && document_key
+      ? { messageId: message_id, userId: effectiveUserId, documentKey: document_key }
+      : null;
+    const delivery = { userId: effectiveUserId, subscriptionId: effectiveSubscriptionId, documentKey: document_key };
+    
     // Use the withRLSContext method to handle the transaction with proper RLS context
     const result = await database.withRLSContext(effectiveUserId, async (client) => {
+      if (idempotencyKey) {
+        const claim = await claimNotification(client, idempotencyKey);
+        if (!claim.claimed) {
+          return { duplicateOf: claim.notificationId };
+        }
+      }
+      
+      // Skip documents the user was already notified about within the suppression window
+      const gate = await claimDelivery(client, delivery);
+      if (!gate.claimed) {
+        return { suppression: gate.suppression };
+      }
+      
       const insertResult = await client.query(
         `INSERT INTO notifications (
           user_id,
@@ -222,7 +308,7 @@ export async function createNotification(data) {
         [
           effectiveUserId,
           effectiveSubscriptionId,
-          title || 'Notification',
+          effectiveTitle,
           content || '',
           effectiveSourceUrl,
           source,
@@ -233,9 +319,60 @@ export async function createNotification(data) {
         ]
       );
       
+      if (idempotencyKey) {
+        await recordNotificationId(client, idempotencyKey, insertResult.rows[0]?.id);
+      }
+      await recordDelivery(client, delivery, insertResult.rows[0]?.id);
+      
       return insertResult;
     });
     
+    if (result.suppression !== undefined) {
+      const { suppression } = result;
+      await recordAlsoMatched(suppression, effectiveUserId, {
+        subscription_id: effectiveSubscriptionId,
+        trace_id: metadata.trace_id,
+        prompts: metadata.prompts,
+        relevance_score: metadata.relevance_score
+      });
+      
+      logger.info('Suppressed duplicate notification', {
+        user_id: effectiveUserId,
+        subscription_id: effectiveSubscriptionId,
+        document_key,
+        original_notification_id: suppression?.notification_id,
+        original_subscription_id: suppression?.subscription_id
+      });
+      
+      return {
+        id: suppression?.notification_id || null,
+        suppressed: true,
+        userId: effectiveUserId,
+        subscriptionId: effectiveSubscriptionId,
+        title: effectiveTitle,
+        entity_type
+      };
+    }
+    
+    if (result.duplicateOf !== undefined) {
+      logger.info('Skipping notification already created for this message', {
+        user_id: effectiveUserId,
+        subscription_id: effectiveSubscriptionId,
+        message_id,
+        document_key,
+        notification_id: result.duplicateOf
+      });
+      
+      return {
+        id: result.duplicateOf,
+        duplicate: true,
+        userId: effectiveUserId,
+        subscriptionId: effectiveSubscriptionId,
+        title: effectiveTitle,
+        entity_type
+      };
+    }
+    
     logger.info('Created notification with RLS context', {
       user_id: effectiveUserId,
       subscription_id: effectiveSubscriptionId,
@@ -248,11 +385,13 @@ export async function createNotification(data) {
       id: result.rows[0]?.id,
       userId: effectiveUserId,
       subscriptionId: effectiveSubscriptionId,
-      title,
+      title: effectiveTitle,
       content,
       sourceUrl: effectiveSourceUrl,
       source,
       entity_type,
+      locale,
+      highlights: notificationData.highlights,
       created_at: new Date().toISOString()
     };
 
@@ -365,6 +504,8 @@ export async function createNotifications(message) {
     // Continue anyway, as the service role might have direct table access
   }
   
+  const locale = await resolveUserLocale(user_id);
+  
   try {
     // Process notifications from message
     if (!message.results.matches || !Array.isArray(message.results.matches) || message.results.matches.length === 0) {
@@ -384,41 +525,14 @@ export async function createNotifications(message) {
           // Process this document with retry logic
           await withRetry(
             async () => {
-              // ENHANCED TITLE GENERATION - Generate a more meaningful title
-              let notificationTitle = '';
+              // Same text and link sanitization as the parser (see utils/sanitize.js)
+              sanitizeMatch(doc, { baseUrl: boeProcessor.baseUrl });
               
-              // First try to use notification_title field which is optimized for display
-              if (doc.notification_title && doc.notification_title.length > 3 && 
-                  doc.notification_title !== 'string' && !doc.notification_title.includes('notification')) {
-                notificationTitle = doc.notification_title;
-              }
-              // Otherwise try the original title
-              else if (doc.title && doc.title.length > 3 && 
-                      doc.title !== 'string' && !doc.title.includes('notification')) {
-                // Truncate long titles to 80 chars for consistency with notification_title
-                notificationTitle = doc.title.length > 80 
-                  ? doc.title.substring(0, 77) + '...' 
-                  : doc.title;
-              }
-              // If both are missing, construct a descriptive title from available fields
-              else if (doc.document_type) {
-                // Construct a descriptive title based on available metadata
-                const docType = doc.document_type || 'Documento';
-                const issuer = doc.issuing_body || doc.department || '';
-                const date = doc.dates?.publication_date ? ` (${doc.dates.publication_date})` : '';
-                
-                notificationTitle = `${docType}${issuer ? ' de ' + issuer : ''}${date}`;
-              }
-              else {
-                // Enhanced last resort - use relevant context from match data
-                const subscription = message.processor_type || '';
-                const promptContext = match.prompt && match.prompt.length > 5 ? 
-                  `: "${match.prompt.substring(0, 30)}${match.prompt.length > 30 ? '...' : ''}"` : '';
-                  
-                notificationTitle = subscription 
-                  ? `Alerta ${subscription}${promptContext}` 
-                  : `Alerta BOE${promptContext}`;
-              }
+              // Same title rules as the processors (see utils/titles.js)
+              const notificationTitle = buildTitle(message.processor_type || 'boe', doc, {
+                prompt: match.prompt,
+                locale
+              });
               
               // Create entity_type for metadata
               const entityType = `boe:${doc.document_type?.toLowerCase() || 'document'}`;
@@ -439,15 +553,15 @@ export async function createNotifications(message) {
                   user_id,
                   subscription_id,
                   notificationTitle,
-                  doc.summary,
-                  doc.links?.html || '',
+                  doc.summary ? buildExcerpt(doc.summary, { terms: getPromptTerms([match.prompt]) }) : doc.summary,
+                  buildBoeLinks(doc, { publicationDate: message.results.query_date }).html || '',
                   JSON.stringify({
                     prompt: match.prompt,
                     relevance: doc.relevance_score,
                     document_type: doc.document_type,
                     original_title: doc.title,
                     processor_type: message.processor_type,
-                    publication_date: doc.dates?.publication_date,
+                    publication_date: toCalendarDate(doc.dates?.publication_date) || undefined,
                     issuing_body: doc.issuing_body,
                     section: doc.section,
                     department: doc.department,
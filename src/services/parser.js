@@ -1,139 +1,331 @@
 import { logger } from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import { MessageSchema } from '../types/parser.js';
-import { createNotification } from './notification.js';
-import { database } from './database.js';
+import { createNotification, recordProcessingSummary } from './notification.js';
+import { resolveRelevanceThreshold, isBelowRelevanceThreshold } from './relevance.js';
+import { resolveUserLocale } from './locale.js';
 import { validateBoeParserMessage } from '../utils/schemas/pubsubMessages.js';
+import { toCanonicalMessage } from '../utils/schemas/versions.js';
+import { MessageValidationError, classifyError, ERROR_CATEGORY } from '../utils/errors.js';
+import { getProcessor } from '../processors/registry.js';
+import { translate } from '../utils/i18n.js';
+import { sanitizeMessage } from '../utils/sanitize.js';
+import { getCalendarDate, normalizeMessageDates } from '../utils/dates.js';
+import { buildExcerpt, getPromptTerms, highlightNotification } from '../utils/excerpts.js';
+
+// Where normalization looks for the user and subscription of a message, in order
+const USER_ID_PATHS = ['request.user_id', 'user_id', 'context.user_id', 'userId', 'context.userId'];
+const SUBSCRIPTION_ID_PATHS = [
+  'request.subscription_id', 'subscription_id', 'context.subscription_id',
+  'subscriptionId', 'context.subscriptionId'
+];
 
 /**
- * Validates and processes a PubSub message from any source
+ * Determines the processor type of a message. Messages from the BOE parser predate
+ * processor_type and are recognised by their boe_info block.
  * @param {Object} message - The parsed message data
- * @returns {Promise<Object>} - Stats about created notifications
+ * @returns {string|null} - The processor type
+ */
+function resolveProcessorType(message) {
+  return message.processor_type || (message.results?.boe_info ? 'boe' : null);
+}
+
+/**
+ * Returns the first non-empty value found at the given dotted paths
+ * @param {Object} message - The message to search
+ * @param {Array<string>} paths - Dotted paths, in order of preference
+ * @returns {{value: *, path: string|null}} - The value and the path it came from
  */
-export async function processMessage(message) {
-  // Generate trace ID if not present
+function pickField(message, paths) {
+  for (const path of paths) {
+    const value = path.split('.').reduce((current, key) => current?.[key], message);
+    if (value) {
+      return { value, path };
+    }
+  }
+
+  return { value: '', path: null };
+}
+
+/**
+ * Records the outcome of a validation stage in a plan
+ * @param {Object} plan - The plan being built
+ * @param {string} stage - Stage name
+ * @param {Object|null} [error] - Zod or shared schema error, if the stage failed
+ */
+function recordStage(plan, stage, error = null) {
+  const errors = !error
+    ? []
+    : error.errors
+      ? error.errors.map(issue => ({ path: issue.path.join('.'), message: issue.message }))
+      : [{ path: '', message: error.message }];
+
+  plan.stages.push({ stage, valid: !error, errors });
+}
+
+/**
+ * Plans the processing of a message without writing anything: converts it to the canonical
+ * schema, validates and normalizes it and builds the notification rows it would create.
+ * The outcome of every validation stage is recorded, so the plan also explains failures.
+ * @param {Object} message - The parsed message data
+ * @param {Object} [options] - Planning options
+ * @param {Object} [options.attributes] - PubSub message attributes (used for version detection)
+ * @param {boolean} [options.dryRun=false] - Whether the plan is only inspected (not counted in metrics)
+ * @param {function(string, string): Promise<Object>} [options.resolveRelevance] - Resolves the
+ *   relevance threshold ({threshold, source}) of a user and subscription
+ * @param {function(string, string): Promise<string>} [options.resolveLocale] - Resolves the locale
+ *   of a user, given the processor's default locale
+ * @returns {Promise<Object>} - The plan; `error` is set if the message cannot be processed
+ */
+export async function planMessage(message, {
+  attributes = {},
+  dryRun = false,
+  resolveRelevance = resolveRelevanceThreshold,
+  resolveLocale = resolveUserLocale
+} = {}) {
   const traceId = message.trace_id || uuidv4();
-  
-  logger.info('Starting message processing', {
+  const processor = getProcessor(resolveProcessorType(message));
+
+  const plan = {
     trace_id: traceId,
-    processor_type: message.processor_type || 'unknown'
-  });
-  
+    processor: processor.type,
+    schema_version: null,
+    normalization: null,
+    sanitization: null,
+    dates: null,
+    stages: [],
+    message: null,
+    relevance: null,
+    locale: processor.locale,
+    notifications: [],
+    skipped: [],
+    filtered: [],
+    merged: 0,
+    error: null
+  };
+
   try {
-    // Validate and normalize message structure
-    const validatedMessage = await validateAndNormalizeMessage(message, traceId);
-    
-    // Process the validated message and create notifications
-    const result = await createNotificationsFromMessage(validatedMessage);
-    
-    logger.info('Message processing completed', {
-      trace_id: traceId,
-      user_id: validatedMessage.request.user_id,
-      subscription_id: validatedMessage.request.subscription_id,
-      notifications_created: result.created,
-      errors: result.errors
-    });
-    
-    // Mark as successfully processed
-    if (validatedMessage.request.subscription_id) {
-      logger.info('Successfully processed message', {
-        trace_id: traceId,
-        subscription_id: validatedMessage.request.subscription_id,
-        user_id: validatedMessage.request.user_id,
-        processing_status: 'completed'
-      });
+    // Validate and normalize message structure, then apply the processor's own schema
+    plan.message = validateAndNormalizeMessage(message, traceId, { attributes, dryRun, processor }, plan);
+    plan.message = validateForProcessor(plan.message, processor, traceId, plan);
+
+    const { user_id: userId, subscription_id: subscriptionId } = plan.message.request;
+    if (userId && subscriptionId) {
+      plan.relevance = await resolveRelevance(userId, subscriptionId);
     }
-    
-    return result;
+    if (userId) {
+      plan.locale = await resolveLocale(userId, processor.locale);
+    }
+
+    const { rows, skipped, filtered, merged } = buildNotificationRows(
+      plan.message, processor, plan.relevance?.threshold, plan.locale
+    );
+    plan.notifications = rows;
+    plan.skipped = skipped;
+    plan.filtered = filtered;
+    plan.merged = merged;
   } catch (error) {
+    plan.error = error;
+  }
+
+  return plan;
+}
+
+/**
+ * Validates and processes a PubSub message from any source
+ * @param {Object} message - The parsed message data
+ * @param {Object} [options] - Processing options
+ * @param {Object} [options.attributes] - PubSub message attributes (used for version detection)
+ * @param {string} [options.messageId] - PubSub message ID, the idempotency key of the notifications
+ * @returns {Promise<Object>} - Stats about created notifications
+ */
+export async function processMessage(message, { attributes = {}, messageId = null } = {}) {
+  logger.info('Starting message processing', {
+    trace_id: message.trace_id,
+    processor_type: message.processor_type || 'unknown',
+    processor: getProcessor(resolveProcessorType(message)).type
+  });
+
+  const plan = await planMessage(message, { attributes });
+  if (plan.error) {
     logger.error('Failed to process message', {
-      error: error.message,
-      stack: error.stack,
-      trace_id: traceId
+      error: plan.error.message,
+      stack: plan.error.stack,
+      trace_id: plan.trace_id
     });
-    throw error;
+    throw plan.error;
   }
+
+  const validatedMessage = plan.message;
+  const result = await executePlan(plan, { messageId });
+
+  logger.info('Message processing completed', {
+    trace_id: plan.trace_id,
+    user_id: validatedMessage.request.user_id,
+    subscription_id: validatedMessage.request.subscription_id,
+    notifications_created: result.created,
+    errors: result.errors,
+    filtered: result.filtered,
+    merged: result.merged,
+    suppressed: result.suppressed,
+    duplicates: result.duplicates,
+    relevance_threshold: result.relevance_threshold
+  });
+
+  // Mark as successfully processed
+  if (validatedMessage.request.subscription_id) {
+    logger.info('Successfully processed message', {
+      trace_id: plan.trace_id,
+      subscription_id: validatedMessage.request.subscription_id,
+      user_id: validatedMessage.request.user_id,
+      processing_status: 'completed'
+    });
+  }
+
+  return result;
 }
 
 /**
- * Validates and normalizes a message to ensure it matches the expected schema
- * @param {Object} message - The message to validate
+ * Validates and normalizes a message to ensure it matches the expected schema.
+ * The message is first converted from its schema version to the canonical one, then its
+ * text and links are sanitized (see utils/sanitize.js) and its dates normalized (see utils/dates.js).
+ * @param {Object} rawMessage - The message to validate
  * @param {string} traceId - The trace ID for logging
- * @returns {Promise<Object>} - The validated and normalized message
+ * @param {Object} options - PubSub message attributes, whether this is a dry run and the processor
+ * @param {Object} plan - The plan recording the stages and normalization applied
+ * @returns {Object} - The validated and normalized message
  */
-async function validateAndNormalizeMessage(message, traceId) {
+function validateAndNormalizeMessage(rawMessage, traceId, { attributes, dryRun, processor }, plan) {
   try {
     // Add trace ID if missing
-    if (!message.trace_id) {
-      message.trace_id = traceId;
+    if (!rawMessage.trace_id) {
+      rawMessage.trace_id = traceId;
+    }
+
+    // Convert older message generations to the canonical schema; unknown versions are rejected
+    let canonical;
+    try {
+      canonical = toCanonicalMessage(rawMessage, attributes, { track: !dryRun });
+      recordStage(plan, 'schema_version');
+    } catch (versionError) {
+      recordStage(plan, 'schema_version', versionError);
+      throw versionError;
+    }
+
+    const { version, source, steps } = canonical;
+    plan.schema_version = { version, detected_from: source, conversions: steps };
+    logger.info('Detected message schema version', {
+      trace_id: traceId,
+      schema_version: version,
+      detected_from: source,
+      conversions: steps
+    });
+
+    // Clean text and links before validation, so relative links can pass the URL checks
+    const { message, report } = sanitizeMessage(canonical.message, {
+      baseUrl: processor.baseUrl,
+      linkFields: processor.linkFields
+    });
+    plan.sanitization = report;
+    recordStage(plan, 'sanitize');
+
+    if (report.texts_cleaned > 0 || report.links_resolved > 0 || report.links_rejected.length > 0) {
+      logger.info('Sanitized message content', {
+        trace_id: traceId,
+        texts_cleaned: report.texts_cleaned,
+        links_resolved: report.links_resolved,
+        links_rejected: report.links_rejected.length
+      });
+    }
+    if (report.links_rejected.length > 0) {
+      logger.warn('Dropped unsafe or unresolvable links', {
+        trace_id: traceId,
+        links: report.links_rejected
+      });
+    }
+
+    // Read dates as calendar dates in the bulletins' time zone; invalid ones are flagged, not replaced
+    plan.dates = normalizeMessageDates(message);
+    recordStage(plan, 'dates');
+
+    if (plan.dates.invalid.length > 0) {
+      logger.warn('Flagged invalid dates in message', {
+        trace_id: traceId,
+        dates: plan.dates.invalid
+      });
     }
-    
+
     // First, try to validate with the shared schema that matches the BOE parser
     try {
       validateBoeParserMessage(message);
+      recordStage(plan, 'shared_schema');
       // If validation passes with the shared schema, proceed to Zod validation
       logger.info('Message validated successfully with shared schema', {
         trace_id: traceId
       });
     } catch (sharedSchemaError) {
+      recordStage(plan, 'shared_schema', sharedSchemaError);
       // Log the shared schema validation failure but continue with normalization
       logger.warn('Shared schema validation failed, will attempt normalization', {
         trace_id: traceId,
         error: sharedSchemaError.message
       });
     }
-    
+
     // Try to validate against Zod schema
     const validationResult = MessageSchema.safeParse(message);
-    
+    recordStage(plan, 'message_schema', validationResult.error);
+
     if (validationResult.success) {
       const validatedMessage = validationResult.data;
-      
+      plan.normalization = { branch: 'none' };
+
       // Check for critical empty fields even if validation passed
       if (!validatedMessage.request.user_id) {
         logger.warn('Message passed validation but has empty user_id', { trace_id: traceId });
       }
-      
+
       if (!validatedMessage.request.subscription_id) {
         logger.warn('Message passed validation but has empty subscription_id', { trace_id: traceId });
       }
-      
+
       return validatedMessage;
     }
-    
+
     // If validation fails, attempt to fix common issues
     logger.warn('Message validation failed, attempting to normalize structure', {
       trace_id: traceId,
       error_count: validationResult.error?.errors?.length || 0
     });
-    
+
     // Extract user_id and subscription_id from various possible locations
-    const user_id = message.request?.user_id || message.user_id || message.context?.user_id || 
-                   message.userId || message.context?.userId || "";
-    const subscription_id = message.request?.subscription_id || message.subscription_id || 
-                           message.context?.subscription_id || message.subscriptionId || 
-                           message.context?.subscriptionId || "";
-    
+    const userId = pickField(message, USER_ID_PATHS);
+    const subscriptionId = pickField(message, SUBSCRIPTION_ID_PATHS);
+
     // Log warning if critical fields are empty
-    if (!user_id) {
+    if (!userId.value) {
       logger.warn('Normalized message has empty user_id field', { trace_id: traceId });
     }
-    
-    if (!subscription_id) {
+
+    if (!subscriptionId.value) {
       logger.warn('Normalized message has empty subscription_id field', { trace_id: traceId });
     }
-    
+
     // Create normalized message structure
     const normalizedMessage = {
       trace_id: traceId,
+      version: message.version,
+      processor_type: message.processor_type,
       request: {
-        user_id: user_id,
-        subscription_id: subscription_id,
+        user_id: userId.value,
+        subscription_id: subscriptionId.value,
         texts: message.request?.texts || message.request?.prompts || []
       },
       results: {
-        query_date: message.results?.query_date || new Date().toISOString().split('T')[0],
-        results: []
+        // Keep source-specific blocks such as boe_info or doga_info
+        ...message.results,
+        query_date: message.results?.query_date || getCalendarDate(),
+        results: Array.isArray(message.results?.results) ? message.results.results : []
       },
       metadata: message.metadata || {
         processing_time_ms: 0,
@@ -141,63 +333,61 @@ async function validateAndNormalizeMessage(message, traceId) {
         status: 'success'
       }
     };
-    
+
     // Ensure boe_info is present even if empty
-    if (!normalizedMessage.results.boe_info) {
+    const boeInfoDefaulted = !normalizedMessage.results.boe_info;
+    if (boeInfoDefaulted) {
       normalizedMessage.results.boe_info = {
         publication_date: normalizedMessage.results.query_date,
         source_url: ''
       };
     }
-    
-    // Attempt to normalize results structure
-    if (Array.isArray(message.results?.results)) {
-      // New format - already has results array
-      normalizedMessage.results.results = message.results.results;
-    } else if (Array.isArray(message.results?.matches)) {
-      // Old format - convert matches to results format
-      normalizedMessage.results.results = [{
-        prompt: message.request?.texts?.[0] || "Default prompt",
-        matches: message.results.matches
-      }];
-    }
-    
-    // Copy BOE info if present
-    if (message.results?.boe_info) {
-      normalizedMessage.results.boe_info = message.results.boe_info;
-    }
-    
+
+    plan.normalization = {
+      branch: 'restructured',
+      user_id_from: userId.path,
+      subscription_id_from: subscriptionId.path,
+      query_date_defaulted: !message.results?.query_date,
+      results_defaulted: !Array.isArray(message.results?.results),
+      boe_info_defaulted: boeInfoDefaulted,
+      metadata_defaulted: !message.metadata
+    };
+    plan.message = normalizedMessage;
+
     // First try to validate with the shared schema
     try {
       validateBoeParserMessage(normalizedMessage);
+      recordStage(plan, 'normalized_shared_schema');
       logger.info('Normalized message validated successfully with shared schema', {
         trace_id: traceId
       });
     } catch (normalizedSharedSchemaError) {
+      recordStage(plan, 'normalized_shared_schema', normalizedSharedSchemaError);
       logger.warn('Normalized message failed shared schema validation', {
         trace_id: traceId,
         error: normalizedSharedSchemaError.message
       });
       // Continue to try Zod validation
     }
-    
+
     // Validate the normalized message with Zod
     const revalidationResult = MessageSchema.safeParse(normalizedMessage);
-    
+    recordStage(plan, 'normalized_message_schema', revalidationResult.error);
+
     if (revalidationResult.success) {
       logger.info('Successfully normalized message structure', {
         trace_id: traceId
       });
       return revalidationResult.data;
     }
-    
+
     // If still invalid, log detailed errors and throw exception
     logger.error('Failed to normalize message structure', {
       trace_id: traceId,
       errors: revalidationResult.error.errors
     });
-    
-    throw new Error('Invalid message format: ' + revalidationResult.error.errors[0]?.message);
+
+    throw new MessageValidationError('Invalid message format: ' + revalidationResult.error.errors[0]?.message);
   } catch (error) {
     logger.error('Error during message validation', {
       error: error.message,
@@ -208,15 +398,102 @@ async function validateAndNormalizeMessage(message, traceId) {
 }
 
 /**
- * Creates notifications from a validated message
+ * Validates a normalized message against the schema of its processor and applies the
+ * processor's own normalization
+ * @param {Object} message - The normalized message
+ * @param {Object} processor - The processor definition (see processors/registry.js)
+ * @param {string} traceId - The trace ID for logging
+ * @param {Object} plan - The plan recording the stage
+ * @returns {Object} - The message as the processor expects it
+ */
+function validateForProcessor(message, processor, traceId, plan) {
+  const validationResult = processor.schema.safeParse(message);
+  recordStage(plan, 'processor_schema', validationResult.error);
+
+  if (!validationResult.success) {
+    logger.error('Message does not match processor schema', {
+      trace_id: traceId,
+      processor: processor.type,
+      errors: validationResult.error.errors
+    });
+
+    const [firstError] = validationResult.error.errors;
+    throw new MessageValidationError(
+      `Invalid ${processor.type} message: ${firstError?.path.join('.')} ${firstError?.message}`
+    );
+  }
+
+  return processor.normalize(validationResult.data);
+}
+
+/**
+ * Groups the matches of all prompts by document (see the processor's getDocumentKey), so a
+ * document matched by several prompts becomes one notification. The best scoring match of a
+ * document is kept, and every prompt that matched it is listed.
  * @param {Object} message - The validated message
- * @returns {Promise<Object>} - Stats about created notifications
+ * @param {Object} processor - The processor definition (see processors/registry.js)
+ * @param {number} relevanceThreshold - Minimum relevance_score of a match
+ * @returns {{documents: Array<Object>, filtered: Array<Object>, merged: number}} - One entry
+ *   ({key, match, queryResult, prompt, prompts}) per document, in first-seen order
+ */
+function groupMatchesByDocument(message, processor, relevanceThreshold) {
+  const traceId = message.trace_id;
+  const documents = new Map();
+  const filtered = [];
+  let merged = 0;
+
+  for (const queryResult of message.results.results || []) {
+    const prompt = queryResult.prompt || 'Default prompt';
+
+    // Skip if no matches
+    if (!queryResult.matches || !Array.isArray(queryResult.matches) || queryResult.matches.length === 0) {
+      logger.info(`No matches found for prompt "${prompt}"`, { trace_id: traceId });
+      continue;
+    }
+
+    for (const match of queryResult.matches) {
+      if (isBelowRelevanceThreshold(match, relevanceThreshold)) {
+        filtered.push({ match_title: match.title || 'unknown', prompt, relevance_score: match.relevance_score });
+        continue;
+      }
+
+      // A match whose document can't be identified is kept on its own
+      const key = processor.getDocumentKey(match, { message, queryResult, prompt }) ?? null;
+      const existing = key === null ? null : documents.get(key);
+      if (!existing) {
+        documents.set(key ?? Symbol('unidentified document'), { key, match, queryResult, prompt, prompts: [prompt] });
+        continue;
+      }
+
+      merged++;
+      if (!existing.prompts.includes(prompt)) {
+        existing.prompts.push(prompt);
+      }
+      if ((match.relevance_score ?? -Infinity) > (existing.match.relevance_score ?? -Infinity)) {
+        Object.assign(existing, { match, queryResult, prompt });
+      }
+    }
+  }
+
+  return { documents: [...documents.values()], filtered, merged };
+}
+
+/**
+ * Builds the notification rows for a validated message, one per match scoring at least
+ * the relevance threshold
+ * @param {Object} message - The validated message
+ * @param {Object} processor - The processor definition (see processors/registry.js)
+ * @param {number} [relevanceThreshold=0] - Minimum relevance_score of a match
+ * @param {string} [locale] - Language of the notification text (defaults to the processor's)
+ * @returns {{rows: Array<Object>, skipped: Array<Object>, filtered: Array<Object>, merged: number}} - Rows
+ *   to insert, matches that could not be converted, matches below the threshold and the number of
+ *   matches merged into another match of the same document
  */
-export async function createNotificationsFromMessage(message) {
+function buildNotificationRows(message, processor, relevanceThreshold = 0, locale = processor.locale) {
   const { request, results } = message;
   const { user_id, subscription_id } = request;
   const traceId = message.trace_id;
-  
+
   logger.info('Creating notifications from message', {
     trace_id: traceId,
     subscription_id,
@@ -224,102 +501,175 @@ export async function createNotificationsFromMessage(message) {
     query_date: results.query_date,
     result_count: results.results?.length || 0
   });
-  
+
   // Validate required fields
   if (!user_id) {
     logger.error('Missing required user_id in request', { trace_id: traceId });
-    return { created: 0, errors: 1 };
+    return { rows: [], skipped: [{ reason: 'Missing required user_id in request' }], filtered: [], merged: 0 };
   }
-  
+
   if (!subscription_id) {
     logger.error('Missing required subscription_id in request', { trace_id: traceId });
-    return { created: 0, errors: 1 };
+    return { rows: [], skipped: [{ reason: 'Missing required subscription_id in request' }], filtered: [], merged: 0 };
   }
-  
-  let notificationsCreated = 0;
-  let errors = 0;
-  
-  // Process each query result
-  for (const queryResult of results.results || []) {
-    const prompt = queryResult.prompt || 'Default prompt';
-    
-    // Skip if no matches
-    if (!queryResult.matches || !Array.isArray(queryResult.matches) || queryResult.matches.length === 0) {
-      logger.info(`No matches found for prompt "${prompt}"`, { trace_id: traceId });
-      continue;
+
+  const { documents, filtered, merged } = groupMatchesByDocument(message, processor, relevanceThreshold);
+  const rows = [];
+  const skipped = [];
+
+  for (const { key, match, queryResult, prompt, prompts } of documents) {
+    try {
+      const context = { message, queryResult, prompt, prompts, locale };
+      const terms = getPromptTerms(prompts);
+      const title = processor.buildTitle(match, context);
+      const content = match.summary
+        ? buildExcerpt(match.summary, { terms })
+        : translate(locale, 'content.no_summary');
+
+      rows.push({
+        user_id,
+        subscription_id,
+        title,
+        content,
+        source_url: processor.getSourceUrl(match, context),
+        source: processor.getSource(message),
+        data: {
+          ...processor.extractData(match, context),
+          // Where the prompt terms appear in the title and content (see utils/excerpts.js)
+          highlights: highlightNotification({ title, content }, terms)
+        },
+        metadata: processor.extractMetadata(match, context),
+        entity_type: processor.getEntityType(match, context),
+        // Not stored; used for cross-run suppression (see services/suppression.js)
+        document_key: key,
+        // Not stored; language of the default title and email (see utils/i18n.js)
+        locale
+      });
+    } catch (error) {
+      logger.error('Failed to build notification from match', {
+        error: error.message,
+        trace_id: traceId,
+        match_title: match.title || 'unknown'
+      });
+      skipped.push({ reason: error.message, match_title: match.title || 'unknown', prompt });
     }
-    
-    // Process each match
-    for (const match of queryResult.matches) {
-      try {
-        // Create notification title from match
-        const notificationTitle = match.notification_title || match.title || 'Notification';
-        
-        // Determine entity type from document type or default to generic
-        const documentType = match.document_type?.toLowerCase() || 'document';
-        const entityType = `notification:${documentType}`;
-        
-        // Determine source based on message or boe info
-        const source = message.processor_type || 
-                      (results.boe_info ? 'boe' : null) || 
-                      'unknown';
-        
-        // Create data JSON with all relevant information
-        const data = {
-          trace_id: traceId,
-          document_type: match.document_type,
-          issuing_body: match.issuing_body,
-          publication_date: results.boe_info?.publication_date || results.query_date,
-          issue_number: results.boe_info?.issue_number,
-          prompt: prompt,
-          relevance_score: match.relevance_score
-        };
-        
-        // Create the notification with RLS context
-        await createNotification({
-          // Pass both camelCase and snake_case versions for maximum compatibility
-          userId: user_id,
-          user_id: user_id,
-          subscriptionId: subscription_id,
-          subscription_id: subscription_id,
-          title: notificationTitle,
-          content: match.summary || 'No summary provided',
-          sourceUrl: match.links?.html || '',
-          source_url: match.links?.html || '',
-          source: source,
-          data: data,
-          metadata: {
-            prompt,
-            query_date: results.query_date,
-            document_type: match.document_type,
-            issuing_body: match.issuing_body,
-            relevance_score: match.relevance_score,
-            boe_info: results.boe_info || {},
-            trace_id: traceId,
-            processing_info: message.metadata || {}
-          },
-          entity_type: entityType
-        });
-        
+  }
+
+  if (filtered.length > 0) {
+    logger.info('Filtered matches below the relevance threshold', {
+      trace_id: traceId,
+      subscription_id,
+      relevance_threshold: relevanceThreshold,
+      filtered: filtered.length
+    });
+  }
+
+  if (merged > 0) {
+    logger.info('Merged matches of the same document', {
+      trace_id: traceId,
+      subscription_id,
+      documents: documents.length,
+      merged
+    });
+  }
+
+  return { rows, skipped, filtered, merged };
+}
+
+/**
+ * Inserts the notification rows of a plan (see planMessage) and records the run summary
+ * for the subscription. A row that fails with a transient database error fails the whole
+ * message, so the ack policy can redeliver it; other row failures are counted in `errors`.
+ * @param {Object} plan - A plan without error
+ * @param {Object} [options] - Execution options
+ * @param {string} [options.messageId] - PubSub message ID; rows an earlier delivery of the
+ *   message already created are skipped
+ * @returns {Promise<Object>} - Stats about created notifications
+ * @throws {Error} - The first transient database error of a row
+ */
+async function executePlan(plan, { messageId = null } = {}) {
+  const { trace_id: traceId, message } = plan;
+  const { user_id: userId, subscription_id: subscriptionId } = message.request;
+  let notificationsCreated = 0;
+  let suppressed = 0;
+  let duplicates = 0;
+  let errors = plan.skipped.length;
+
+  for (const row of plan.notifications) {
+    try {
+      // Create the notification with RLS context
+      const notification = await createNotification({ ...row, message_id: messageId });
+      if (notification.suppressed) {
+        suppressed++;
+      } else if (notification.duplicate) {
+        duplicates++;
+      } else {
         notificationsCreated++;
-      } catch (error) {
-        logger.error('Failed to create notification from match', {
-          error: error.message,
-          trace_id: traceId,
-          match_title: match.title || 'unknown'
-        });
-        errors++;
       }
+    } catch (error) {
+      const category = classifyError(error);
+      logger.error('Failed to create notification from match', {
+        error: error.message,
+        error_category: category,
+        trace_id: traceId,
+        match_title: row.title || 'unknown'
+      });
+
+      // The remaining rows are created on redelivery; the ones created so far are skipped
+      if (category === ERROR_CATEGORY.DB_TRANSIENT) {
+        throw error;
+      }
+      errors++;
     }
   }
-  
+
+  const summary = {
+    created: notificationsCreated,
+    errors,
+    filtered: plan.filtered.length,
+    merged: plan.merged,
+    suppressed,
+    duplicates,
+    relevance_threshold: plan.relevance?.threshold ?? null,
+    relevance_threshold_source: plan.relevance?.source ?? null
+  };
+
   logger.info('Notification creation completed', {
     trace_id: traceId,
-    subscription_id,
-    user_id,
+    subscription_id: subscriptionId,
+    user_id: userId,
     notifications_created: notificationsCreated,
-    errors
+    errors,
+    filtered: summary.filtered,
+    suppressed,
+    duplicates,
+    relevance_threshold: summary.relevance_threshold
   });
-  
-  return { created: notificationsCreated, errors };
-} 
\ No newline at end of file
+
+  if (subscriptionId) {
+    await recordProcessingSummary(subscriptionId, {
+      ...summary,
+      trace_id: traceId,
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Creates notifications from a validated message
+ * @param {Object} message - The validated message
+ * @param {Object} [processor] - The processor definition (see processors/registry.js)
+ * @returns {Promise<Object>} - Stats about created notifications
+ */
+export async function createNotificationsFromMessage(message, processor = getProcessor(resolveProcessorType(message))) {
+  const { user_id: userId, subscription_id: subscriptionId } = message.request;
+  const relevance = userId && subscriptionId
+    ? await resolveRelevanceThreshold(userId, subscriptionId)
+    : null;
+  const locale = userId ? await resolveUserLocale(userId, processor.locale) : processor.locale;
+
+  const { rows, skipped, filtered, merged } = buildNotificationRows(message, processor, relevance?.threshold, locale);
+  return executePlan({ trace_id: message.trace_id, message, relevance, notifications: rows, skipped, filtered, merged });
+}
@@ -0,0 +1,48 @@
+import { config } from '../../config/index.js';
+import { classifyError } from '../../utils/errors.js';
+
+// How a message is settled
+export const ACK_DECISION = {
+  ACK: 'ack',
+  NACK: 'nack',
+  DEAD_LETTER: 'dead_letter'
+};
+
+/**
+ * Decides how to settle a message whose processing failed.
+ * Transient failures are nacked for redelivery until the attempt limit is reached;
+ * permanent failures and exhausted retries are dead-lettered.
+ * @param {Error} error - The processing error
+ * @param {number} deliveryAttempt - 1-based delivery attempt of the message
+ * @returns {{decision: string, category: string, attempt: number, reason: string}} - The decision
+ */
+export function decideFailureAction(error, deliveryAttempt) {
+  const { maxDeliveryAttempts, transientCategories } = config.ackPolicy;
+  const category = classifyError(error);
+  const attempt = deliveryAttempt || 1;
+
+  if (!transientCategories.includes(category)) {
+    return {
+      decision: ACK_DECISION.DEAD_LETTER,
+      category,
+      attempt,
+      reason: `${category} errors are permanent`
+    };
+  }
+
+  if (attempt >= maxDeliveryAttempts) {
+    return {
+      decision: ACK_DECISION.DEAD_LETTER,
+      category,
+      attempt,
+      reason: `attempt ${attempt} reached the limit of ${maxDeliveryAttempts}`
+    };
+  }
+
+  return {
+    decision: ACK_DECISION.NACK,
+    category,
+    attempt,
+    reason: `${category} error on attempt ${attempt} of ${maxDeliveryAttempts}`
+  };
+}
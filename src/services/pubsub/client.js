@@ -1,13 +1,11 @@
-import { PubSub } from '@google-cloud/pubsub';
 import { logger } from '../../utils/logger.js';
 import { config } from '../../config/index.js';
 import { withRetry } from '../../utils/retry.js';
+import { classifyError } from '../../utils/errors.js';
+import { createTransport } from './transports/index.js';
 
-// Initialize PubSub client
-const pubsub = new PubSub({
-  projectId: config.projectId,
-  maxMessages: 1 // Process one message at a time for better debugging
-});
+// Initialize the message transport (Google Pub/Sub or local queue)
+const transport = createTransport();
 
 // Track PubSub state
 export const pubsubState = {
@@ -19,25 +17,38 @@ export const pubsubState = {
 };
 
 /**
- * Initialize PubSub resources
- * @returns {Promise<{subscription: object, dlqTopic: object}>}
+ * Opens one of the configured subscriptions with its own flow-control limits
+ * @param {Object} runtime - Subscription runtime (see subscriptions.js)
+ * @returns {Promise<Object>} - The subscription
  */
-export async function initializePubSub() {
+export async function initializeSubscription(runtime) {
+  const { name, processorType, dlqTopic, flowController } = runtime;
+  
   try {
-    logger.info('Initializing PubSub resources', {
+    logger.info('Initializing PubSub subscription', {
+      transport: transport.name,
       projectId: config.projectId,
-      subscription: config.pubsubSubscription,
-      dlqTopic: config.dlqTopic
+      subscription: name,
+      processorType,
+      dlqTopic,
+      flowControl: {
+        maxMessages: flowController.state.maxMessages,
+        maxBytes: flowController.state.maxBytes
+      }
     });
 
-    // Initialize subscription and DLQ topic
-    const subscription = pubsub.subscription(config.pubsubSubscription);
-    const dlqTopic = pubsub.topic(config.dlqTopic);
+    const subscription = transport.subscription(name, {
+      flowControl: {
+        maxMessages: flowController.state.maxMessages,
+        maxBytes: flowController.state.maxBytes,
+        allowExcessMessages: false
+      }
+    });
     
     // Verify the subscription exists
     const [exists] = await subscription.exists();
     if (!exists) {
-      throw new Error(`Subscription ${config.pubsubSubscription} does not exist`);
+      throw new Error(`Subscription ${name} does not exist`);
     }
     
     // Update state
@@ -45,13 +56,13 @@ export async function initializePubSub() {
     pubsubState.lastSuccessTime = new Date().toISOString();
     pubsubState.lastErrorMessage = null;
     
-    return { subscription, dlqTopic };
+    return subscription;
   } catch (error) {
-    pubsubState.isConnected = false;
     pubsubState.lastErrorTime = new Date().toISOString();
     pubsubState.lastErrorMessage = error.message;
     
-    logger.error('Failed to initialize PubSub resources', {
+    logger.error('Failed to initialize PubSub subscription', {
+      subscription: name,
       error: error.message,
       stack: error.stack
     });
@@ -61,28 +72,69 @@ export async function initializePubSub() {
 }
 
 /**
- * Publishes a message to the DLQ topic
+ * Publishes a message to the DLQ topic.
+ * The classification and delivery metadata are sent both in the payload and as message
+ * attributes, so DLQ subscriptions can filter on them server-side.
  * @param {Object} originalMessage - The original message that failed
  * @param {Error} error - The error that caused the failure
+ * @param {Object} [context] - Delivery context
+ * @param {Object} [context.message] - The PubSub message that failed
+ * @param {number} [context.processingStart] - Timestamp (ms) when processing started
+ * @param {string} [context.dlqTopic] - DLQ topic of the source subscription (defaults to DLQ_TOPIC)
+ * @param {string} [context.subscription] - Subscription the message was delivered on
  * @returns {Promise<string>} - The message ID
  */
-export async function publishToDLQ(originalMessage, error) {
+export async function publishToDLQ(originalMessage, error, context = {}) {
+  const { message, processingStart, subscription = null } = context;
+  const dlqTopic = context.dlqTopic || config.dlqTopic;
+  const errorCategory = classifyError(error);
+  const schemaVersion = originalMessage.version || message?.attributes?.schema_version || 'unknown';
+  
   return withRetry(
     async () => {
-      const dlqTopic = pubsub.topic(config.dlqTopic);
-      
       const messageData = {
         original_message: originalMessage,
         error: error.message,
+        error_category: errorCategory,
         stack: error.stack,
+        message_id: message?.id || null,
+        attributes: message?.attributes || {},
+        subscription,
+        delivery_attempt: message?.deliveryAttempt ?? null,
+        processing_duration_ms: processingStart ? Date.now() - processingStart : null,
+        worker_instance_id: config.instanceId,
+        schema_version: schemaVersion,
         timestamp: new Date().toISOString(),
       };
+      
+      // Attribute values must be non-empty strings
+      const attributes = Object.fromEntries(
+        Object.entries({
+          error_category: errorCategory,
+          message_id: message?.id,
+          subscription,
+          delivery_attempt: message?.deliveryAttempt,
+          processing_duration_ms: messageData.processing_duration_ms,
+          worker_instance_id: config.instanceId,
+          schema_version: schemaVersion,
+          processor_type: originalMessage.processor_type,
+          trace_id: originalMessage.trace_id
+        })
+          .filter(([, value]) => value !== undefined && value !== null && value !== '')
+          .map(([key, value]) => [key, String(value)])
+      );
 
-      const messageId = await dlqTopic.publish(Buffer.from(JSON.stringify(messageData)));
+      const messageId = await transport.publish(
+        dlqTopic,
+        Buffer.from(JSON.stringify(messageData)),
+        attributes
+      );
       
       logger.info('Message published to DLQ', {
         trace_id: originalMessage.trace_id,
         error: error.message,
+        error_category: errorCategory,
+        dlq_topic: dlqTopic,
         message_id: messageId
       });
       
@@ -94,7 +146,8 @@ export async function publishToDLQ(originalMessage, error) {
       initialDelay: 1000,
       context: {
         trace_id: originalMessage.trace_id,
-        error_message: error.message
+        error_message: error.message,
+        error_category: errorCategory
       }
     }
   );
@@ -109,10 +162,9 @@ export async function publishToDLQ(originalMessage, error) {
 export async function publishToTopic(topicName, message) {
   return withRetry(
     async () => {
-      const topic = pubsub.topic(topicName);
       const messageBuffer = Buffer.from(JSON.stringify(message));
       
-      const messageId = await topic.publish(messageBuffer);
+      const messageId = await transport.publish(topicName, messageBuffer);
       
       logger.info(`Published message to ${topicName}`, {
         message_id: messageId,
@@ -132,15 +184,33 @@ export async function publishToTopic(topicName, message) {
   );
 }
 
+/**
+ * Sends any batched publishes that are still buffered by the transport
+ * @returns {Promise<void>}
+ */
+export async function flushPublishes() {
+  await transport.flush();
+}
+
+/**
+ * Synchronously pulls messages from a subscription (used for DLQ replay)
+ * @param {string} subscriptionName - Name of the subscription
+ * @param {number} maxMessages - Maximum number of messages to pull
+ * @returns {Promise<Array<Object>>} - Leased messages with ack() and nack()
+ */
+export async function pullMessages(subscriptionName, maxMessages) {
+  return transport.pull(subscriptionName, maxMessages);
+}
+
 /**
  * Get the email topics for notifications
  * @returns {Object} - The email topics
  */
 export function getEmailTopics() {
   return {
-    immediate: pubsub.topic(config.emailImmediateTopic),
-    daily: pubsub.topic(config.emailDailyTopic)
+    immediate: transport.topic(config.emailImmediateTopic),
+    daily: transport.topic(config.emailDailyTopic)
   };
 }
 
-export default pubsub;
\ No newline at end of file
+export default transport;
\ No newline at end of file
@@ -0,0 +1,133 @@
+import { logger } from '../../utils/logger.js';
+import { config } from '../../config/index.js';
+import { db } from '../../database/client.js';
+
+/**
+ * Checks whether the database is under pressure
+ * @returns {{active: boolean, reason: string|null}} - Backpressure state
+ */
+export function evaluateBackpressure() {
+  const { poolStats, queryStats } = db.getConnectionState();
+  const { maxPoolWaiting, maxQueryLatencyMs } = config.backpressure;
+
+  if (poolStats && poolStats.waitingCount > maxPoolWaiting) {
+    return {
+      active: true,
+      reason: `pool waiting count ${poolStats.waitingCount} exceeds ${maxPoolWaiting}`
+    };
+  }
+
+  if (queryStats.avgDurationMs !== null && queryStats.avgDurationMs > maxQueryLatencyMs) {
+    return {
+      active: true,
+      reason: `average query latency ${queryStats.avgDurationMs}ms exceeds ${maxQueryLatencyMs}ms`
+    };
+  }
+
+  return { active: false, reason: null };
+}
+
+/**
+ * Creates a flow controller that bounds in-flight messages and bytes.
+ * While the database is under pressure, only one message is admitted at a time so
+ * latency samples keep flowing and the controller can recover on its own.
+ * @param {Object} options - Flow control limits
+ * @param {string} [options.name] - Name used in logs (the subscription name)
+ * @param {number} options.maxMessages - Maximum messages processed concurrently
+ * @param {number} options.maxBytes - Maximum total bytes of messages processed concurrently
+ * @returns {Object} - Flow controller
+ */
+export function createFlowController({ name = null, maxMessages, maxBytes }) {
+  const state = {
+    inFlight: 0,
+    inFlightBytes: 0,
+    waiting: 0,
+    maxMessages,
+    maxBytes,
+    backpressure: {
+      active: false,
+      reason: null,
+      since: null,
+      activations: 0
+    }
+  };
+
+  function updateBackpressure() {
+    const { active, reason } = evaluateBackpressure();
+
+    if (active && !state.backpressure.active) {
+      state.backpressure.activations++;
+      state.backpressure.since = new Date().toISOString();
+      logger.warn('Backpressure activated, throttling message consumption', {
+        subscription: name,
+        reason,
+        in_flight: state.inFlight
+      });
+    } else if (!active && state.backpressure.active) {
+      logger.info('Backpressure released, resuming normal consumption', {
+        subscription: name,
+        previous_reason: state.backpressure.reason,
+        since: state.backpressure.since
+      });
+      state.backpressure.since = null;
+    }
+
+    state.backpressure.active = active;
+    state.backpressure.reason = reason;
+    return active;
+  }
+
+  function canAdmit(bytes) {
+    const throttled = updateBackpressure();
+    // Always admit a single message so an oversized or throttled queue can't deadlock
+    if (state.inFlight === 0) return true;
+    if (throttled) return false;
+    return state.inFlight < state.maxMessages && state.inFlightBytes + bytes <= state.maxBytes;
+  }
+
+  return {
+    state,
+
+    /**
+     * Waits until there is capacity for a message of the given size
+     * @param {number} bytes - Size of the message data
+     * @returns {Promise<void>}
+     */
+    async acquire(bytes = 0) {
+      state.waiting++;
+      try {
+        while (!canAdmit(bytes)) {
+          await new Promise(resolve => setTimeout(resolve, config.backpressure.checkIntervalMs));
+        }
+      } finally {
+        state.waiting--;
+      }
+      state.inFlight++;
+      state.inFlightBytes += bytes;
+    },
+
+    /**
+     * Releases capacity held by a finished message
+     * @param {number} bytes - Size of the message data
+     */
+    release(bytes = 0) {
+      state.inFlight = Math.max(0, state.inFlight - 1);
+      state.inFlightBytes = Math.max(0, state.inFlightBytes - bytes);
+    },
+
+    /**
+     * Snapshot of the controller state for status endpoints
+     * @returns {Object} - Flow control status
+     */
+    getStatus() {
+      return {
+        in_flight: state.inFlight,
+        in_flight_bytes: state.inFlightBytes,
+        waiting: state.waiting,
+        max_messages: state.maxMessages,
+        max_bytes: state.maxBytes,
+        backpressure: { ...state.backpressure }
+      };
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import { config } from '../../config/index.js';
+
+/**
+ * Resolves the ordering key of a message: the PubSub ordering key if the publisher set one,
+ * otherwise the configured field of the message body (request.user_id by default)
+ * @param {Object} message - The PubSub message
+ * @returns {string|null} - The ordering key, or null if the message can run in parallel
+ */
+export function resolveOrderingKey(message) {
+  if (!config.ordering.enabled) {
+    return null;
+  }
+
+  if (message.orderingKey) {
+    return message.orderingKey;
+  }
+
+  const { keyField } = config.ordering;
+  try {
+    const data = JSON.parse(message.data.toString());
+    return data?.request?.[keyField] || data?.[keyField] || null;
+  } catch (error) {
+    // Unparseable messages are dead-lettered by the processor, no ordering needed
+    return null;
+  }
+}
+
+/**
+ * Creates a queue that runs tasks serially per key and in parallel across keys.
+ * When a task reports a failure, tasks already queued behind it for the same key are told
+ * so they can be redelivered too, which keeps their original order. The key recovers once
+ * its queue drains.
+ * @param {Object} [options] - Queue options
+ * @param {function(any): boolean} [options.isFailure] - Whether a task result counts as a failure
+ * @returns {Object} - Keyed serial queue
+ */
+export function createKeyedQueue({ isFailure = () => false } = {}) {
+  const chains = new Map();
+
+  return {
+    /**
+     * Runs a task after every earlier task with the same key has finished
+     * @param {string} key - Ordering key
+     * @param {function({failed: boolean}): Promise<any>} task - Receives whether an earlier
+     *   task for the key failed
+     * @returns {Promise<any>} - The task result
+     */
+    run(key, task) {
+      const chain = chains.get(key) || { tail: Promise.resolve(), pending: 0, failed: false };
+      chains.set(key, chain);
+      chain.pending++;
+
+      const result = chain.tail.then(async () => {
+        try {
+          const outcome = await task({ failed: chain.failed });
+          if (isFailure(outcome)) {
+            chain.failed = true;
+          }
+          return outcome;
+        } catch (error) {
+          chain.failed = true;
+          throw error;
+        } finally {
+          chain.pending--;
+          if (chain.pending === 0) {
+            chains.delete(key);
+          }
+        }
+      });
+
+      chain.tail = result.catch(() => {});
+      return result;
+    },
+
+    /**
+     * Snapshot of the queue for status endpoints
+     * @returns {{active_keys: number, queued: number, failed_keys: number}} - Queue status
+     */
+    getStatus() {
+      let queued = 0;
+      let failedKeys = 0;
+      for (const chain of chains.values()) {
+        queued += chain.pending;
+        if (chain.failed) failedKeys++;
+      }
+      return {
+        active_keys: chains.size,
+        queued,
+        failed_keys: failedKeys
+      };
+    }
+  };
+}
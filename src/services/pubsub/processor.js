@@ -1,30 +1,54 @@
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../../utils/logger.js';
+import { config } from '../../config/index.js';
 import { publishToDLQ } from './client.js';
 import { withRetry } from '../../utils/retry.js';
+import { MessageParseError, MessageValidationError } from '../../utils/errors.js';
+import { getSubscriptionRuntime } from './subscriptions.js';
+import { createKeyedQueue, resolveOrderingKey } from './ordering.js';
+import { decideFailureAction, ACK_DECISION } from './ack-policy.js';
+import { claimMessage, markCompleted, markFailed, LEDGER_STATUS } from '../ledger.js';
 // Import the new unified parser service
 import { processMessage as processParserMessage } from '../parser.js';
 
+// Possible results of processing a single message
+export const MESSAGE_OUTCOME = {
+  PROCESSED: 'processed',
+  DUPLICATE: 'duplicate',
+  DEAD_LETTERED: 'dead_lettered',
+  REDELIVER: 'redeliver'
+};
+
 // Tracking metrics
 export const processorMetrics = {
   messageCount: 0,
   successfulMessages: 0,
   validationErrors: 0,
   processingErrors: 0,
+  duplicateMessages: 0,
+  decisions: {
+    [ACK_DECISION.ACK]: 0,
+    [ACK_DECISION.NACK]: 0,
+    [ACK_DECISION.DEAD_LETTER]: 0
+  },
   lastActivity: new Date().toISOString()
 };
 
 /**
  * Processes a PubSub message
  * @param {Object} message - The PubSub message
- * @returns {Promise<void>}
+ * @param {Object} [runtime] - Runtime of the subscription that delivered the message
+ * @returns {Promise<{outcome: string, error?: string, result?: Object}>} - How the message was settled
  */
-export async function processMessage(message) {
+export async function processMessage(message, runtime = getSubscriptionRuntime()) {
   const rawMessage = message.data.toString();
   let messageData;
+  let ledgerKey = null;
+  let ledgerAttempts = null;
   
   // Track processing start time
   const processingStart = Date.now();
+  const dlqContext = { message, processingStart, dlqTopic: runtime.dlqTopic, subscription: runtime.name };
   processorMetrics.messageCount++;
   processorMetrics.lastActivity = new Date().toISOString();
   
@@ -39,17 +63,28 @@ export async function processMessage(message) {
         publish_time: message.publishTime
       });
       
-      await publishToDLQ({ raw_message: rawMessage }, parseError);
+      await publishToDLQ(
+        { raw_message: rawMessage },
+        new MessageParseError(`Failed to parse message: ${parseError.message}`, { cause: parseError }),
+        dlqContext
+      );
       message.ack(); // Ack invalid messages to prevent redelivery
-      return;
+      processorMetrics.decisions[ACK_DECISION.DEAD_LETTER]++;
+      return { outcome: MESSAGE_OUTCOME.DEAD_LETTERED, error: parseError.message };
     }
     
     // Add trace ID if not present
-    if (!messageData.trace_id) {
+    const hasProducerTraceId = !!messageData.trace_id;
+    if (!hasProducerTraceId) {
       messageData.trace_id = uuidv4();
       logger.info('Generated missing trace ID', { trace_id: messageData.trace_id });
     }
     
+    // Messages without a processor type belong to the processor of their subscription
+    if (!messageData.processor_type && runtime.processorType) {
+      messageData.processor_type = runtime.processorType;
+    }
+    
     // Basic validation of required fields - more detailed validation in parser
     if (!messageData.request) {
       logger.error('Missing request object in message', {
@@ -57,14 +92,51 @@ export async function processMessage(message) {
         trace_id: messageData.trace_id || 'unknown'
       });
       
-      await publishToDLQ(messageData, new Error('Missing request object'));
+      await publishToDLQ(messageData, new MessageValidationError('Missing request object'), dlqContext);
       message.ack();
-      return;
+      processorMetrics.decisions[ACK_DECISION.DEAD_LETTER]++;
+      return { outcome: MESSAGE_OUTCOME.DEAD_LETTERED, error: 'Missing request object' };
+    }
+    
+    // Claim the message in the ledger so redeliveries don't create duplicate notifications
+    const claim = await claimMessage(message.id, hasProducerTraceId ? messageData.trace_id : null);
+    
+    if (!claim.claimed) {
+      processorMetrics.duplicateMessages++;
+      
+      if (claim.status === LEDGER_STATUS.COMPLETED) {
+        logger.info('Skipping already processed message', {
+          message_id: message.id,
+          ledger_key: claim.key,
+          trace_id: messageData.trace_id
+        });
+        message.ack();
+        processorMetrics.decisions[ACK_DECISION.ACK]++;
+        return { outcome: MESSAGE_OUTCOME.DUPLICATE };
+      }
+      
+      // Another instance holds the claim; hold the message for a while before letting PubSub
+      // redeliver it, in case the other instance never finishes
+      logger.info('Message is being processed by another instance, deferring nack', {
+        message_id: message.id,
+        ledger_key: claim.key,
+        ledger_status: claim.status,
+        trace_id: messageData.trace_id,
+        nack_delay_ms: config.ledger.claimedNackDelayMs
+      });
+      deferNack(message, config.ledger.claimedNackDelayMs);
+      processorMetrics.decisions[ACK_DECISION.NACK]++;
+      return { outcome: MESSAGE_OUTCOME.REDELIVER };
     }
     
+    ledgerKey = claim.key;
+    ledgerAttempts = claim.attempts;
+    // Lets shutdown release the claim if it has to give the message up
+    message.ledgerKey = ledgerKey;
+    
     // Process message with the unified parser service
-    await withRetry(
-      () => processParserMessage(messageData),
+    const result = await withRetry(
+      () => processParserMessage(messageData, { attributes: message.attributes, messageId: message.id }),
       {
         name: 'processParserMessage',
         maxRetries: 2,
@@ -92,8 +164,21 @@ export async function processMessage(message) {
       }
     );
     
+    try {
+      await markCompleted(ledgerKey, result);
+    } catch (ledgerError) {
+      // Notifications already exist, so still ack. If PubSub delivers the message again anyway,
+      // it is reclaimed once the lease expires and the notifications it created are skipped
+      logger.warn('Failed to mark message as completed in ledger', {
+        error: ledgerError.message,
+        ledger_key: ledgerKey,
+        trace_id: messageData.trace_id
+      });
+    }
+    
     // Acknowledge the message
     message.ack();
+    processorMetrics.decisions[ACK_DECISION.ACK]++;
     processorMetrics.successfulMessages++;
     
     logger.info('Successfully processed message', {
@@ -102,6 +187,8 @@ export async function processMessage(message) {
       user_id: messageData.request?.user_id,
       processing_time_ms: Date.now() - processingStart
     });
+    
+    return { outcome: MESSAGE_OUTCOME.PROCESSED, result };
   } catch (error) {
     // Update error tracking
     processorMetrics.processingErrors++;
@@ -115,44 +202,288 @@ export async function processMessage(message) {
       processing_time_ms: Date.now() - processingStart
     });
     
+    await markFailed(ledgerKey, error);
+    
+    // PubSub only reports deliveryAttempt when the subscription has a dead-letter policy,
+    // otherwise fall back to the attempts counted by the ledger
+    const { decision, category, attempt, reason } = decideFailureAction(
+      error,
+      message.deliveryAttempt || ledgerAttempts
+    );
+    
+    if (decision === ACK_DECISION.NACK) {
+      logger.warn('Nacking message for redelivery', {
+        trace_id: messageData?.trace_id,
+        message_id: message?.id,
+        error_category: category,
+        delivery_attempt: attempt,
+        reason
+      });
+      message.nack();
+      processorMetrics.decisions[ACK_DECISION.NACK]++;
+      return { outcome: MESSAGE_OUTCOME.REDELIVER, error: error.message };
+    }
+    
     try {
-      await publishToDLQ(messageData || { raw_message: rawMessage }, error);
+      logger.warn('Dead-lettering message', {
+        trace_id: messageData?.trace_id,
+        message_id: message?.id,
+        error_category: category,
+        delivery_attempt: attempt,
+        reason
+      });
+      await publishToDLQ(messageData || { raw_message: rawMessage }, error, dlqContext);
       message.ack(); // Ack to prevent immediate retries
+      processorMetrics.decisions[ACK_DECISION.DEAD_LETTER]++;
+      return { outcome: MESSAGE_OUTCOME.DEAD_LETTERED, error: error.message };
     } catch (dlqError) {
       logger.error('Critical error publishing to DLQ', {
         original_error: error.message,
         dlq_error: dlqError.message
       });
       message.nack();
+      processorMetrics.decisions[ACK_DECISION.NACK]++;
+      return { outcome: MESSAGE_OUTCOME.REDELIVER, error: error.message };
+    }
+  }
+}
+
+// Messages currently being handled, so shutdown can wait for or release them
+const inFlightMessages = new Map();
+let acceptingMessages = true;
+
+// Messages held before their nack (see deferNack), with their timers
+const deferredNacks = new Map();
+
+/**
+ * Nacks a message after a delay. An immediate nack of a message claimed by another instance
+ * would have PubSub redeliver it right away, over and over until the claim is released;
+ * holding it keeps its lease (the client extends it) without processing it.
+ * Push messages are answered before the delay ends, so they rely on the subscription's retry policy.
+ * @param {Object} message - The PubSub message
+ * @param {number} delayMs - Delay before the nack
+ */
+function deferNack(message, delayMs) {
+  const timer = setTimeout(() => {
+    deferredNacks.delete(message);
+    message.nack();
+  }, delayMs);
+  timer.unref?.();
+  deferredNacks.set(message, timer);
+}
+
+// Serialises messages that share an ordering key; a redelivered message holds back the rest of its key.
+// Each subscription has a queue of its own, so the same key on another subscription isn't held back.
+const orderedQueues = new Map();
+
+/**
+ * Returns the ordered queue of a subscription, creating it on first use
+ * @param {Object} runtime - Runtime of the subscription
+ * @returns {Object} - Keyed serial queue (see ordering.js)
+ */
+function getOrderedQueue(runtime) {
+  if (!orderedQueues.has(runtime.name)) {
+    orderedQueues.set(runtime.name, createKeyedQueue({
+      isFailure: (result) => result?.outcome === MESSAGE_OUTCOME.REDELIVER
+    }));
+  }
+  return orderedQueues.get(runtime.name);
+}
+
+/**
+ * Wraps a message so it can be settled only once. After shutdown force-nacks a message,
+ * the late ack/nack from its still-running handler is ignored. `ledgerKey` is set once
+ * processing claims the message in the ledger.
+ * @param {Object} message - The PubSub message
+ * @returns {Object} - Message with idempotent ack() and nack()
+ */
+function createTrackedMessage(message) {
+  let settled = false;
+  const settle = (action) => {
+    if (settled) return;
+    settled = true;
+    message[action]();
+  };
+  
+  return {
+    id: message.id,
+    data: message.data,
+    attributes: message.attributes,
+    orderingKey: message.orderingKey,
+    publishTime: message.publishTime,
+    deliveryAttempt: message.deliveryAttempt,
+    ledgerKey: null,
+    ack: () => settle('ack'),
+    nack: () => settle('nack'),
+    get settled() {
+      return settled;
+    }
+  };
+}
+
+/**
+ * Processes a message once the flow controller of its subscription admits it
+ * @param {Object} message - The tracked PubSub message
+ * @param {Object} runtime - Runtime of the subscription that delivered the message
+ * @returns {Promise<{outcome: string, error?: string, result?: Object}>} - How the message was settled
+ */
+async function processWithFlowControl(message, runtime) {
+  const bytes = message.data?.length || 0;
+  
+  await runtime.flowController.acquire(bytes);
+  try {
+    return await processMessage(message, runtime);
+  } finally {
+    runtime.flowController.release(bytes);
+  }
+}
+
+/**
+ * Runs an ordered message after the earlier messages with the same key.
+ * If one of them was nacked, or the message was released while it waited, it is nacked
+ * without processing so PubSub redelivers it in its original position.
+ * @param {Object} message - The tracked PubSub message
+ * @param {string} orderingKey - The message ordering key
+ * @param {Object} runtime - Runtime of the subscription that delivered the message
+ * @returns {Promise<{outcome: string, error?: string, result?: Object}>} - How the message was settled
+ */
+function processInOrder(message, orderingKey, runtime) {
+  return getOrderedQueue(runtime).run(orderingKey, async ({ failed }) => {
+    if (message.settled) {
+      return { outcome: MESSAGE_OUTCOME.REDELIVER, error: 'Message was released before processing' };
+    }
+    
+    if (failed || !acceptingMessages) {
+      const reason = failed
+        ? 'An earlier message with the same ordering key was nacked'
+        : 'Worker is shutting down';
+      
+      logger.info('Nacking ordered message without processing', {
+        message_id: message.id,
+        ordering_key: orderingKey,
+        reason
+      });
+      message.nack();
+      processorMetrics.decisions[ACK_DECISION.NACK]++;
+      return { outcome: MESSAGE_OUTCOME.REDELIVER, error: reason };
     }
+    
+    return processWithFlowControl(message, runtime);
+  });
+}
+
+/**
+ * Handles a delivered message: messages sharing an ordering key run serially,
+ * everything else runs in parallel, bounded by the flow controller.
+ * Shared by the streaming subscriptions and the push endpoint.
+ * @param {Object} message - The PubSub message
+ * @param {Object} [runtime] - Runtime of the subscription that delivered the message
+ * @returns {Promise<{outcome: string, error?: string, result?: Object}>} - How the message was settled
+ */
+export async function handleMessage(message, runtime = getSubscriptionRuntime()) {
+  // During shutdown, hand new deliveries straight back to PubSub
+  if (!acceptingMessages) {
+    message.nack();
+    processorMetrics.decisions[ACK_DECISION.NACK]++;
+    return { outcome: MESSAGE_OUTCOME.REDELIVER, error: 'Worker is shutting down' };
   }
+  
+  const tracked = createTrackedMessage(message);
+  const trackingKey = Symbol(message.id);
+  const orderingKey = resolveOrderingKey(tracked);
+  
+  runtime.health.messages++;
+  runtime.health.lastMessageTime = new Date().toISOString();
+  
+  inFlightMessages.set(trackingKey, tracked);
+  try {
+    return orderingKey
+      ? await processInOrder(tracked, orderingKey, runtime)
+      : await processWithFlowControl(tracked, runtime);
+  } finally {
+    inFlightMessages.delete(trackingKey);
+  }
+}
+
+/**
+ * Ordered-processing queue state for status endpoints
+ * @returns {Object<string, {active_keys: number, queued: number, failed_keys: number}>} - Queue
+ *   status per subscription
+ */
+export function getOrderingStatus() {
+  return Object.fromEntries(
+    [...orderedQueues].map(([name, queue]) => [name, queue.getStatus()])
+  );
+}
+
+/**
+ * Stops accepting new messages; later deliveries are nacked immediately
+ */
+export function stopAcceptingMessages() {
+  acceptingMessages = false;
+}
+
+/**
+ * Number of messages currently being handled (including those waiting for flow control)
+ * @returns {number} - In-flight message count
+ */
+export function getInFlightCount() {
+  return inFlightMessages.size;
+}
+
+/**
+ * Nacks every message still in flight, and those held by deferNack, so PubSub redelivers them
+ * to another instance. The ledger claims of the in-flight ones are released, so that instance
+ * can reclaim them without waiting for the lease to expire.
+ * @returns {Promise<number>} - Number of in-flight messages nacked
+ */
+export async function nackInFlightMessages() {
+  for (const [message, timer] of deferredNacks) {
+    clearTimeout(timer);
+    message.nack();
+  }
+  deferredNacks.clear();
+  
+  const released = [...inFlightMessages.values()].filter(tracked => !tracked.settled);
+  released.forEach(tracked => tracked.nack());
+  processorMetrics.decisions[ACK_DECISION.NACK] += released.length;
+  
+  await Promise.all(released.map(tracked =>
+    markFailed(tracked.ledgerKey, new Error('Released during shutdown'))
+  ));
+  return released.length;
 }
 
 /**
  * Sets up PubSub subscription event listeners
  * @param {Object} subscription - The PubSub subscription
+ * @param {Object} runtime - Runtime of the subscription (flow control, DLQ topic, health)
  * @param {Function} onError - Error callback
  * @returns {Promise<boolean>} - Whether setup was successful
  */
-export async function setupSubscriptionListeners(subscription, onError) {
+export async function setupSubscriptionListeners(subscription, runtime, onError) {
   if (!subscription) {
-    logger.warn('Cannot set up subscription listeners - subscription is not initialized');
+    logger.warn('Cannot set up subscription listeners - subscription is not initialized', {
+      subscription: runtime.name
+    });
     return false;
   }
   
   try {
-    logger.info('Setting up PubSub subscription listeners');
+    logger.info('Setting up PubSub subscription listeners', { subscription: runtime.name });
     
     // Remove any existing listeners to prevent duplicates
     subscription.removeAllListeners('message');
     subscription.removeAllListeners('error');
     
-    // Set up message handler with the unified processor
-    subscription.on('message', processMessage);
+    // Set up message handler with the unified processor, ordered per key and bounded by
+    // the flow controller of this subscription
+    subscription.on('message', (message) => handleMessage(message, runtime));
     
     // Set up error handler
     subscription.on('error', (error) => {
       logger.error('PubSub subscription error', {
+        subscription: runtime.name,
         error: error.message,
         code: error.code,
         details: error.details
@@ -163,13 +494,14 @@ export async function setupSubscriptionListeners(subscription, onError) {
       }
     });
     
-    logger.info('PubSub subscription listeners set up successfully');
+    logger.info('PubSub subscription listeners set up successfully', { subscription: runtime.name });
     return true;
   } catch (error) {
     logger.error('Failed to set up PubSub subscription listeners', {
+      subscription: runtime.name,
       error: error.message,
       stack: error.stack
     });
     return false;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,107 @@
+import { config } from '../../config/index.js';
+import { createFlowController } from './flow-control.js';
+
+// Lifecycle states of a subscription (see supervisor.js)
+export const SUBSCRIPTION_STATE = {
+  CONNECTING: 'connecting',
+  ACTIVE: 'active',
+  DEGRADED: 'degraded',
+  BACKING_OFF: 'backing_off',
+  STOPPED: 'stopped'
+};
+
+// Runtime state per configured subscription, keyed by subscription name
+const runtimes = new Map();
+
+/**
+ * Creates the runtime state of a subscription: its settings, a flow controller of its own
+ * (so a busy subscription can't take the capacity of the others) and health counters
+ * @param {Object} definition - Subscription definition from config.subscriptions
+ * @returns {Object} - Subscription runtime
+ */
+function createSubscriptionRuntime(definition) {
+  const health = {
+    state: SUBSCRIPTION_STATE.STOPPED,
+    stateSince: null,
+    consecutiveFailures: 0,
+    nextAttemptAt: null,
+    transitions: [],
+    lastErrorTime: null,
+    lastErrorMessage: null,
+    lastMessageTime: null,
+    messages: 0
+  };
+
+  return {
+    name: definition.name,
+    processorType: definition.processorType,
+    dlqTopic: definition.dlqTopic,
+    flowController: createFlowController({ name: definition.name, ...definition.flowControl }),
+    health,
+
+    /**
+     * Snapshot of the subscription state for status endpoints
+     * @returns {Object} - Subscription status
+     */
+    getStatus() {
+      return {
+        state: health.state,
+        state_since: health.stateSince,
+        consecutive_failures: health.consecutiveFailures,
+        next_attempt_at: health.nextAttemptAt,
+        transitions: [...health.transitions],
+        processor_type: definition.processorType,
+        dlq_topic: definition.dlqTopic,
+        messages: health.messages,
+        last_message_time: health.lastMessageTime,
+        last_error_time: health.lastErrorTime,
+        last_error: health.lastErrorMessage,
+        flow_control: this.flowController.getStatus()
+      };
+    }
+  };
+}
+
+// Used for messages that can't be tied to a configured subscription
+const fallbackRuntime = createSubscriptionRuntime({
+  name: config.subscriptions[0]?.name || 'default',
+  processorType: null,
+  dlqTopic: config.dlqTopic,
+  flowControl: config.flowControl
+});
+
+config.subscriptions.forEach(definition => {
+  runtimes.set(definition.name, createSubscriptionRuntime(definition));
+});
+
+/**
+ * Returns the runtime of every configured subscription
+ * @returns {Array<Object>} - Subscription runtimes
+ */
+export function getSubscriptionRuntimes() {
+  return [...runtimes.values()];
+}
+
+/**
+ * Returns the runtime of a subscription. Accepts short names and full resource names
+ * (projects/<project>/subscriptions/<name>); without a name, the first configured subscription.
+ * @param {string} [name] - Subscription name
+ * @returns {Object|null} - Subscription runtime, or null if the subscription isn't configured
+ */
+export function getSubscriptionRuntime(name) {
+  if (!name) {
+    return runtimes.values().next().value || fallbackRuntime;
+  }
+
+  return runtimes.get(name.split('/').pop()) || null;
+}
+
+/**
+ * Status of every configured subscription, keyed by name
+ * @returns {Object} - Subscription statuses
+ */
+export function getSubscriptionStatuses() {
+  return Object.fromEntries(
+    getSubscriptionRuntimes().map(runtime => [runtime.name, runtime.getStatus()])
+  );
+}
@@ -0,0 +1,182 @@
+import { logger } from '../../utils/logger.js';
+import { config } from '../../config/index.js';
+import { initializeSubscription } from './client.js';
+import { setupSubscriptionListeners } from './processor.js';
+import { SUBSCRIPTION_STATE } from './subscriptions.js';
+
+// Number of transitions kept per subscription for status endpoints
+const TRANSITION_HISTORY_LIMIT = 10;
+
+/**
+ * Computes the delay before the next connection attempt: exponential, capped, with jitter
+ * so instances that lost their subscriptions at the same time don't reconnect in lockstep
+ * @param {number} failures - Consecutive failures so far (1 for the first)
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoffDelay(failures) {
+  const { initialDelay, maxDelay, factor, jitter } = config.retry.subscription;
+  const delay = Math.min(initialDelay * Math.pow(factor, failures - 1), maxDelay);
+  const spread = delay * jitter;
+  return Math.round(delay - spread + Math.random() * spread * 2);
+}
+
+/**
+ * Creates a supervisor that owns the lifecycle of one subscription.
+ * It opens the subscription and attaches the message handlers; when opening fails or the
+ * subscription reports an error, it closes what is left and retries with capped exponential
+ * backoff until it succeeds or is stopped.
+ *
+ * connecting -> active -> degraded -> backing_off -> connecting ...
+ *                 (any state) -> stopped
+ *
+ * @param {Object} runtime - Subscription runtime (see subscriptions.js)
+ * @param {Object} [options] - Supervisor options
+ * @param {function(Object): void} [options.onStateChange] - Called after every transition
+ *   with { subscription, from, to, reason }
+ * @returns {Object} - Subscription supervisor
+ */
+export function createSubscriptionSupervisor(runtime, { onStateChange } = {}) {
+  const { health } = runtime;
+  let subscription = null;
+  let retryTimer = null;
+  let stopRequested = true;
+
+  function transition(to, reason = null) {
+    const from = health.state;
+    if (from === to) return;
+
+    health.state = to;
+    health.stateSince = new Date().toISOString();
+    health.transitions.push({ from, to, reason, time: health.stateSince });
+    if (health.transitions.length > TRANSITION_HISTORY_LIMIT) {
+      health.transitions.shift();
+    }
+
+    const log = to === SUBSCRIPTION_STATE.DEGRADED || to === SUBSCRIPTION_STATE.BACKING_OFF
+      ? logger.warn
+      : logger.info;
+    log('Subscription state changed', {
+      subscription: runtime.name,
+      from,
+      to,
+      reason,
+      consecutive_failures: health.consecutiveFailures
+    });
+
+    if (onStateChange) {
+      onStateChange({ subscription: runtime.name, from, to, reason });
+    }
+  }
+
+  async function release() {
+    if (!subscription) return;
+
+    const current = subscription;
+    subscription = null;
+    current.removeAllListeners('message');
+    current.removeAllListeners('error');
+    try {
+      await current.close();
+    } catch (error) {
+      logger.warn('Error closing PubSub subscription', {
+        subscription: runtime.name,
+        error: error.message
+      });
+    }
+  }
+
+  function scheduleReconnect(reason) {
+    if (stopRequested) return;
+
+    health.consecutiveFailures++;
+    const delay = computeBackoffDelay(health.consecutiveFailures);
+    health.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    transition(SUBSCRIPTION_STATE.BACKING_OFF, `${reason}; retrying in ${delay}ms`);
+
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      health.nextAttemptAt = null;
+      connect();
+    }, delay);
+  }
+
+  async function handleError(error) {
+    // Errors raised while the subscription is being torn down are expected
+    if (health.state !== SUBSCRIPTION_STATE.ACTIVE) return;
+
+    health.lastErrorTime = new Date().toISOString();
+    health.lastErrorMessage = error.message;
+    transition(SUBSCRIPTION_STATE.DEGRADED, error.message);
+
+    await release();
+    scheduleReconnect(error.message);
+  }
+
+  async function connect() {
+    if (stopRequested) return;
+    transition(SUBSCRIPTION_STATE.CONNECTING, `attempt ${health.consecutiveFailures + 1}`);
+
+    try {
+      const opened = await initializeSubscription(runtime);
+      if (stopRequested) {
+        await opened.close();
+        return;
+      }
+
+      subscription = opened;
+      const listening = await setupSubscriptionListeners(opened, runtime, handleError);
+      if (!listening) {
+        throw new Error('Failed to set up subscription listeners');
+      }
+
+      health.consecutiveFailures = 0;
+      transition(SUBSCRIPTION_STATE.ACTIVE);
+    } catch (error) {
+      health.lastErrorTime = new Date().toISOString();
+      health.lastErrorMessage = error.message;
+      await release();
+      scheduleReconnect(error.message);
+    }
+  }
+
+  return {
+    /**
+     * Opens the subscription; failures are retried in the background
+     * @returns {Promise<boolean>} - Whether the first attempt succeeded
+     */
+    async start() {
+      if (!stopRequested) {
+        return health.state === SUBSCRIPTION_STATE.ACTIVE;
+      }
+      stopRequested = false;
+      health.consecutiveFailures = 0;
+      await connect();
+      return health.state === SUBSCRIPTION_STATE.ACTIVE;
+    },
+
+    /**
+     * Stops consuming: cancels pending retries and closes the subscription,
+     * which flushes queued acks and nacks
+     * @param {string} [reason] - Why the subscription is stopped
+     * @returns {Promise<void>}
+     */
+    async stop(reason = 'stopped') {
+      stopRequested = true;
+      if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        health.nextAttemptAt = null;
+      }
+      transition(SUBSCRIPTION_STATE.STOPPED, reason);
+      await release();
+    },
+
+    get state() {
+      return health.state;
+    },
+
+    get subscription() {
+      return subscription;
+    }
+  };
+}
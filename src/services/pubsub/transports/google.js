@@ -0,0 +1,78 @@
+import { PubSub, v1 } from '@google-cloud/pubsub';
+
+/**
+ * Creates a transport backed by Google Cloud Pub/Sub
+ * @param {Object} options - Transport options
+ * @param {string} options.projectId - Google Cloud project ID
+ * @returns {import('./index.js').Transport} - Google Pub/Sub transport
+ */
+export function createGoogleTransport({ projectId }) {
+  const pubsub = new PubSub({ projectId });
+  const topics = new Map();
+  let subscriberClient = null;
+
+  function getTopic(name) {
+    if (!topics.has(name)) {
+      topics.set(name, pubsub.topic(name));
+    }
+    return topics.get(name);
+  }
+
+  return {
+    name: 'google',
+    client: pubsub,
+
+    subscription(name, options = {}) {
+      return pubsub.subscription(name, options);
+    },
+
+    topic(name) {
+      return getTopic(name);
+    },
+
+    async publish(topicName, data, attributes = {}) {
+      return getTopic(topicName).publishMessage({ data, attributes });
+    },
+
+    /**
+     * Synchronously pulls up to maxMessages from a subscription.
+     * nack() sets the ack deadline to zero so the message becomes available again.
+     */
+    async pull(name, maxMessages) {
+      subscriberClient = subscriberClient || new v1.SubscriberClient();
+      const subscription = subscriberClient.subscriptionPath(projectId, name);
+      const [response] = await subscriberClient.pull({
+        subscription,
+        maxMessages,
+        returnImmediately: true
+      });
+
+      return (response.receivedMessages || []).map(({ ackId, message, deliveryAttempt }) => ({
+        id: message.messageId,
+        data: Buffer.from(message.data || ''),
+        attributes: message.attributes || {},
+        publishTime: message.publishTime?.seconds
+          ? new Date(Number(message.publishTime.seconds) * 1000)
+          : null,
+        deliveryAttempt,
+        ack: () => subscriberClient.acknowledge({ subscription, ackIds: [ackId] }),
+        nack: () => subscriberClient.modifyAckDeadline({
+          subscription,
+          ackIds: [ackId],
+          ackDeadlineSeconds: 0
+        })
+      }));
+    },
+
+    async flush() {
+      await Promise.all([...topics.values()].map(topic => topic.flush()));
+    },
+
+    async close() {
+      if (subscriberClient) {
+        await subscriberClient.close();
+      }
+      await pubsub.close();
+    }
+  };
+}
@@ -0,0 +1,34 @@
+import { config } from '../../../config/index.js';
+import { createGoogleTransport } from './google.js';
+import { createLocalTransport } from './local.js';
+
+/**
+ * Message transport used by the PubSub client.
+ * Subscriptions are EventEmitters that emit 'message' and 'error', expose exists() and close(),
+ * and deliver messages with id, data, attributes, publishTime, deliveryAttempt, ack() and nack().
+ *
+ * @typedef {Object} Transport
+ * @property {string} name - Transport name ('google' or 'local')
+ * @property {function(string, Object=): Object} subscription - Returns a subscription by name
+ * @property {function(string): Object} topic - Returns a topic by name
+ * @property {function(string, Buffer, Object=): Promise<string>} publish - Publishes data to a topic, resolves to the message ID
+ * @property {function(): Promise<void>} flush - Sends publishes still buffered by the transport
+ * @property {function(string, number): Promise<Array<Object>>} pull - Synchronously pulls messages from a subscription
+ * @property {function(): Promise<void>} close - Releases transport resources
+ */
+
+/**
+ * Creates the transport selected by configuration
+ * @returns {Transport} - The configured transport
+ */
+export function createTransport() {
+  if (config.pubsubTransport === 'local') {
+    return createLocalTransport(config.localQueue);
+  }
+
+  if (config.pubsubTransport !== 'google') {
+    throw new Error(`Unknown PubSub transport: ${config.pubsubTransport}`);
+  }
+
+  return createGoogleTransport({ projectId: config.projectId });
+}
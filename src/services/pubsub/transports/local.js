@@ -0,0 +1,346 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { logger } from '../../../utils/logger.js';
+
+// Number of published messages kept in memory per topic for inspection
+const PUBLISHED_HISTORY_LIMIT = 100;
+
+/**
+ * In-memory subscription that mimics the event interface of a Pub/Sub subscription.
+ * Messages with an ordering key behave like an ordered Pub/Sub subscription: they are delivered
+ * in publish order, and after a nack the key is paused until the nacked message is redelivered
+ * ahead of the later messages for that key.
+ */
+class LocalSubscription extends EventEmitter {
+  constructor(name, { redeliveryDelayMs }) {
+    super();
+    this.name = name;
+    this.redeliveryDelayMs = redeliveryDelayMs;
+    this.queue = [];
+    this.outstanding = new Map();
+    // Ordering keys waiting for nacked messages to be redelivered, with the number pending
+    this.pausedKeys = new Map();
+    this.closed = false;
+
+    // Start delivering as soon as a message handler is attached, reopening a closed
+    // subscription like the Pub/Sub client does
+    this.on('newListener', (event) => {
+      if (event === 'message') {
+        this.open();
+      }
+    });
+  }
+
+  async exists() {
+    return [true];
+  }
+
+  open() {
+    this.closed = false;
+    setImmediate(() => this.drain());
+  }
+
+  async close() {
+    this.closed = true;
+  }
+
+  /**
+   * Adds a message to the delivery queue
+   * @param {Object} entry - Queue entry with id, data, attributes and publishTime
+   */
+  enqueue(entry) {
+    this.queue.push(entry);
+    setImmediate(() => this.drain());
+  }
+
+  /**
+   * Puts a nacked message back in the queue. Ordered messages go before the later messages
+   * with the same key, so the key's publish order is kept.
+   * @param {Object} entry - Queue entry
+   */
+  requeue(entry) {
+    const index = entry.orderingKey
+      ? this.queue.findIndex(queued =>
+        queued.orderingKey === entry.orderingKey && queued.sequence > entry.sequence)
+      : -1;
+
+    if (index === -1) {
+      this.queue.push(entry);
+    } else {
+      this.queue.splice(index, 0, entry);
+    }
+    setImmediate(() => this.drain());
+  }
+
+  /**
+   * Removes up to maxMessages deliverable entries from the queue, skipping paused ordering keys
+   * @param {number} maxMessages - Maximum number of entries to take
+   * @returns {Array<Object>} - Queue entries
+   */
+  take(maxMessages = Infinity) {
+    const taken = [];
+    const remaining = [];
+
+    for (const entry of this.queue) {
+      if (taken.length < maxMessages && !this.pausedKeys.has(entry.orderingKey)) {
+        taken.push(entry);
+      } else {
+        remaining.push(entry);
+      }
+    }
+
+    this.queue = remaining;
+    return taken;
+  }
+
+  drain() {
+    if (this.closed || this.listenerCount('message') === 0) return;
+
+    this.take().forEach(entry => this.deliver(entry));
+  }
+
+  /**
+   * Removes up to maxMessages from the queue without emitting them
+   * @param {number} maxMessages - Maximum number of messages to return
+   * @returns {Array<Object>} - Leased messages
+   */
+  pull(maxMessages) {
+    return this.take(maxMessages).map(entry => this.lease(entry));
+  }
+
+  deliver(entry) {
+    this.emit('message', this.lease(entry));
+  }
+
+  lease(entry) {
+    entry.deliveryAttempt++;
+    this.outstanding.set(entry.id, entry);
+
+    let settled = false;
+    return {
+      id: entry.id,
+      data: entry.data,
+      attributes: entry.attributes,
+      orderingKey: entry.orderingKey,
+      publishTime: entry.publishTime,
+      deliveryAttempt: entry.deliveryAttempt,
+      ack: () => {
+        if (settled) return;
+        settled = true;
+        this.outstanding.delete(entry.id);
+        this.emit('acked', entry);
+      },
+      nack: () => {
+        if (settled) return;
+        settled = true;
+        this.outstanding.delete(entry.id);
+
+        const key = entry.orderingKey;
+        if (key) {
+          this.pausedKeys.set(key, (this.pausedKeys.get(key) || 0) + 1);
+        }
+
+        setTimeout(() => {
+          if (key) {
+            const pending = this.pausedKeys.get(key) - 1;
+            if (pending > 0) {
+              this.pausedKeys.set(key, pending);
+            } else {
+              this.pausedKeys.delete(key);
+            }
+          }
+          this.requeue(entry);
+        }, this.redeliveryDelayMs);
+      }
+    };
+  }
+}
+
+/**
+ * Creates a transport that runs without cloud access.
+ * Messages published to a topic are delivered to the local subscription with the same name.
+ * When a directory is configured:
+ * - JSON files dropped into `<directory>/subscriptions/<name>/` are delivered to that subscription
+ *   and moved to `.acked/` once acknowledged
+ * - every published message is also written to `<directory>/topics/<topic>/<id>.json`
+ * @param {Object} options - Transport options
+ * @param {string|null} options.directory - Optional queue directory
+ * @param {number} options.redeliveryDelayMs - Delay before a nacked message is redelivered
+ * @returns {import('./index.js').Transport} - Local transport
+ */
+export function createLocalTransport({ directory = null, redeliveryDelayMs = 1000 } = {}) {
+  const subscriptions = new Map();
+  const published = new Map();
+  const watchers = [];
+  let sequence = 0;
+
+  function createEntry(data, attributes = {}, id = randomUUID(), orderingKey = undefined) {
+    return {
+      id,
+      data,
+      attributes,
+      orderingKey,
+      sequence: sequence++,
+      publishTime: new Date(),
+      deliveryAttempt: 0
+    };
+  }
+
+  function watchInbox(subscription) {
+    const inbox = path.join(directory, 'subscriptions', subscription.name);
+    const inflightDir = path.join(inbox, '.inflight');
+    const ackedDir = path.join(inbox, '.acked');
+    fs.mkdirSync(inflightDir, { recursive: true });
+    fs.mkdirSync(ackedDir, { recursive: true });
+
+    const enqueueFile = (dir, file) => {
+      if (!file.endsWith('.json')) return;
+      const source = path.join(dir, file);
+      const inflight = path.join(inflightDir, file);
+
+      try {
+        if (dir !== inflightDir) {
+          fs.renameSync(source, inflight);
+        }
+        const entry = createEntry(fs.readFileSync(inflight), {}, `file-${file.replace(/\.json$/, '')}`);
+        entry.file = file;
+        subscription.enqueue(entry);
+      } catch (error) {
+        // The file may have been picked up already or still be in the middle of a write
+        if (error.code !== 'ENOENT') {
+          logger.warn('Failed to read local queue file', {
+            file: source,
+            error: error.message
+          });
+        }
+      }
+    };
+
+    subscription.on('acked', (entry) => {
+      if (!entry.file) return;
+      try {
+        fs.renameSync(path.join(inflightDir, entry.file), path.join(ackedDir, entry.file));
+      } catch (error) {
+        logger.warn('Failed to move acknowledged local queue file', {
+          file: entry.file,
+          error: error.message
+        });
+      }
+    });
+
+    // Files left in flight by a previous run are redelivered, like an expired lease
+    fs.readdirSync(inflightDir).forEach(file => enqueueFile(inflightDir, file));
+    fs.readdirSync(inbox).forEach(file => enqueueFile(inbox, file));
+
+    watchers.push(fs.watch(inbox, (eventType, file) => {
+      if (file && fs.existsSync(path.join(inbox, file))) {
+        enqueueFile(inbox, file);
+      }
+    }));
+
+    logger.info('Watching local queue directory', {
+      subscription: subscription.name,
+      directory: inbox
+    });
+  }
+
+  function getSubscription(name) {
+    if (!subscriptions.has(name)) {
+      const subscription = new LocalSubscription(name, { redeliveryDelayMs });
+      subscriptions.set(name, subscription);
+
+      if (directory) {
+        watchInbox(subscription);
+      }
+    }
+    return subscriptions.get(name);
+  }
+
+  async function publish(topicName, data, attributes = {}, orderingKey = undefined) {
+    const entry = createEntry(data, attributes, randomUUID(), orderingKey);
+
+    const history = published.get(topicName) || [];
+    history.push(entry);
+    if (history.length > PUBLISHED_HISTORY_LIMIT) {
+      history.shift();
+    }
+    published.set(topicName, history);
+
+    if (directory) {
+      const topicDir = path.join(directory, 'topics', topicName);
+      await fs.promises.mkdir(topicDir, { recursive: true });
+
+      let payload = data.toString();
+      try {
+        payload = JSON.parse(payload);
+      } catch (error) {
+        // Keep non-JSON payloads as plain text
+      }
+
+      await fs.promises.writeFile(
+        path.join(topicDir, `${entry.id}.json`),
+        JSON.stringify({
+          id: entry.id,
+          attributes,
+          ordering_key: orderingKey,
+          publish_time: entry.publishTime.toISOString(),
+          data: payload
+        }, null, 2)
+      );
+    }
+
+    if (subscriptions.has(topicName)) {
+      subscriptions.get(topicName).enqueue({ ...entry });
+    }
+
+    return entry.id;
+  }
+
+  return {
+    name: 'local',
+
+    subscription(name) {
+      return getSubscription(name);
+    },
+
+    topic(name) {
+      return {
+        name,
+        publish: (data, attributes) => publish(name, data, attributes),
+        publishMessage: ({ data, attributes, orderingKey }) => publish(name, data, attributes, orderingKey)
+      };
+    },
+
+    publish,
+
+    async flush() {
+      // Local publishes are written synchronously, nothing is buffered
+    },
+
+    async pull(name, maxMessages) {
+      return getSubscription(name).pull(maxMessages);
+    },
+
+    /**
+     * Returns messages published to a topic, most recent last
+     * @param {string} topicName - Topic name
+     * @returns {Array<Object>} - Published messages
+     */
+    getPublished(topicName) {
+      return (published.get(topicName) || []).map(entry => ({
+        id: entry.id,
+        attributes: entry.attributes,
+        orderingKey: entry.orderingKey,
+        publishTime: entry.publishTime.toISOString(),
+        data: entry.data.toString()
+      }));
+    },
+
+    async close() {
+      watchers.forEach(watcher => watcher.close());
+      await Promise.all([...subscriptions.values()].map(subscription => subscription.close()));
+    }
+  };
+}
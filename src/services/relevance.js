@@ -0,0 +1,97 @@
+import { database } from './database.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+// Where the relevance threshold of a run came from, in order of precedence
+export const THRESHOLD_SOURCE = {
+  SUBSCRIPTION: 'subscription',
+  USER: 'user',
+  CONFIG: 'config'
+};
+
+/**
+ * Parses a relevance threshold; scores are in the 0-1 range
+ * @param {*} value - Raw threshold from metadata or config
+ * @returns {number|null} - The threshold, or null if missing or out of range
+ */
+function parseThreshold(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const threshold = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : null;
+}
+
+/**
+ * Returns the global relevance threshold (RELEVANCE_THRESHOLD)
+ * @returns {{threshold: number, source: string}} - The configured threshold
+ */
+export function getDefaultRelevanceThreshold() {
+  return { threshold: parseThreshold(config.relevance.threshold) ?? 0, source: THRESHOLD_SOURCE.CONFIG };
+}
+
+/**
+ * Resolves the minimum relevance score for a run: the subscription's
+ * `metadata.relevance_threshold` wins, then the user's `metadata.notifications.relevanceThreshold`,
+ * then the global default. Falls back to the default if the database can't be read.
+ * @param {string} userId - User of the message
+ * @param {string} subscriptionId - Subscription of the message
+ * @returns {Promise<{threshold: number, source: string}>} - The threshold and where it came from
+ */
+export async function resolveRelevanceThreshold(userId, subscriptionId) {
+  const fallback = getDefaultRelevanceThreshold();
+
+  try {
+    const result = await database.query(
+      `SELECT
+         (SELECT metadata->>'relevance_threshold' FROM subscriptions WHERE id = $2) AS subscription_threshold,
+         (SELECT metadata->'notifications'->>'relevanceThreshold' FROM users WHERE id = $1) AS user_threshold`,
+      [userId, subscriptionId]
+    );
+    const row = result.rows[0] || {};
+
+    const candidates = [
+      [THRESHOLD_SOURCE.SUBSCRIPTION, row.subscription_threshold],
+      [THRESHOLD_SOURCE.USER, row.user_threshold]
+    ];
+
+    for (const [source, value] of candidates) {
+      const threshold = parseThreshold(value);
+      if (threshold !== null) {
+        return { threshold, source };
+      }
+
+      if (value !== null && value !== undefined) {
+        logger.warn('Ignoring invalid relevance threshold', {
+          source,
+          value,
+          user_id: userId,
+          subscription_id: subscriptionId
+        });
+      }
+    }
+
+    return fallback;
+  } catch (error) {
+    logger.warn('Failed to resolve relevance threshold, using the default', {
+      error: error.message,
+      user_id: userId,
+      subscription_id: subscriptionId,
+      threshold: fallback.threshold
+    });
+    return fallback;
+  }
+}
+
+/**
+ * Whether a match scores below the threshold. Matches without a score are kept.
+ * @param {Object} match - The match
+ * @param {number} threshold - Minimum relevance score
+ * @returns {boolean} - Whether the match should be filtered out
+ */
+export function isBelowRelevanceThreshold(match, threshold) {
+  return threshold > 0 &&
+    typeof match.relevance_score === 'number' &&
+    match.relevance_score < threshold;
+}
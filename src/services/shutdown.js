@@ -0,0 +1,112 @@
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { database } from './database.js';
+import { flushPublishes } from './pubsub/client.js';
+import {
+  stopAcceptingMessages,
+  getInFlightCount,
+  nackInFlightMessages
+} from './pubsub/processor.js';
+
+// Shutdown progress, reported by /health
+export const shutdownState = {
+  state: 'running', // 'running', 'draining', 'closing' or 'stopped'
+  startedAt: null,
+  completedAt: null,
+  inFlight: 0,
+  nackedOnTimeout: 0
+};
+
+/**
+ * Drains in-flight messages and releases resources.
+ * New deliveries are nacked from the start. In-flight handlers get up to the drain timeout to
+ * finish, and anything still pending after that is nacked and its ledger claim released. Only
+ * then are the subscriptions closed, so their acks and nacks are flushed to PubSub. Buffered
+ * publishes are flushed before the HTTP server and database pool are closed.
+ * @param {Object} resources - Resources to release
+ * @param {Object} resources.server - HTTP server
+ * @param {Array<Object>} [resources.supervisors] - Supervisors of the PubSub subscriptions
+ * @returns {Promise<void>}
+ */
+export async function gracefulShutdown({ server, supervisors = [] }) {
+  if (shutdownState.state !== 'running') {
+    logger.info('Shutdown already in progress', { state: shutdownState.state });
+    return;
+  }
+
+  const { drainTimeoutMs, progressIntervalMs } = config.shutdown;
+  const deadline = Date.now() + drainTimeoutMs;
+
+  shutdownState.state = 'draining';
+  shutdownState.startedAt = new Date().toISOString();
+  shutdownState.inFlight = getInFlightCount();
+
+  // Messages delivered from now on are nacked right away, so PubSub hands them to another instance
+  stopAcceptingMessages();
+
+  logger.info('Draining in-flight messages', {
+    in_flight: shutdownState.inFlight,
+    timeout_ms: drainTimeoutMs
+  });
+
+  let lastProgressLog = Date.now();
+  while (getInFlightCount() > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    shutdownState.inFlight = getInFlightCount();
+
+    if (Date.now() - lastProgressLog >= progressIntervalMs) {
+      lastProgressLog = Date.now();
+      logger.info('Waiting for in-flight messages', {
+        in_flight: shutdownState.inFlight,
+        remaining_ms: Math.max(0, deadline - Date.now())
+      });
+    }
+  }
+
+  if (getInFlightCount() > 0) {
+    shutdownState.nackedOnTimeout = await nackInFlightMessages();
+    logger.warn('Drain timeout reached, nacked pending messages', {
+      nacked: shutdownState.nackedOnTimeout
+    });
+  } else {
+    logger.info('All in-flight messages finished');
+  }
+
+  // Stop the subscription supervisors only after the drain: closing a subscription closes its
+  // ack and modAck queues, and settlements made after that are silently dropped. Closing flushes
+  // the acks and nacks of the drained messages.
+  await Promise.all(supervisors.map(supervisor => supervisor.stop('shutdown')));
+  logger.info('PubSub subscriptions closed');
+
+  shutdownState.state = 'closing';
+  shutdownState.inFlight = getInFlightCount();
+
+  try {
+    await flushPublishes();
+    logger.info('Pending publishes flushed');
+  } catch (error) {
+    logger.error('Error flushing pending publishes', {
+      error: error.message
+    });
+  }
+
+  server.close(() => {
+    logger.info('HTTP server closed');
+  });
+
+  // Close database connections
+  try {
+    await database.end();
+    logger.info('Database connections closed');
+  } catch (error) {
+    logger.error('Error closing database connections', {
+      error: error.message
+    });
+  }
+
+  shutdownState.state = 'stopped';
+  shutdownState.completedAt = new Date().toISOString();
+  logger.info('Shutdown complete', {
+    duration_ms: Date.now() - new Date(shutdownState.startedAt).getTime()
+  });
+}
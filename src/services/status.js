@@ -1,7 +1,15 @@
 import { logger } from '../utils/logger.js';
 import { connectionState } from '../database/client.js';
 import { pubsubState } from './pubsub/client.js';
-import { processorMetrics } from './pubsub/processor.js';
+import { processorMetrics, getOrderingStatus } from './pubsub/processor.js';
+import {
+  getSubscriptionRuntimes,
+  getSubscriptionStatuses,
+  SUBSCRIPTION_STATE
+} from './pubsub/subscriptions.js';
+import { shutdownState } from './shutdown.js';
+import { schemaVersionMetrics } from '../utils/schemas/versions.js';
+import { suppressionMetrics } from './suppression.js';
 
 // Service status singleton
 export const serviceStatus = {
@@ -33,6 +41,15 @@ export const serviceStatus = {
     }
   },
   
+  // Recompute subscriptionActive from the per-subscription health: active only when every
+  // configured subscription is consuming
+  updateSubscriptionState() {
+    const runtimes = getSubscriptionRuntimes();
+    this.subscriptionActive = runtimes.length > 0 &&
+      runtimes.every(runtime => runtime.health.state === SUBSCRIPTION_STATE.ACTIVE);
+    this.updateOperatingMode();
+  },
+  
   // Update the operating mode based on component states
   updateOperatingMode() {
     if (this.databaseActive && this.pubsubActive && this.subscriptionActive) {
@@ -56,8 +73,10 @@ export const serviceStatus = {
   
   // Get complete status for health checks
   getHealthStatus() {
+    const shuttingDown = shutdownState.state !== 'running';
+    
     return {
-      status: this.ready ? 'OK' : 'INITIALIZING',
+      status: shuttingDown ? 'SHUTTING_DOWN' : (this.ready ? 'OK' : 'INITIALIZING'),
       service: 'notification-worker',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
@@ -69,8 +88,10 @@ export const serviceStatus = {
       pubsub: {
         connected: this.pubsubActive,
         subscription_active: this.subscriptionActive,
-        pubsubState
-      }
+        pubsubState,
+        subscriptions: getSubscriptionStatuses()
+      },
+      shutdown: { ...shutdownState }
     };
   },
   
@@ -94,9 +115,18 @@ export const serviceStatus = {
         successful_messages: processorMetrics.successfulMessages,
         validation_errors: processorMetrics.validationErrors,
         processing_errors: processorMetrics.processingErrors,
+        duplicate_messages: processorMetrics.duplicateMessages,
+        ack_decisions: { ...processorMetrics.decisions },
+        schema_versions: {
+          supported: { ...schemaVersionMetrics.versions },
+          unsupported: { ...schemaVersionMetrics.unsupported }
+        },
+        suppression: { ...suppressionMetrics },
         db_unavailable_errors: processorMetrics.dbUnavailableErrors,
         memory_usage: this.getMemoryUsage().rss
       },
+      subscriptions: getSubscriptionStatuses(),
+      ordering: getOrderingStatus(),
       timestamp: new Date().toISOString()
     };
   },
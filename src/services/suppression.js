@@ -0,0 +1,126 @@
+import { database } from './database.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+// Suppression counters, reported in /debug/status
+export const suppressionMetrics = {
+  checked: 0,
+  suppressed: 0,
+  also_matched: 0,
+  errors: 0
+};
+
+/**
+ * Scope of a suppression entry: the subscription when suppression is per subscription,
+ * otherwise shared by all subscriptions of the user
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {string} - The scope
+ */
+function getScope(subscriptionId) {
+  return config.suppression.perSubscription ? subscriptionId : '';
+}
+
+/**
+ * Claims the document for the user in the transaction that creates the notification (table
+ * created by migrations/20261018000100_create_notification_suppression.sql). The insert is the
+ * gate: it only succeeds when there is no entry, or the entry's window has expired, and a
+ * concurrent claim of the same document waits for this transaction and is then suppressed.
+ * @param {Object} client - Database client of the notification transaction
+ * @param {Object} params - Claim parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.subscriptionId - Subscription ID
+ * @param {string} params.documentKey - Document identity (see the processor's getDocumentKey)
+ * @returns {Promise<{claimed: boolean, suppression: Object|null}>} - Whether the notification may
+ *   be created, or the suppressing entry ({notification_id, subscription_id, created_at})
+ */
+export async function claimDelivery(client, { userId, subscriptionId, documentKey }) {
+  if (!config.suppression.enabled || !documentKey) {
+    return { claimed: true, suppression: null };
+  }
+
+  suppressionMetrics.checked++;
+  const scope = getScope(subscriptionId);
+
+  const claimed = await client.query(
+    `INSERT INTO notification_suppression (user_id, document_key, scope, subscription_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, document_key, scope) DO UPDATE
+     SET notification_id = NULL,
+         subscription_id = EXCLUDED.subscription_id,
+         created_at = NOW()
+     WHERE notification_suppression.created_at <= NOW() - ($5 * INTERVAL '1 hour')
+     RETURNING user_id`,
+    [userId, documentKey, scope, subscriptionId, config.suppression.windowHours]
+  );
+
+  if (claimed.rowCount > 0) {
+    return { claimed: true, suppression: null };
+  }
+
+  const existing = await client.query(
+    `SELECT notification_id, subscription_id, created_at
+     FROM notification_suppression
+     WHERE user_id = $1 AND document_key = $2 AND scope = $3`,
+    [userId, documentKey, scope]
+  );
+
+  suppressionMetrics.suppressed++;
+  return { claimed: false, suppression: existing.rows[0] || null };
+}
+
+/**
+ * Records the notification created for a claimed document (see claimDelivery)
+ * @param {Object} client - Database client of the notification transaction
+ * @param {Object} params - Entry parameters
+ * @param {string} params.userId - User ID
+ * @param {string} params.subscriptionId - Subscription ID
+ * @param {string} params.documentKey - Document identity
+ * @param {string} notificationId - ID of the created notification
+ * @returns {Promise<void>}
+ */
+export async function recordDelivery(client, { userId, subscriptionId, documentKey }, notificationId) {
+  if (!config.suppression.enabled || !documentKey) {
+    return;
+  }
+
+  await client.query(
+    `UPDATE notification_suppression
+     SET notification_id = $4
+     WHERE user_id = $1 AND document_key = $2 AND scope = $3`,
+    [userId, documentKey, getScope(subscriptionId), notificationId]
+  );
+}
+
+/**
+ * Appends a suppressed match to the `also_matched` metadata of the original notification
+ * @param {Object} suppression - Entry returned by claimDelivery
+ * @param {string} userId - User ID (for the RLS context)
+ * @param {Object} match - What was suppressed ({subscription_id, trace_id, prompts, relevance_score})
+ * @returns {Promise<void>}
+ */
+export async function recordAlsoMatched(suppression, userId, match) {
+  if (!config.suppression.recordAlsoMatched || !suppression?.notification_id) {
+    return;
+  }
+
+  try {
+    await database.withRLSContext(userId, (client) => client.query(
+      `UPDATE notifications
+       SET metadata = jsonb_set(
+             COALESCE(metadata, '{}'::jsonb),
+             '{also_matched}',
+             COALESCE(metadata->'also_matched', '[]'::jsonb) || $2::jsonb
+           ),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [suppression.notification_id, JSON.stringify([{ ...match, matched_at: new Date().toISOString() }])]
+    ));
+    suppressionMetrics.also_matched++;
+  } catch (error) {
+    suppressionMetrics.errors++;
+    logger.warn('Failed to record also-matched metadata', {
+      error: error.message,
+      notification_id: suppression.notification_id
+    });
+  }
+}
@@ -0,0 +1,75 @@
+import { z } from 'zod';
+import {
+  CommonLinksSchema,
+  MatchSchema,
+  QueryResultSchema,
+  ResultsSchema,
+  MessageSchema
+} from './parser.js';
+
+/**
+ * BOE (Boletín Oficial del Estado) type definitions
+ */
+
+// BOE-specific fields of a matched document
+const BOEDocumentFields = {
+  publication_date: z.string().optional(),
+  section: z.string().optional(),
+  bulletin_type: z.string().optional(),
+  // Disposition metadata the ELI permalink is built from (see src/utils/boe-links.js)
+  rank: z.string().optional(),
+  official_number: z.string().optional(),
+  disposition_date: z.string().optional(),
+  eli_url: z.string().optional(),
+};
+
+// BOE match in the results.results[].matches[] format
+export const BOEMatchSchema = MatchSchema.extend(BOEDocumentFields);
+
+// Normalized BOE message, as consumed by the BOE processor
+export const BOENotificationMessageSchema = MessageSchema.extend({
+  results: ResultsSchema.extend({
+    results: z.array(QueryResultSchema.extend({
+      matches: z.array(BOEMatchSchema),
+    })),
+  }),
+});
+
+// BOE document in the results.matches[].documents[] format (see docs/pubsub-structure.md)
+export const BOEDocumentSchema = z.object({
+  document_type: z.string(),
+  title: z.string(),
+  notification_title: z.string().optional(),
+  issuing_body: z.string().optional(),
+  summary: z.string(),
+  relevance_score: z.number(),
+  links: CommonLinksSchema,
+  ...BOEDocumentFields,
+}).passthrough();
+
+// BOE message as published by the BOE parser
+export const BOEMessageSchema = z.object({
+  version: z.string(),
+  processor_type: z.literal('boe'),
+  timestamp: z.string().datetime(),
+  trace_id: z.string(),
+  request: z.object({
+    subscription_id: z.string(),
+    processing_id: z.string(),
+    user_id: z.string(),
+    prompts: z.array(z.string()),
+  }),
+  results: z.object({
+    query_date: z.string(),
+    matches: z.array(z.object({
+      prompt: z.string(),
+      documents: z.array(BOEDocumentSchema),
+    })),
+  }),
+  metadata: z.object({
+    processing_time_ms: z.number(),
+    total_matches: z.number(),
+    status: z.enum(['success', 'error']),
+    error: z.string().nullable(),
+  }).passthrough(),
+}).passthrough();
@@ -0,0 +1,45 @@
+import { z } from 'zod';
+import {
+  MatchSchema,
+  QueryResultSchema,
+  ResultsSchema,
+  MessageSchema
+} from './parser.js';
+
+/**
+ * DOGA (Diario Oficial de Galicia) type definitions
+ */
+
+// DOGA issue numbers are published as "74" but some producers send them as numbers
+const PublicationNumberSchema = z.union([z.string(), z.number()]).transform(String);
+
+// DOGA match in the results.results[].matches[] format
+export const DOGAMatchSchema = MatchSchema.extend({
+  // Title in Galician and Spanish; `title` holds whichever the parser used
+  title_gl: z.string().optional(),
+  title_es: z.string().optional(),
+  // Section of the bulletin, e.g. "III. Outras disposicións"
+  section: z.string().optional(),
+  // Issuing organism, e.g. "Consellería de Educación, Ciencia, Universidades e FP"
+  organism: z.string().optional(),
+  publication_number: PublicationNumberSchema.optional(),
+  publication_date: z.string().optional(),
+});
+
+// Issue-level information about the DOGA bulletin
+export const DOGAInfoSchema = z.object({
+  publication_number: PublicationNumberSchema.optional(),
+  publication_date: z.string().optional(),
+  source_url: z.string().optional(),
+}).passthrough();
+
+// Normalized DOGA message, as consumed by the DOGA processor
+export const DOGANotificationMessageSchema = MessageSchema.extend({
+  processor_type: z.literal('doga'),
+  results: ResultsSchema.extend({
+    doga_info: DOGAInfoSchema.optional(),
+    results: z.array(QueryResultSchema.extend({
+      matches: z.array(DOGAMatchSchema),
+    })),
+  }),
+});
@@ -0,0 +1,93 @@
+import { z } from 'zod';
+import {
+  CommonLinksSchema,
+  MatchSchema,
+  QueryResultSchema,
+  ResultsSchema,
+  MessageSchema
+} from './parser.js';
+
+/**
+ * Real-estate type definitions
+ */
+
+// Listing location; parsers that only know the city may send it as a string
+export const ListingLocationSchema = z.union([
+  z.string().min(1).transform(city => ({ city })),
+  z.object({
+    city: z.string().min(1),
+    district: z.string().optional(),
+    province: z.string().optional(),
+    address: z.string().optional(),
+    postal_code: z.string().optional(),
+    latitude: z.number().min(-90).max(90).optional(),
+    longitude: z.number().min(-180).max(180).optional(),
+  }).passthrough(),
+]);
+
+// Listing-specific fields of a matched property
+const ListingFields = {
+  price: z.number().nonnegative(),
+  currency: z.string().length(3).default('EUR'),
+  // 'sale' or 'rent'; rent prices are monthly
+  operation: z.enum(['sale', 'rent']).default('sale'),
+  // e.g. "flat", "house", "studio"
+  property_type: z.string().optional(),
+  location: ListingLocationSchema,
+  // Built surface in square metres
+  surface: z.number().positive().optional(),
+  rooms: z.number().int().nonnegative().optional(),
+  bathrooms: z.number().int().nonnegative().optional(),
+  listing_url: z.string().url(),
+  images: z.array(z.string().url()).default([]),
+};
+
+// Real-estate match in the results.results[].matches[] format
+export const RealEstateListingSchema = MatchSchema.extend(ListingFields);
+
+// Normalized real-estate message, as consumed by the real-estate processor
+export const RealEstateNotificationMessageSchema = MessageSchema.extend({
+  processor_type: z.literal('real-estate'),
+  results: ResultsSchema.extend({
+    results: z.array(QueryResultSchema.extend({
+      matches: z.array(RealEstateListingSchema),
+    })),
+  }),
+});
+
+// Listing in the results.matches[].documents[] format
+export const RealEstateDocumentSchema = z.object({
+  document_type: z.string(),
+  title: z.string(),
+  summary: z.string(),
+  relevance_score: z.number(),
+  links: CommonLinksSchema,
+  ...ListingFields,
+}).passthrough();
+
+// Real-estate message as published by the real-estate parser
+export const RealEstateMessageSchema = z.object({
+  version: z.string(),
+  processor_type: z.literal('real-estate'),
+  timestamp: z.string().datetime(),
+  trace_id: z.string(),
+  request: z.object({
+    subscription_id: z.string(),
+    processing_id: z.string(),
+    user_id: z.string(),
+    prompts: z.array(z.string()),
+  }),
+  results: z.object({
+    query_date: z.string(),
+    matches: z.array(z.object({
+      prompt: z.string(),
+      documents: z.array(RealEstateDocumentSchema),
+    })),
+  }),
+  metadata: z.object({
+    processing_time_ms: z.number(),
+    total_matches: z.number(),
+    status: z.enum(['success', 'error']),
+    error: z.string().nullable(),
+  }).passthrough(),
+}).passthrough();
@@ -0,0 +1,221 @@
+/**
+ * BOE (Boletín Oficial del Estado) links: canonical HTML URLs and PDF URLs, derived from the
+ * BOE identifier (e.g. BOE-A-2025-1234) of a document, and ELI permalinks of dispositions
+ */
+
+import { toCalendarDate } from './dates.js';
+
+const BOE_BASE_URL = 'https://www.boe.es';
+const BOE_HOSTS = ['boe.es', 'www.boe.es', 'm.boe.es'];
+
+// BOE document ids, e.g. BOE-A-2025-1234, as found in ids and BOE links
+const BOE_ID_PATTERN = /BOE-[A-Z]-\d{4}-\d+/i;
+
+// Dispositions with an ELI permalink, from the start of their title, e.g.
+// "Orden VIV/123/2025, de 10 de abril, por la que..." or "Ley 5/2025, de 2 de abril, de..."
+const ELI_TITLE_PATTERN = /^(ley org[aá]nica|ley|real decreto-ley|real decreto legislativo|real decreto|orden)\s+(?:([a-z]{2,5})\/)?(\d+)\/(\d{4}),?\s+de\s+(\d{1,2})\s+de\s+([a-zé]+)/i;
+// Official numbers, e.g. "VIV/123/2025" for orders or "5/2025" for laws
+const OFFICIAL_NUMBER_PATTERN = /^(?:([a-z]{2,5})\/)?(\d+)\/\d{4}$/i;
+// ELI rank of each disposition rank, by its name without accents
+const ELI_RANKS = {
+  'ley organica': 'lo',
+  'ley': 'l',
+  'real decreto-ley': 'rdl',
+  'real decreto legislativo': 'rdlg',
+  'real decreto': 'rd',
+  'orden': 'o'
+};
+const MONTHS = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+  'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+/**
+ * Finds the BOE id of a match in its id fields or links
+ * @param {Object} match - The match
+ * @returns {string|null} - The upper-case BOE id, or null if the match has none
+ */
+export function findBoeId(match) {
+  const boeId = [match.document_id, match.boe_id, match.id, match.links?.html, match.links?.pdf]
+    .filter(value => typeof value === 'string')
+    .map(value => value.match(BOE_ID_PATTERN)?.[0])
+    .find(Boolean);
+
+  return boeId ? boeId.toUpperCase() : null;
+}
+
+/**
+ * Parses a BOE link, moving it to https://www.boe.es
+ * @param {string} [link] - The link
+ * @returns {URL|null} - The URL, or null if it isn't a boe.es link
+ */
+function parseBoeUrl(link) {
+  if (typeof link !== 'string') {
+    return null;
+  }
+
+  try {
+    const url = new URL(link.trim());
+    if (!BOE_HOSTS.includes(url.hostname.toLowerCase())) {
+      return null;
+    }
+    url.protocol = 'https:';
+    url.hostname = 'www.boe.es';
+    url.hash = '';
+    return url;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the canonical HTML URL of a BOE document, https://www.boe.es/diario_boe/txt.php?id=<id>
+ * @param {string} boeId - The BOE id
+ * @returns {string} - The URL
+ */
+export function getBoeHtmlUrl(boeId) {
+  return `${BOE_BASE_URL}/diario_boe/txt.php?id=${boeId}`;
+}
+
+/**
+ * Returns the PDF URL of a BOE document, which is filed under its publication date
+ * @param {string} boeId - The BOE id
+ * @param {string} [publicationDate] - Publication date (YYYY-MM-DD or YYYYMMDD)
+ * @returns {string|null} - The URL, or null without a date from the id's year
+ */
+export function getBoePdfUrl(boeId, publicationDate) {
+  const date = typeof publicationDate === 'string'
+    ? publicationDate.trim().match(/^(\d{4})-?(\d{2})-?(\d{2})/)
+    : null;
+  const idYear = boeId.split('-')[2];
+  if (!date || date[1] !== idYear) {
+    return null;
+  }
+
+  const [, year, month, day] = date;
+  return `${BOE_BASE_URL}/boe/dias/${year}/${month}/${day}/pdfs/${boeId}.pdf`;
+}
+
+/**
+ * Returns the ELI rank of a disposition rank name, e.g. "Real Decreto-ley" or "Ley Orgánica"
+ * @param {string} [rankName] - The rank name
+ * @returns {string|null} - The ELI rank, or null if dispositions of the rank have no ELI permalink
+ */
+function getEliRank(rankName) {
+  if (typeof rankName !== 'string') {
+    return null;
+  }
+
+  const name = rankName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return ELI_RANKS[name] || null;
+}
+
+/**
+ * Reads the ELI parts of a disposition from its metadata: the rank, official number and
+ * disposition date the parser sends (`rank`, `official_number`, `disposition_date`), or their
+ * BOE API names (`rango`, `numero_oficial`, `fecha_disposicion`)
+ * @param {Object} match - The match
+ * @returns {{rank: string, department: string, number: string, date: string}|null} - The parts,
+ *   or null if the metadata doesn't identify a disposition with an ELI permalink
+ */
+function getEliPartsFromMetadata(match) {
+  const rankName = match.rank ?? match.rango;
+  const rank = getEliRank(typeof rankName === 'object' ? rankName?.texto : rankName);
+  const officialNumber = match.official_number ?? match.numero_oficial;
+  const number = typeof officialNumber === 'string' ? officialNumber.trim().match(OFFICIAL_NUMBER_PATTERN) : null;
+  const date = toCalendarDate(match.disposition_date ?? match.dates?.disposition_date ?? match.fecha_disposicion);
+  if (!rank || !number || !date) {
+    return null;
+  }
+
+  return { rank, department: number[1] || '', number: number[2], date };
+}
+
+/**
+ * Reads the ELI parts of a disposition from the start of its title, e.g.
+ * "Orden VIV/123/2025, de 10 de abril"
+ * @param {string} [title] - The BOE title
+ * @returns {{rank: string, department: string, number: string, date: string}|null} - The parts,
+ *   or null if the title doesn't identify a disposition with an ELI permalink
+ */
+function getEliPartsFromTitle(title) {
+  const parts = typeof title === 'string' ? title.trim().match(ELI_TITLE_PATTERN) : null;
+  if (!parts) {
+    return null;
+  }
+
+  const [, rankName, department = '', number, year, day, monthName] = parts;
+  const rank = getEliRank(rankName);
+  const month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+  const date = month > 0 ? toCalendarDate(`${year}-${String(month).padStart(2, '0')}-${day.padStart(2, '0')}`) : null;
+  if (!rank || !date) {
+    return null;
+  }
+
+  return { rank, department, number, date };
+}
+
+/**
+ * Returns the ELI permalink of a disposition, e.g. https://www.boe.es/eli/es/o/2025/04/10/viv123
+ * for "Orden VIV/123/2025, de 10 de abril". In order: the permalink in the match metadata
+ * (`eli_url`, or `url_eli` from the BOE API), one built from its rank, official number and
+ * disposition date, and one built from its title.
+ * @param {Object} match - The match
+ * @returns {string|null} - The permalink, or null if the match isn't a disposition with one
+ */
+export function getBoeEliUrl(match) {
+  const explicit = parseBoeUrl(match.eli_url)?.toString() || parseBoeUrl(match.url_eli)?.toString();
+  if (explicit) {
+    return explicit;
+  }
+
+  const parts = getEliPartsFromMetadata(match) || getEliPartsFromTitle(match.title);
+  if (!parts) {
+    return null;
+  }
+
+  const { rank, department, number, date } = parts;
+  return `${BOE_BASE_URL}/eli/es/${rank}/${date.replace(/-/g, '/')}/${department.toLowerCase()}${number}`;
+}
+
+/**
+ * Canonicalizes a BOE HTML link: txt.php, act.php, doc.php and mobile links of a document
+ * become its txt.php URL; other boe.es links are moved to https://www.boe.es
+ * @param {string} [link] - The link
+ * @returns {string|null} - The canonical URL, the link itself if it isn't a boe.es link, or null
+ */
+export function canonicalizeBoeUrl(link) {
+  const url = parseBoeUrl(link);
+  if (!url) {
+    return typeof link === 'string' && link.trim() ? link.trim() : null;
+  }
+
+  const boeId = url.href.match(BOE_ID_PATTERN)?.[0];
+  if (boeId && !url.pathname.toLowerCase().endsWith('.pdf')) {
+    return getBoeHtmlUrl(boeId.toUpperCase());
+  }
+
+  return url.toString();
+}
+
+/**
+ * Builds the links of a BOE match: the canonical HTML URL, the PDF URL and the ELI permalink.
+ * Links the match carries are canonicalized; missing ones are derived from its BOE id, and the
+ * ELI permalink from its metadata or title (see getBoeEliUrl).
+ * @param {Object} match - The match
+ * @param {Object} [options] - Link options
+ * @param {string} [options.publicationDate] - Publication date of the bulletin, for the PDF URL
+ * @returns {{html?: string, pdf?: string, eli?: string}} - The links, without the unknown ones
+ */
+export function buildBoeLinks(match, { publicationDate } = {}) {
+  const boeId = findBoeId(match);
+  const links = {
+    ...match.links,
+    html: canonicalizeBoeUrl(match.links?.html) || (boeId ? getBoeHtmlUrl(boeId) : null),
+    pdf: parseBoeUrl(match.links?.pdf)?.toString() || match.links?.pdf ||
+      (boeId ? getBoePdfUrl(boeId, match.publication_date || match.dates?.publication_date || publicationDate) : null),
+    eli: parseBoeUrl(match.links?.eli)?.toString() || getBoeEliUrl(match)
+  };
+
+  return Object.fromEntries(Object.entries(links).filter(([, value]) => value));
+}
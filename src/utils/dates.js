@@ -0,0 +1,171 @@
+import { config } from '../config/index.js';
+
+/**
+ * Calendar dates (query and publication dates) of bulletins, read in the bulletins' time zone
+ * (config.dates.timeZone, Europe/Madrid by default) rather than UTC, so a bulletin published
+ * just after midnight in Madrid is filed under the right day
+ */
+
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter producing the parts of a date in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} - The formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Returns the calendar date of an instant in a time zone
+ * @param {Date} [date] - The instant (defaults to now)
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} - The date as YYYY-MM-DD
+ */
+export function getCalendarDate(date = new Date(), timeZone = config.dates.timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Formats a day as YYYY-MM-DD if it exists in the calendar (e.g. not 2025-02-30)
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {number} day - The day of the month
+ * @returns {string|null} - The date, or null if it doesn't exist
+ */
+function formatDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parses a date from a message as a calendar date. Accepts YYYY-MM-DD, YYYYMMDD (BOE API),
+ * DD/MM/YYYY and ISO date-times; date-times with an offset (e.g. `2025-04-09T22:30:00Z`) are
+ * read in the time zone, others by their date part.
+ * @param {string|Date} value - The date
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string|null} - The date as YYYY-MM-DD, or null if it isn't a valid date
+ */
+export function toCalendarDate(value, timeZone = config.dates.timeZone) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : getCalendarDate(value, timeZone);
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const instant = new Date(text);
+    return Number.isNaN(instant.getTime()) ? null : getCalendarDate(instant, timeZone);
+  }
+
+  const isoDay = text.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[T ][\d:.]+)?$/);
+  if (isoDay) {
+    return formatDay(Number(isoDay[1]), Number(isoDay[2]), Number(isoDay[3]));
+  }
+
+  const spanishDay = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (spanishDay) {
+    return formatDay(Number(spanishDay[3]), Number(spanishDay[2]), Number(spanishDay[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes a date field of an object in place. A valid date becomes YYYY-MM-DD; an invalid
+ * one is removed and recorded in the `invalid_dates` of the flag target, so it isn't mistaken
+ * for a date later on.
+ * @param {Object} target - Object holding the field
+ * @param {string} field - The field
+ * @param {Object} flagTarget - Object whose `invalid_dates` records invalid values
+ * @param {string} flagKey - Key of the field in `invalid_dates`
+ * @param {Object} report - Report to update
+ * @param {string} path - Path of the field, for the report
+ */
+function normalizeDateField(target, field, flagTarget, flagKey, report, path) {
+  const value = target?.[field];
+  if (value === undefined || value === null || value === '') {
+    return;
+  }
+
+  const date = toCalendarDate(value);
+  if (date) {
+    target[field] = date;
+    return;
+  }
+
+  delete target[field];
+  flagTarget.invalid_dates = { ...flagTarget.invalid_dates, [flagKey]: value };
+  report.invalid.push({ path, value });
+}
+
+/**
+ * Normalizes the dates of a canonical message in place: `results.query_date`, the
+ * `publication_date` of issue blocks such as `boe_info`, and the `publication_date` and
+ * `dates` of every match. Invalid dates are flagged in `invalid_dates` of the results or match.
+ * @param {Object} message - The canonical message
+ * @returns {{invalid: Array<{path: string, value: *}>}} - The invalid dates found
+ */
+export function normalizeMessageDates(message) {
+  const report = { invalid: [] };
+  const { results } = message;
+  if (!results || typeof results !== 'object') {
+    return report;
+  }
+
+  normalizeDateField(results, 'query_date', results, 'query_date', report, 'results.query_date');
+  for (const [block, info] of Object.entries(results)) {
+    if (block.endsWith('_info') && info && typeof info === 'object') {
+      normalizeDateField(info, 'publication_date', results, `${block}.publication_date`, report,
+        `results.${block}.publication_date`);
+    }
+  }
+
+  const queryResults = Array.isArray(results.results) ? results.results : [];
+  queryResults.forEach((queryResult, resultIndex) => {
+    (Array.isArray(queryResult?.matches) ? queryResult.matches : []).forEach((match, matchIndex) => {
+      if (!match || typeof match !== 'object') {
+        return;
+      }
+
+      const path = `results.results.${resultIndex}.matches.${matchIndex}`;
+      normalizeDateField(match, 'publication_date', match, 'publication_date', report, `${path}.publication_date`);
+      if (match.dates && typeof match.dates === 'object') {
+        for (const field of Object.keys(match.dates)) {
+          normalizeDateField(match.dates, field, match, `dates.${field}`, report, `${path}.dates.${field}`);
+        }
+      }
+    });
+  });
+
+  return report;
+}
+
+/**
+ * Collects the invalid dates flagged for a match and its message (see normalizeMessageDates)
+ * @param {Object} match - The match
+ * @param {Object} message - The normalized message
+ * @returns {Object|undefined} - Invalid values by field, or undefined if there are none
+ */
+export function getInvalidDates(match, message) {
+  const invalidDates = { ...message.results?.invalid_dates, ...match.invalid_dates };
+  return Object.keys(invalidDates).length > 0 ? invalidDates : undefined;
+}
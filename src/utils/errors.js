@@ -0,0 +1,89 @@
+import { isDatabaseConnectionError, isDatabaseResourceError } from './retry.js';
+
+/**
+ * Machine-readable error categories attached to DLQ messages
+ */
+export const ERROR_CATEGORY = {
+  PARSE: 'parse',
+  VALIDATION: 'validation',
+  RLS: 'rls',
+  DB_TRANSIENT: 'db_transient',
+  DB_PERMANENT: 'db_permanent',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Raised when a message body cannot be decoded
+ */
+export class MessageParseError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'MessageParseError';
+    this.category = ERROR_CATEGORY.PARSE;
+  }
+}
+
+/**
+ * Raised when a message does not match any supported schema
+ */
+export class MessageValidationError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'MessageValidationError';
+    this.category = ERROR_CATEGORY.VALIDATION;
+  }
+}
+
+/**
+ * Raised when a message declares a schema version this worker can't convert
+ */
+export class UnsupportedSchemaVersionError extends MessageValidationError {
+  constructor(version, supportedVersions) {
+    super(`Unsupported message schema version ${version} (supported: ${supportedVersions.join(', ')})`);
+    this.name = 'UnsupportedSchemaVersionError';
+    this.version = version;
+  }
+}
+
+/**
+ * Classifies an error into one of the ERROR_CATEGORY values
+ * @param {Error} error - The error to classify
+ * @returns {string} - The error category
+ */
+export function classifyError(error) {
+  if (!error) {
+    return ERROR_CATEGORY.UNKNOWN;
+  }
+
+  if (Object.values(ERROR_CATEGORY).includes(error.category)) {
+    return error.category;
+  }
+
+  if (error instanceof SyntaxError) {
+    return ERROR_CATEGORY.PARSE;
+  }
+
+  if (error.name === 'ZodError') {
+    return ERROR_CATEGORY.VALIDATION;
+  }
+
+  const message = error.message || '';
+
+  if (error.code === '42501' || // insufficient_privilege
+      message.includes('permission denied') ||
+      message.includes('insufficient privilege') ||
+      message.includes('row-level security')) {
+    return ERROR_CATEGORY.RLS;
+  }
+
+  if (isDatabaseConnectionError(error) || isDatabaseResourceError(error)) {
+    return ERROR_CATEGORY.DB_TRANSIENT;
+  }
+
+  // Any other PostgreSQL SQLSTATE (constraint violations, bad input, missing columns...)
+  if (typeof error.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code)) {
+    return ERROR_CATEGORY.DB_PERMANENT;
+  }
+
+  return ERROR_CATEGORY.UNKNOWN;
+}
@@ -0,0 +1,192 @@
+import { config } from '../config/index.js';
+
+/**
+ * Notification excerpts: summaries cut on sentence boundaries, and the ranges of the prompt
+ * terms they contain so the frontend and emails can show why a document matched
+ */
+
+// Prompt words that say nothing about the match (Spanish, Galician and English)
+const STOPWORDS = new Set([
+  'las', 'los', 'del', 'para', 'por', 'con', 'que', 'una', 'uno', 'unos', 'unas', 'sobre',
+  'como', 'entre', 'desde', 'hasta', 'sus', 'mas', 'este', 'esta', 'estos', 'estas', 'todo',
+  'toda', 'todos', 'todas', 'cualquier', 'algun', 'alguna', 'quiero', 'busco', 'informacion',
+  'noticias', 'relacionado', 'relacionada', 'relacionados', 'relacionadas',
+  'das', 'dos', 'nas', 'nos', 'polo', 'pola', 'unha', 'calquera',
+  'the', 'and', 'for', 'with', 'about', 'from', 'any', 'all', 'that', 'this'
+]);
+
+// Words followed by a period that don't end a sentence (accents folded)
+const ABBREVIATIONS = new Set([
+  'art', 'arts', 'num', 'nums', 'pag', 'pags', 'apdo', 'cap', 'sr', 'sra', 'sres', 'dna', 'excmo',
+  'excma', 'ilmo', 'ilma', 'avda', 'admon', 'aprox', 'ej', 'vid'
+]);
+
+const MIN_TERM_LENGTH = 3;
+
+/**
+ * Lower-cases a text and removes its accents, e.g. "Vivienda Pública" to "vivienda publica"
+ * @param {string} text - The text
+ * @returns {string} - Folded text
+ */
+function fold(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Folds a text keeping, for every character of the result, its index in the original text
+ * @param {string} text - The text
+ * @returns {{folded: string, positions: Array<number>}} - Folded text and original positions
+ */
+function foldWithPositions(text) {
+  let folded = '';
+  const positions = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const character = fold(text[index]);
+    for (let offset = 0; offset < character.length; offset++) {
+      folded += character[offset];
+      positions.push(index);
+    }
+  }
+
+  return { folded, positions };
+}
+
+/**
+ * Extracts the terms of the prompts that matched: their words, accents folded, without
+ * stopwords and words shorter than 3 characters
+ * @param {Array<string>} prompts - The prompts
+ * @returns {Array<string>} - Unique folded terms
+ */
+export function getPromptTerms(prompts = []) {
+  const terms = prompts
+    .filter(prompt => typeof prompt === 'string')
+    .flatMap(prompt => fold(prompt).split(/[^\p{L}\p{N}]+/u))
+    .filter(term => term.length >= MIN_TERM_LENGTH && !STOPWORDS.has(term));
+
+  return [...new Set(terms)];
+}
+
+/**
+ * Finds the prompt terms in a text, ignoring case and accents. Whole words match, as do
+ * their plurals ("vivienda" matches "Viviendas").
+ * @param {string} text - The text
+ * @param {Array<string>} terms - Folded terms (see getPromptTerms)
+ * @returns {Array<{start: number, end: number, term: string}>} - Ranges in the text (end exclusive),
+ *   sorted and not overlapping
+ */
+export function findHighlights(text, terms) {
+  if (typeof text !== 'string' || !text || terms.length === 0) {
+    return [];
+  }
+
+  const { folded, positions } = foldWithPositions(text);
+  const ranges = [];
+
+  for (const term of terms) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?:es|s)?(?![\\p{L}\\p{N}])`, 'gu');
+    for (const found of folded.matchAll(pattern)) {
+      ranges.push({
+        start: positions[found.index],
+        end: positions[found.index + found[0].length - 1] + 1,
+        term
+      });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  return ranges.filter((range, index) => index === 0 || range.start >= ranges[index - 1].end);
+}
+
+/**
+ * Splits a text into sentences, not breaking on abbreviations such as "art." or "núm."
+ * @param {string} text - The text
+ * @returns {Array<string>} - The sentences
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+
+  for (const boundary of text.matchAll(/[.!?…]+["»”)]*\s+/g)) {
+    const end = boundary.index + boundary[0].length;
+    const next = text[end];
+    const lastWord = fold(text.slice(start, boundary.index).split(/\s+/).pop() || '');
+    const isAbbreviation = boundary[0].startsWith('.') && (lastWord.length === 1 || ABBREVIATIONS.has(lastWord));
+
+    if (next && /[\p{Lu}\p{N}¿¡«"“(]/u.test(next) && !isAbbreviation) {
+      sentences.push(text.slice(start, end).trim());
+      start = end;
+    }
+  }
+
+  const rest = text.slice(start).trim();
+  if (rest) {
+    sentences.push(rest);
+  }
+
+  return sentences;
+}
+
+/**
+ * Builds the excerpt of a summary: whole sentences up to the maximum length. If the opening
+ * sentences would leave out every prompt term, the excerpt starts at the first sentence with
+ * one ("... " marks the skipped text). A first sentence longer than the limit is cut at a word.
+ * @param {string} text - The summary
+ * @param {Object} [options] - Excerpt options
+ * @param {number} [options.maxLength] - Maximum length
+ * @param {Array<string>} [options.terms] - Prompt terms (see getPromptTerms)
+ * @returns {string} - The excerpt
+ */
+export function buildExcerpt(text, { maxLength = config.excerpts.maxLength, terms = [] } = {}) {
+  const clean = text.trim();
+  if (clean.length <= maxLength) {
+    return clean;
+  }
+
+  const sentences = splitSentences(clean);
+  const firstWithTerm = sentences.findIndex(sentence => findHighlights(sentence, terms).length > 0);
+  const start = firstWithTerm > 0 && sentences.slice(0, firstWithTerm + 1).join(' ').length > maxLength
+    ? firstWithTerm
+    : 0;
+  const prefix = start > 0 ? '... ' : '';
+
+  let excerpt = '';
+  for (const sentence of sentences.slice(start)) {
+    const candidate = excerpt ? `${excerpt} ${sentence}` : sentence;
+    if (prefix.length + candidate.length > maxLength) {
+      break;
+    }
+    excerpt = candidate;
+  }
+
+  if (!excerpt) {
+    const room = maxLength - prefix.length - 3;
+    const cut = sentences[start].slice(0, room);
+    const lastSpace = cut.lastIndexOf(' ');
+    excerpt = `${(lastSpace > room / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}...`;
+  }
+
+  return `${prefix}${excerpt}`;
+}
+
+/**
+ * Locates the prompt terms in the title and content of a notification, for `data.highlights`
+ * @param {Object} notification - The notification text
+ * @param {string} notification.title - The title
+ * @param {string} notification.content - The content
+ * @param {Array<string>} terms - Prompt terms (see getPromptTerms)
+ * @returns {{terms: Array<string>, title: Array<Object>, content: Array<Object>}} - The terms found
+ *   and their ranges in the title and content
+ */
+export function highlightNotification({ title, content }, terms) {
+  const titleRanges = findHighlights(title, terms);
+  const contentRanges = findHighlights(content, terms);
+  const found = new Set([...titleRanges, ...contentRanges].map(range => range.term));
+
+  return {
+    terms: terms.filter(term => found.has(term)),
+    title: titleRanges,
+    content: contentRanges
+  };
+}
@@ -0,0 +1,56 @@
+import { config } from '../config/index.js';
+import { es } from '../locales/es.js';
+import { gl } from '../locales/gl.js';
+import { en } from '../locales/en.js';
+
+/**
+ * Message catalogs for the text the worker writes itself (fallback titles, placeholders, email defaults)
+ */
+
+const CATALOGS = { es, gl, en };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * Normalizes a language tag such as "es-ES" or "GL" to a supported locale
+ * @param {string} [locale] - Language tag
+ * @returns {string|null} - The supported locale, or null
+ */
+export function normalizeLocale(locale) {
+  if (typeof locale !== 'string') {
+    return null;
+  }
+
+  const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Returns the configured default locale (DEFAULT_LOCALE), or Spanish if it isn't supported
+ * @returns {string} - The default locale
+ */
+export function getDefaultLocale() {
+  return normalizeLocale(config.i18n.defaultLocale) || 'es';
+}
+
+/**
+ * Returns the raw catalog entry for a key, falling back to the default locale
+ * @param {string} locale - The locale
+ * @param {string} key - Message key
+ * @returns {string|undefined} - The entry, or undefined if no catalog has it
+ */
+export function getMessage(locale, key) {
+  return CATALOGS[normalizeLocale(locale)]?.[key] ?? CATALOGS[getDefaultLocale()]?.[key];
+}
+
+/**
+ * Returns a message in the given locale with its `{name}` placeholders filled
+ * @param {string} locale - The locale
+ * @param {string} key - Message key
+ * @param {Object} [variables] - Placeholder values
+ * @returns {string} - The message, or the key if it is missing from every catalog
+ */
+export function translate(locale, key, variables = {}) {
+  const message = getMessage(locale, key) ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => String(variables[name] ?? ''));
+}
@@ -0,0 +1,254 @@
+import { config } from '../config/index.js';
+
+/**
+ * Sanitization of the text and links parsers send, applied before anything is stored.
+ * Text loses its HTML, control and invisible characters and extra whitespace; links are
+ * resolved against the processor's base URL and anything that isn't http(s) is dropped.
+ */
+
+// Elements whose content is never text
+const HIDDEN_ELEMENTS = /<(script|style|head|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+const HTML_COMMENTS = /<!--[\s\S]*?-->/g;
+const HTML_TAGS = /<\/?[a-z][^>]*>/gi;
+
+// C0/C1 controls (except whitespace), zero-width characters, BOM and bidi overrides
+const INVISIBLE_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u200B-\u200D\u2060\uFEFF\u202A-\u202E\u2066-\u2069]/g;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00a0',
+  laquo: '«',
+  raquo: '»',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  euro: '€',
+  iexcl: '¡',
+  iquest: '¿',
+  ordf: 'ª',
+  ordm: 'º',
+  middot: '·'
+};
+
+// Accented letter entities, e.g. `&oacute;` or `&Ntilde;`, as the combining mark of their suffix
+const ACCENT_ENTITY = /^([a-z])(acute|grave|circ|tilde|uml|cedil)$/i;
+const COMBINING_MARKS = {
+  acute: '\u0301',
+  grave: '\u0300',
+  circ: '\u0302',
+  tilde: '\u0303',
+  uml: '\u0308',
+  cedil: '\u0327'
+};
+
+const SAFE_PROTOCOLS = ['http:', 'https:'];
+
+// Fields holding titles get the title limit; every other text field the content limit
+const TITLE_FIELD = /^(notification_)?title(_\w+)?$/;
+
+/**
+ * Creates an empty sanitization report
+ * @returns {{texts_cleaned: number, links_resolved: number, links_rejected: Array<Object>}}
+ */
+function createReport() {
+  return { texts_cleaned: 0, links_resolved: 0, links_rejected: [] };
+}
+
+/**
+ * Decodes HTML entities such as `&amp;`, `&oacute;`, `&#243;` or `&#xF3;`; accented letters are
+ * composed by the NFC normalization that follows
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    const accent = name.match(ACCENT_ENTITY);
+    if (accent) {
+      return `${accent[1]}${COMBINING_MARKS[accent[2]]}`;
+    }
+    return NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Removes HTML comments, tags and the elements whose content is never text
+ * @param {string} text - Text with HTML
+ * @returns {string} - Text without HTML
+ */
+function stripHtml(text) {
+  return text
+    .replace(HIDDEN_ELEMENTS, ' ')
+    .replace(HTML_COMMENTS, ' ')
+    .replace(HTML_TAGS, ' ');
+}
+
+/**
+ * Cleans a text: strips HTML, decodes entities, removes control and invisible characters,
+ * normalizes Unicode (NFC) and whitespace and cuts it to the maximum length with "...".
+ * HTML is stripped again after decoding, so encoded markup (`&lt;img ...&gt;`) doesn't survive.
+ * @param {string} text - Text from the parser
+ * @param {number} [maxLength] - Maximum length
+ * @returns {string} - Clean text
+ */
+export function sanitizeText(text, maxLength = config.sanitization.contentMaxLength) {
+  const clean = stripHtml(decodeEntities(stripHtml(text)))
+    .replace(INVISIBLE_CHARACTERS, '')
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return clean.length > maxLength ? `${clean.substring(0, maxLength - 3).trimEnd()}...` : clean;
+}
+
+/**
+ * Turns a link into an absolute http(s) URL. Relative links are resolved against the base URL
+ * and must stay on its origin, so protocol-relative links (`//host/path`) are rejected; so are
+ * other schemes (javascript:, data:, mailto:...) and relative links without a base.
+ * @param {string} link - Link from the parser
+ * @param {string} [baseUrl] - Official base URL of the source, e.g. https://www.boe.es
+ * @returns {{url: string|null, resolved: boolean, reason: string|null}} - The URL, whether it was
+ *   resolved against the base, or why it was rejected
+ */
+export function resolveSafeUrl(link, baseUrl = null) {
+  const trimmed = typeof link === 'string' ? link.replace(INVISIBLE_CHARACTERS, '').trim() : '';
+  if (!trimmed) {
+    return { url: null, resolved: false, reason: 'empty link' };
+  }
+
+  let url;
+  let resolved = false;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+    try {
+      url = new URL(trimmed);
+    } catch (error) {
+      return { url: null, resolved: false, reason: 'malformed URL' };
+    }
+  } else {
+    if (!baseUrl) {
+      return { url: null, resolved: false, reason: 'relative link without a base URL' };
+    }
+    try {
+      url = new URL(trimmed, baseUrl);
+      resolved = true;
+    } catch (error) {
+      return { url: null, resolved: false, reason: 'malformed URL' };
+    }
+    if (url.origin !== new URL(baseUrl).origin) {
+      return { url: null, resolved: false, reason: 'relative link to another origin' };
+    }
+  }
+
+  if (!SAFE_PROTOCOLS.includes(url.protocol)) {
+    return { url: null, resolved: false, reason: `unsafe scheme ${url.protocol}` };
+  }
+
+  return { url: url.toString(), resolved, reason: null };
+}
+
+/**
+ * Sanitizes one match in place: every text field except links, and every link in `links` and
+ * the processor's link fields. Rejected links are removed.
+ * @param {Object} match - The match
+ * @param {Object} options - Sanitization options
+ * @param {string} [options.baseUrl] - Base URL relative links are resolved against
+ * @param {Array<string>} [options.linkFields] - Match fields holding a link or a list of links
+ * @param {Object} [report] - Sanitization report to update
+ * @param {string} [path] - Path of the match in the message, for the report
+ * @returns {Object} - The report
+ */
+export function sanitizeMatch(match, { baseUrl = null, linkFields = [] } = {}, report = createReport(), path = 'match') {
+  const sanitizeLink = (link, linkPath) => {
+    const { url, resolved, reason } = resolveSafeUrl(link, baseUrl);
+    if (!url) {
+      report.links_rejected.push({ path: linkPath, reason });
+    } else if (resolved) {
+      report.links_resolved++;
+    }
+    return url;
+  };
+
+  for (const [field, value] of Object.entries(match)) {
+    if (typeof value !== 'string' || linkFields.includes(field)) {
+      continue;
+    }
+
+    const maxLength = TITLE_FIELD.test(field)
+      ? config.sanitization.titleMaxLength
+      : config.sanitization.contentMaxLength;
+    const clean = sanitizeText(value, maxLength);
+    if (clean !== value) {
+      report.texts_cleaned++;
+      match[field] = clean;
+    }
+  }
+
+  for (const field of ['links', ...linkFields]) {
+    const value = match[field];
+    const fieldPath = `${path}.${field}`;
+
+    if (typeof value === 'string') {
+      const url = sanitizeLink(value, fieldPath);
+      if (url) {
+        match[field] = url;
+      } else {
+        delete match[field];
+      }
+    } else if (Array.isArray(value)) {
+      match[field] = value
+        .map((link, index) => sanitizeLink(link, `${fieldPath}.${index}`))
+        .filter(Boolean);
+    } else if (value && typeof value === 'object') {
+      for (const [name, link] of Object.entries(value)) {
+        if (typeof link !== 'string') {
+          continue;
+        }
+        const url = sanitizeLink(link, `${fieldPath}.${name}`);
+        if (url) {
+          value[name] = url;
+        } else {
+          delete value[name];
+        }
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Sanitizes every match of a canonical message (results.results[].matches[]). The message is
+ * copied, not modified.
+ * @param {Object} message - The canonical message
+ * @param {Object} [options] - Sanitization options
+ * @param {string} [options.baseUrl] - Base URL relative links are resolved against
+ * @param {Array<string>} [options.linkFields] - Match fields holding links, besides `links`
+ * @returns {{message: Object, report: Object}} - The sanitized message, and how many texts were
+ *   cleaned, links resolved and which links were rejected
+ */
+export function sanitizeMessage(message, { baseUrl = null, linkFields = [] } = {}) {
+  const sanitized = structuredClone(message);
+  const report = createReport();
+
+  const queryResults = Array.isArray(sanitized.results?.results) ? sanitized.results.results : [];
+  queryResults.forEach((queryResult, resultIndex) => {
+    if (!Array.isArray(queryResult?.matches)) {
+      return;
+    }
+
+    queryResult.matches.forEach((match, matchIndex) => {
+      if (match && typeof match === 'object') {
+        sanitizeMatch(match, { baseUrl, linkFields }, report, `results.results.${resultIndex}.matches.${matchIndex}`);
+      }
+    });
+  });
+
+  return { message: sanitized, report };
+}
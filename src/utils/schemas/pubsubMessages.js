@@ -27,6 +27,16 @@
  * @property {string} metadata.status - Processing status
  */
 
+/**
+ * Returns today's date in Madrid, where BOE bulletins are dated, as YYYY-MM-DD
+ * 
+ * @returns {string} Today's bulletin date
+ */
+function getBulletinDate() {
+  // The en-CA locale formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Madrid' }).format(new Date());
+}
+
 /**
  * Validates a BOE parser result message
  * 
@@ -105,10 +115,10 @@ export function createDefaultBoeParserMessage() {
     },
     results: {
       boe_info: {
-        publication_date: new Date().toISOString().split('T')[0],
+        publication_date: getBulletinDate(),
         source_url: 'https://www.boe.es'
       },
-      query_date: new Date().toISOString().split('T')[0],
+      query_date: getBulletinDate(),
       results: [{
         prompt: 'Default query',
         matches: [],
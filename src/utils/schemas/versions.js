@@ -0,0 +1,152 @@
+import { UnsupportedSchemaVersionError } from '../errors.js';
+
+/**
+ * Message schema versions and the up-converters between them
+ *
+ * 1.0 - docs/pubsub-structure.md: `version`, `request.prompts`, `results.matches[].documents[]`
+ * 2.0 - docs/PUBSUB_SCHEMA.md: `request.texts`, `results.results[].matches[]` (canonical)
+ *
+ * Every message is converted to the canonical version before validation. To introduce a new
+ * generation, add a converter from the previous canonical version and bump CANONICAL_SCHEMA_VERSION.
+ */
+
+export const CANONICAL_SCHEMA_VERSION = '2.0';
+
+/**
+ * Converts a 1.0 message: prompts become texts and each `matches[]` group with its
+ * `documents[]` becomes a `results[]` entry with `matches[]`
+ * @param {Object} message - Message in the 1.0 shape
+ * @returns {Object} - Message in the 2.0 shape
+ */
+function convertV1ToV2(message) {
+  const { matches = [], ...results } = message.results || {};
+  const request = message.request || {};
+  const prompts = request.texts || request.prompts || [];
+
+  // Early 1.0 producers sent a flat list of documents instead of per-prompt groups
+  const grouped = matches.every(match => Array.isArray(match?.documents));
+  const queryResults = grouped
+    ? matches.map(({ documents, ...group }) => ({
+      ...group,
+      prompt: group.prompt || prompts[0] || 'Default prompt',
+      matches: documents
+    }))
+    : [{ prompt: prompts[0] || 'Default prompt', matches }];
+
+  return {
+    ...message,
+    version: '2.0',
+    request: {
+      ...request,
+      texts: prompts
+    },
+    results: {
+      ...results,
+      results: queryResults
+    }
+  };
+}
+
+// Up-converters keyed by the version they convert from
+const UP_CONVERTERS = {
+  '1.0': { to: '2.0', convert: convertV1ToV2 }
+};
+
+export const SUPPORTED_SCHEMA_VERSIONS = [...Object.keys(UP_CONVERTERS), CANONICAL_SCHEMA_VERSION];
+
+// Messages seen per detected schema version, supported or not
+export const schemaVersionMetrics = {
+  versions: {},
+  unsupported: {}
+};
+
+/**
+ * Normalizes version notations such as 1, "1", "v1" and "1.0" to "1.0"
+ * @param {string|number} version - Declared version
+ * @returns {string} - Normalized version
+ */
+export function normalizeSchemaVersion(version) {
+  const text = String(version).trim().replace(/^v/i, '');
+  return /^\d+$/.test(text) ? `${text}.0` : text;
+}
+
+/**
+ * Detects the schema version of a message. The `version` field wins, then the
+ * `schema_version` message attribute; unversioned messages are identified by their shape.
+ * @param {Object} message - The parsed message data
+ * @param {Object} [attributes] - PubSub message attributes
+ * @returns {{version: string, source: string}} - Detected version and where it came from
+ */
+export function detectSchemaVersion(message, attributes = {}) {
+  if (message.version !== undefined && message.version !== null && message.version !== '') {
+    return { version: normalizeSchemaVersion(message.version), source: 'message' };
+  }
+
+  if (attributes?.schema_version) {
+    return { version: normalizeSchemaVersion(attributes.schema_version), source: 'attribute' };
+  }
+
+  if (Array.isArray(message.results?.matches) && !Array.isArray(message.results?.results)) {
+    return { version: '1.0', source: 'shape' };
+  }
+
+  return { version: CANONICAL_SCHEMA_VERSION, source: 'shape' };
+}
+
+/**
+ * Converts a message of the given version to the canonical version by chaining up-converters
+ * @param {Object} message - The parsed message data
+ * @param {string} version - Version of the message (see detectSchemaVersion)
+ * @returns {{message: Object, steps: Array<string>}} - Canonical message and conversions applied
+ * @throws {UnsupportedSchemaVersionError} - If no conversion path exists
+ */
+export function upconvertMessage(message, version) {
+  let current = message;
+  let currentVersion = version;
+  const steps = [];
+
+  while (currentVersion !== CANONICAL_SCHEMA_VERSION) {
+    const converter = UP_CONVERTERS[currentVersion];
+    if (!converter) {
+      throw new UnsupportedSchemaVersionError(version, SUPPORTED_SCHEMA_VERSIONS);
+    }
+
+    current = converter.convert(current);
+    steps.push(`${currentVersion}->${converter.to}`);
+    currentVersion = converter.to;
+  }
+
+  return { message: current, steps };
+}
+
+/**
+ * Detects the version of a message, counts it and converts the message to the canonical version
+ * @param {Object} message - The parsed message data
+ * @param {Object} [attributes] - PubSub message attributes
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.track=true] - Whether to count the message in schemaVersionMetrics
+ * @returns {{message: Object, version: string, source: string, steps: Array<string>}} - Conversion result
+ * @throws {UnsupportedSchemaVersionError} - If the version is not supported
+ */
+export function toCanonicalMessage(message, attributes = {}, { track = true } = {}) {
+  const { version, source } = detectSchemaVersion(message, attributes);
+  const counts = SUPPORTED_SCHEMA_VERSIONS.includes(version)
+    ? schemaVersionMetrics.versions
+    : schemaVersionMetrics.unsupported;
+
+  if (track) {
+    counts[version] = (counts[version] || 0) + 1;
+  }
+
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    throw new UnsupportedSchemaVersionError(version, SUPPORTED_SCHEMA_VERSIONS);
+  }
+
+  const converted = upconvertMessage(message, version);
+  return {
+    message: { ...converted.message, version: CANONICAL_SCHEMA_VERSION },
+    version,
+    source,
+    steps: converted.steps
+  };
+}
@@ -0,0 +1,155 @@
+import { config } from '../config/index.js';
+import { getDefaultLocale, getMessage, normalizeLocale, translate } from './i18n.js';
+
+/**
+ * Notification title engine shared by all processors and the legacy pipeline.
+ * The rules of each processor type live in config.titles (see TITLE_TEMPLATES) and
+ * the localized templates in the message catalogs.
+ */
+
+// Prompts quoted in fallback titles are cut to this length
+const PROMPT_SHORT_LENGTH = 30;
+
+/**
+ * Picks the value of a rule for a locale; rules may be a single value or a map keyed by locale
+ * @param {*} rule - The configured rule
+ * @param {string} locale - The locale
+ * @returns {*} - The value for the locale
+ */
+function localizeRule(rule, locale) {
+  if (rule && typeof rule === 'object' && !Array.isArray(rule)) {
+    return rule[locale] ?? rule[getDefaultLocale()];
+  }
+
+  return rule;
+}
+
+/**
+ * Returns the title rules of a processor type in a locale. A rule set for the type wins,
+ * then the type's catalog entry, then the `default` rule and the generic catalog entry.
+ * @param {string} [processorType] - The processor type
+ * @param {string} [locale] - The locale
+ * @returns {{fields: Array<string>, template: string, fallback: string, placeholders: Array<string>}}
+ */
+export function getTitleRules(processorType, locale = getDefaultLocale()) {
+  const { processors } = config.titles;
+  const resolve = (name) => [
+    localizeRule(processors[processorType]?.[name], locale),
+    getMessage(locale, `title.${name}.${processorType}`),
+    localizeRule(processors.default?.[name], locale),
+    getMessage(locale, `title.${name}`)
+  ].find(value => value !== undefined && value !== null);
+
+  return {
+    fields: resolve('fields') || [],
+    template: resolve('template'),
+    fallback: resolve('fallback'),
+    placeholders: [
+      ...config.titles.placeholders,
+      ...(processors.default.placeholders || []),
+      ...(processors[processorType]?.placeholders || [])
+    ].map(placeholder => placeholder.toLowerCase())
+  };
+}
+
+/**
+ * Whether a title is worth showing; parsers sometimes emit placeholders such as "string"
+ * @param {*} title - Candidate title
+ * @param {Array<string>} placeholders - Lower-case placeholder titles
+ * @returns {boolean} - Whether the title can be used
+ */
+export function isUsableTitle(title, placeholders = config.titles.placeholders) {
+  if (typeof title !== 'string') {
+    return false;
+  }
+
+  const trimmed = title.trim();
+  return trimmed.length > 3 && !placeholders.includes(trimmed.toLowerCase());
+}
+
+/**
+ * Cuts a title to the maximum length, ending it with "..."
+ * @param {string} title - The title
+ * @param {number} [maxLength] - Maximum length
+ * @returns {string} - The title, at most maxLength characters long
+ */
+export function truncateTitle(title, maxLength = config.titles.maxLength) {
+  return title.length > maxLength ? `${title.substring(0, maxLength - 3)}...` : title;
+}
+
+/**
+ * Fills the `{name}` placeholders of a text
+ * @param {string} text - Text with placeholders
+ * @param {Object} variables - Placeholder values
+ * @returns {string|null} - The filled text, or null if a placeholder has no value
+ */
+function fill(text, variables) {
+  let complete = true;
+  const filled = text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      complete = false;
+      return '';
+    }
+    return String(value).trim();
+  });
+
+  return complete ? filled : null;
+}
+
+/**
+ * Renders a title template. Optional `[...]` segments are dropped when one of their
+ * placeholders is empty; an empty placeholder outside them makes the template unusable.
+ * @param {string} template - The template, e.g. '{document_type}[ de {issuer}]'
+ * @param {Object} variables - Placeholder values
+ * @returns {string|null} - The title, or null if the template can't be filled
+ */
+export function renderTitleTemplate(template, variables) {
+  if (!template) {
+    return null;
+  }
+
+  const withOptional = template.replace(/\[([^\]]*)\]/g, (segment, inner) => fill(inner, variables) ?? '');
+  const title = fill(withOptional, variables);
+  return title?.trim() || null;
+}
+
+/**
+ * Builds the title of a notification: the first usable title field of the match, else the
+ * processor's template, else its fallback, cut to the maximum length
+ * @param {string} processorType - The processor type whose rules apply
+ * @param {Object} match - The matched document
+ * @param {Object} [options] - Title context
+ * @param {string} [options.prompt] - The prompt that matched
+ * @param {string} [options.locale] - Locale of the reader
+ * @param {Object} [options.variables] - Extra template variables from the processor
+ * @returns {string} - The title
+ */
+export function buildTitle(processorType, match, { prompt, locale, variables = {} } = {}) {
+  const titleLocale = normalizeLocale(locale) || getDefaultLocale();
+  const rules = getTitleRules(processorType, titleLocale);
+
+  const field = (rules.fields || [])
+    .map(name => match[name])
+    .find(value => isUsableTitle(value, rules.placeholders));
+  if (field) {
+    return truncateTitle(field.trim());
+  }
+
+  const templateVariables = {
+    ...match,
+    issuer: match.organism || match.issuing_body || match.department,
+    publication_date: match.publication_date || match.dates?.publication_date,
+    processor_type: processorType,
+    prompt,
+    prompt_short: prompt && prompt.length > 5
+      ? `${prompt.substring(0, PROMPT_SHORT_LENGTH)}${prompt.length > PROMPT_SHORT_LENGTH ? '...' : ''}`
+      : null,
+    ...variables
+  };
+
+  const title = renderTitleTemplate(rules.template, templateVariables) ||
+    renderTitleTemplate(rules.fallback, templateVariables);
+
+  return title ? truncateTitle(title) : translate(titleLocale, 'title.default');
+}
@@ -1,6 +1,9 @@
 import { BOEMessageSchema } from '../types/boe.js';
 import { RealEstateMessageSchema } from '../types/real-estate.js';
 import { logger } from './logger.js';
+import { sanitizeMatch } from './sanitize.js';
+import { toCalendarDate } from './dates.js';
+import { getProcessor } from '../processors/registry.js';
 import { z } from 'zod';
 
 // Schema map for different processor types
@@ -56,38 +59,26 @@ function sanitizeMessageData(data) {
   try {
     // Clone the data to avoid modifying the original
     const sanitized = JSON.parse(JSON.stringify(data));
+    const { baseUrl, linkFields } = getProcessor(sanitized.processor_type);
     
     // Function to sanitize a single document
     const sanitizeDocument = (doc) => {
       if (!doc) return doc;
       
-      // Sanitize links
-      if (doc.links) {
-        // Ensure HTML and PDF links are valid URLs
-        if (doc.links.html && typeof doc.links.html === 'string' && !doc.links.html.startsWith('http')) {
-          doc.links.html = `https://example.com/${doc.links.html}`;
-        }
-        if (doc.links.pdf && typeof doc.links.pdf === 'string' && !doc.links.pdf.startsWith('http')) {
-          doc.links.pdf = `https://example.com/${doc.links.pdf}`;
-        }
-      }
+      // Clean the text and resolve relative links against the processor's site, dropping
+      // unsafe ones (see utils/sanitize.js)
+      sanitizeMatch(doc, { baseUrl, linkFields });
       
-      // Better sanitize publication date
+      // Read the publication date as a Madrid calendar date; an invalid one is flagged in
+      // invalid_dates instead of being replaced (see utils/dates.js)
       if (doc.publication_date !== undefined) {
-        let isValidDate = false;
-        
-        if (typeof doc.publication_date === 'string') {
-          // Try to parse as ISO date
-          const date = new Date(doc.publication_date);
-          if (!isNaN(date.getTime())) {
-            doc.publication_date = date.toISOString();
-            isValidDate = true;
-          }
-        }
+        const date = toCalendarDate(doc.publication_date);
         
-        if (!isValidDate) {
-          // Use current date as fallback
-          doc.publication_date = new Date().toISOString();
+        if (date) {
+          doc.publication_date = date;
+        } else {
+          doc.invalid_dates = { ...doc.invalid_dates, publication_date: doc.publication_date };
+          delete doc.publication_date;
         }
       }
       
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const ENV_KEYS = ['PUBSUB_SUBSCRIPTION', 'PUBSUB_SUBSCRIPTIONS', 'DLQ_TOPIC', 'PUBSUB_MAX_MESSAGES'];
+const originalEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+/**
+ * Loads a fresh copy of the config with the given environment
+ * @param {Object} env - Environment variables to set (undefined unsets)
+ * @returns {Promise<Object>} - The config
+ */
+async function loadConfig(env) {
+  for (const key of ENV_KEYS) {
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  }
+  vi.resetModules();
+  const { config } = await import('../../src/config/index.js');
+  return config;
+}
+
+describe('config.subscriptions', () => {
+  afterEach(() => {
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  it('falls back to the single PUBSUB_SUBSCRIPTION with the global defaults', async () => {
+    const config = await loadConfig({ PUBSUB_SUBSCRIPTION: 'notifications', DLQ_TOPIC: 'dlq', PUBSUB_MAX_MESSAGES: '7' });
+
+    expect(config.subscriptions).toEqual([{
+      name: 'notifications',
+      processorType: null,
+      dlqTopic: 'dlq',
+      flowControl: { maxMessages: 7, maxBytes: 10 * 1024 * 1024 }
+    }]);
+  });
+
+  it('reads per-subscription settings from PUBSUB_SUBSCRIPTIONS', async () => {
+    const config = await loadConfig({
+      PUBSUB_SUBSCRIPTION: 'ignored',
+      DLQ_TOPIC: 'dlq',
+      PUBSUB_SUBSCRIPTIONS: JSON.stringify([
+        'boe-notifications',
+        { name: 'doga-notifications', processorType: 'doga', dlqTopic: 'doga-dlq', flowControl: { maxMessages: 2 } },
+        { processorType: 'nameless' }
+      ])
+    });
+
+    expect(config.subscriptions.map(subscription => subscription.name)).toEqual(['boe-notifications', 'doga-notifications']);
+    expect(config.subscriptions[0]).toMatchObject({ processorType: null, dlqTopic: 'dlq' });
+    expect(config.subscriptions[1]).toMatchObject({
+      processorType: 'doga',
+      dlqTopic: 'doga-dlq',
+      flowControl: { maxMessages: 2, maxBytes: 10 * 1024 * 1024 }
+    });
+  });
+
+  it('falls back to PUBSUB_SUBSCRIPTION when PUBSUB_SUBSCRIPTIONS is not a JSON array', async () => {
+    const config = await loadConfig({ PUBSUB_SUBSCRIPTION: 'notifications', PUBSUB_SUBSCRIPTIONS: '{"name": "boe"}' });
+
+    expect(config.subscriptions.map(subscription => subscription.name)).toEqual(['notifications']);
+  });
+});
@@ -0,0 +1,38 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Sends a request to a route handler and resolves with the response it writes
+ * @param {function(Object, Object): void} handler - Route handler
+ * @param {Object} [request] - Request to send
+ * @param {string} [request.url] - Request URL
+ * @param {Object} [request.headers] - Request headers
+ * @param {string|Object} [request.body] - Body; objects are sent as JSON
+ * @returns {Promise<{status: number, body: Object|string|null}>} - The response
+ */
+export function sendRequest(handler, { url = '/', headers = {}, body = '' } = {}) {
+  return new Promise((resolve) => {
+    const req = new EventEmitter();
+    req.url = url;
+    req.headers = headers;
+
+    let status = 200;
+    const res = {
+      writeHead(code) {
+        status = code;
+      },
+      end(payload) {
+        let parsed = payload ?? null;
+        try {
+          parsed = payload ? JSON.parse(payload) : null;
+        } catch (error) {
+          // Plain-text response
+        }
+        resolve({ status, body: parsed });
+      }
+    };
+
+    handler(req, res);
+    req.emit('data', Buffer.from(typeof body === 'string' ? body : JSON.stringify(body)));
+    req.emit('end');
+  });
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+
+const { dogaProcessor, resolveDogaUrl } = await import('../../src/processors/doga.js');
+const { getProcessor } = await import('../../src/processors/registry.js');
+const { toCanonicalMessage } = await import('../../src/utils/schemas/versions.js');
+
+const dogaMessage = {
+  version: '2.0',
+  trace_id: 'test-doga',
+  processor_type: 'doga',
+  request: { subscription_id: 'sub', user_id: 'user', texts: ['axudas vivenda'] },
+  results: {
+    query_date: '2025-04-15',
+    doga_info: { publication_number: 72, publication_date: '2025-04-15' },
+    results: [{
+      prompt: 'axudas vivenda',
+      matches: [{
+        document_type: 'Resolución',
+        title: 'RESOLUCIÓN do 7 de abril de 2025 pola que se convocan axudas para o aluguer de vivenda',
+        title_es: 'RESOLUCIÓN de 7 de abril de 2025 por la que se convocan ayudas para el alquiler de vivienda',
+        title_gl: 'RESOLUCIÓN do 7 de abril de 2025 pola que se convocan axudas para o aluguer de vivenda',
+        organism: 'Instituto Galego da Vivenda e Solo',
+        section: 'III. Outras disposicións',
+        summary: 'Convocatoria de axudas ao aluguer',
+        relevance_score: 0.9,
+        links: { html: 'http://www.xunta.gal/dog/Publicados/2025/20250415/AnuncioG0599-070425-0001_gl.html' }
+      }]
+    }]
+  }
+};
+
+const parse = () => {
+  const parsed = dogaProcessor.schema.safeParse(toCanonicalMessage(dogaMessage).message);
+  expect(parsed.success).toBe(true);
+  const message = parsed.data;
+  return {
+    match: message.results.results[0].matches[0],
+    context: { message, queryResult: message.results.results[0], prompt: 'axudas vivenda' }
+  };
+};
+
+describe('dogaProcessor', () => {
+  it('is registered for the doga processor type', () => {
+    expect(getProcessor('doga')).toMatchObject({ type: 'doga', locale: 'gl' });
+  });
+
+  it('writes in Galician for users without a language preference', () => {
+    expect(dogaProcessor.locale).toBe('gl');
+  });
+
+  it('titles the notification in the reader language', () => {
+    const { match, context } = parse();
+
+    expect(dogaProcessor.buildTitle(match, { ...context, locale: 'gl' }))
+      .toBe('RESOLUCIÓN do 7 de abril de 2025 pola que se convocan axudas para o aluguer d...');
+    expect(dogaProcessor.buildTitle(match, { ...context, locale: 'es' }))
+      .toBe('RESOLUCIÓN de 7 de abril de 2025 por la que se convocan ayudas para el alquil...');
+  });
+
+  it('maps the document type, link and issue of a match', () => {
+    const { match, context } = parse();
+    const data = dogaProcessor.extractData(match, context);
+
+    expect(dogaProcessor.getEntityType(match, context)).toBe('doga:resolucion');
+    expect(dogaProcessor.getSourceUrl(match, context))
+      .toBe('https://www.xunta.gal/dog/Publicados/2025/20250415/AnuncioG0599-070425-0001_gl.html');
+    expect(data).toMatchObject({
+      issuing_body: 'Instituto Galego da Vivenda e Solo',
+      publication_number: '72',
+      publication_date: '2025-04-15'
+    });
+  });
+});
+
+describe('resolveDogaUrl', () => {
+  it('resolves relative links under the published documents', () => {
+    expect(resolveDogaUrl('2025/20250415/Anuncio.pdf')).toBe('https://www.xunta.gal/dog/Publicados/2025/20250415/Anuncio.pdf');
+    expect(resolveDogaUrl('/diario-oficial-galicia')).toBe('https://www.xunta.gal/diario-oficial-galicia');
+    expect(resolveDogaUrl('  ')).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+
+const { realEstateProcessor, translatePropertyType } = await import('../../src/processors/real-estate.js');
+const { getProcessor } = await import('../../src/processors/registry.js');
+const { toCanonicalMessage } = await import('../../src/utils/schemas/versions.js');
+
+const listing = {
+  property_type: 'Flat',
+  price: 180000,
+  currency: 'EUR',
+  operation: 'sale',
+  location: { city: 'Vigo', district: 'Bouzas' },
+  rooms: 3,
+  listing_url: 'https://listings.example/vigo/123'
+};
+
+describe('translatePropertyType', () => {
+  it('names English and Spanish property types in the requested locale', () => {
+    expect(translatePropertyType('Flat', 'es')).toBe('piso');
+    expect(translatePropertyType('Piso', 'en')).toBe('flat');
+    expect(translatePropertyType('Ático', 'en')).toBe('penthouse');
+    expect(translatePropertyType('Local comercial', 'gl')).toBe('local');
+    expect(translatePropertyType('garage', 'gl')).toBe('garaxe');
+  });
+
+  it('keeps unknown property types as written, in lower case', () => {
+    expect(translatePropertyType('Bungalow', 'es')).toBe('bungalow');
+  });
+
+  it('names a missing property type generically', () => {
+    expect(translatePropertyType(undefined, 'es')).toBe('inmueble');
+    expect(translatePropertyType('  ', 'en')).toBe('property');
+  });
+});
+
+describe('realEstateProcessor.buildTitle', () => {
+  it('writes the property type in the title locale', () => {
+    expect(realEstateProcessor.buildTitle(listing, { prompt: 'piso en Vigo', locale: 'es' }))
+      .toBe('Piso de 3 habitaciones en Vigo – €180k');
+    expect(realEstateProcessor.buildTitle(listing, { prompt: 'piso en Vigo', locale: 'gl' }))
+      .toBe('Piso de 3 cuartos en Vigo – €180k');
+    expect(realEstateProcessor.buildTitle(listing, { prompt: 'piso en Vigo', locale: 'en' }))
+      .toBe('3-room flat in Vigo – €180k');
+  });
+});
+
+describe('realEstateProcessor', () => {
+  const message = {
+    trace_id: 'test-real-estate',
+    processor_type: 'real-estate',
+    request: { subscription_id: 'sub', user_id: 'user', texts: ['piso en Vigo'] },
+    results: {
+      query_date: '2025-04-15',
+      results: [{
+        prompt: 'piso en Vigo',
+        matches: [{
+          title: 'Piso luminoso en Bouzas',
+          summary: 'Piso reformado con vistas a la ría',
+          relevance_score: 0.85,
+          property_type: 'Flat',
+          price: 180000,
+          location: { city: 'Vigo', district: 'Bouzas' },
+          surface: 90,
+          rooms: 3,
+          listing_url: 'https://listings.example/vigo/123',
+          images: ['https://listings.example/vigo/123/1.jpg']
+        }]
+      }]
+    }
+  };
+
+  it('is registered for the real-estate processor type', () => {
+    expect(getProcessor('real-estate').type).toBe('real-estate');
+  });
+
+  it('turns a listing into notification data', () => {
+    const parsed = realEstateProcessor.schema.safeParse(toCanonicalMessage(message).message);
+    expect(parsed.success).toBe(true);
+    const match = parsed.data.results.results[0].matches[0];
+    const context = { message: parsed.data, queryResult: parsed.data.results.results[0], prompt: 'piso en Vigo' };
+    const data = realEstateProcessor.extractData(match, context);
+
+    expect(realEstateProcessor.getEntityType(match, context)).toBe('real-estate:flat');
+    expect(realEstateProcessor.getSourceUrl(match, context)).toBe('https://listings.example/vigo/123');
+    expect(data.listing).toMatchObject({ price_per_m2: 2000, currency: 'EUR' });
+  });
+
+  it('rejects listings without a price', () => {
+    const parsed = realEstateProcessor.schema.safeParse(toCanonicalMessage({
+      ...message,
+      results: { query_date: '2025-04-15', results: [{ prompt: 'x', matches: [{ title: 'No price' }] }] }
+    }).message);
+
+    expect(parsed.success).toBe(false);
+  });
+});
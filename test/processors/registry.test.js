@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { z } from 'zod';
+
+const { registerProcessor, getProcessor, getProcessorTypes } = await import('../../src/processors/registry.js');
+const { genericProcessor } = await import('../../src/processors/generic.js');
+
+const hooks = {
+  buildTitle: () => 'title',
+  getEntityType: () => 'gazette:notice',
+  extractData: () => ({}),
+  extractMetadata: () => ({})
+};
+
+describe('processor registry', () => {
+  it('registers the built-in processors', () => {
+    expect(getProcessorTypes()).toEqual(expect.arrayContaining(['boe', 'doga', 'real-estate']));
+    expect(getProcessorTypes()).not.toContain(genericProcessor.type);
+  });
+
+  it('falls back to the generic processor for unknown types', () => {
+    expect(getProcessor('unknown-source').type).toBe(genericProcessor.type);
+    expect(getProcessor(undefined).type).toBe(genericProcessor.type);
+  });
+
+  it('fills in the optional hooks of a new processor', () => {
+    registerProcessor({ type: 'test-gazette', schema: z.object({}), ...hooks });
+    const processor = getProcessor('test-gazette');
+    const match = { title: 'Anuncio', links: { html: 'https://example.org/a' } };
+
+    expect(getProcessorTypes()).toContain('test-gazette');
+    expect(processor.getSource()).toBe('test-gazette');
+    expect(processor.getSourceUrl(match)).toBe('https://example.org/a');
+    expect(processor.getDocumentKey(match)).toBe('url:https://example.org/a');
+    expect(processor.linkFields).toEqual([]);
+    expect(processor.baseUrl).toBeNull();
+  });
+
+  it('rejects incomplete definitions', () => {
+    expect(() => registerProcessor({ schema: z.object({}), ...hooks })).toThrow('requires a type');
+    expect(() => registerProcessor({ type: 'broken', ...hooks })).toThrow('requires a Zod schema');
+    expect(() => registerProcessor({ type: 'broken', schema: z.object({}), buildTitle: hooks.buildTitle }))
+      .toThrow('is missing getEntityType, extractData, extractMetadata');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { sendRequest } from '../helpers/http.js';
+
+vi.mock('../../src/services/dlq-replay.js', () => ({
+  replayDeadLetters: vi.fn()
+}));
+
+vi.mock('../../src/services/dry-run.js', () => ({
+  dryRunMessage: vi.fn(),
+  EMAIL_DELIVERY_MODES: ['immediate', 'daily', 'none']
+}));
+
+const { config } = await import('../../src/config/index.js');
+const { replayDeadLetters } = await import('../../src/services/dlq-replay.js');
+const { dryRunMessage } = await import('../../src/services/dry-run.js');
+const { handleDlqReplay, handleDebugParse } = await import('../../src/routes/admin.js');
+
+describe('POST /admin/dlq/replay', () => {
+  beforeEach(() => {
+    config.admin.apiToken = 's3cret-token';
+    replayDeadLetters.mockReset();
+    replayDeadLetters.mockResolvedValue({ inspected: 0, messages: [] });
+  });
+
+  it('is refused while no admin token is configured', async () => {
+    config.admin.apiToken = null;
+
+    const response = await sendRequest(handleDlqReplay, { headers: { authorization: 'Bearer anything' } });
+
+    expect(response.status).toBe(403);
+    expect(replayDeadLetters).not.toHaveBeenCalled();
+  });
+
+  it('rejects a request without a bearer token', async () => {
+    const response = await sendRequest(handleDlqReplay, { body: { dry_run: true } });
+
+    expect(response.status).toBe(401);
+    expect(replayDeadLetters).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong token', async () => {
+    const response = await sendRequest(handleDlqReplay, { headers: { authorization: 'Bearer s3cret-tokem' } });
+
+    expect(response.status).toBe(401);
+    expect(replayDeadLetters).not.toHaveBeenCalled();
+  });
+
+  it('runs the replay with the admin token', async () => {
+    const response = await sendRequest(handleDlqReplay, {
+      headers: { authorization: 'Bearer s3cret-token' },
+      body: { dry_run: true, max_messages: 5, filters: { trace_id: 't-1' } }
+    });
+
+    expect(response.status).toBe(200);
+    expect(replayDeadLetters).toHaveBeenCalledWith(expect.objectContaining({
+      dryRun: true,
+      maxMessages: 5,
+      filters: expect.objectContaining({ traceId: 't-1' })
+    }));
+  });
+});
+
+describe('POST /debug/parse', () => {
+  beforeEach(() => {
+    dryRunMessage.mockReset();
+    dryRunMessage.mockResolvedValue({ dry_run: true, valid: true });
+  });
+
+  it('passes the query options to the dry run', async () => {
+    const response = await sendRequest(handleDebugParse, {
+      url: '/debug/parse?email_delivery=daily&email=user@example.com&relevance_threshold=0.4&locale=gl-ES&schema_version=1.0',
+      body: { trace_id: 't-1' }
+    });
+
+    expect(response.status).toBe(200);
+    expect(dryRunMessage).toHaveBeenCalledWith({ trace_id: 't-1' }, {
+      attributes: { schema_version: '1.0' },
+      emailDelivery: 'daily',
+      email: 'user@example.com',
+      relevanceThreshold: 0.4,
+      locale: 'gl'
+    });
+  });
+
+  it.each([
+    ['email_delivery=weekly', 'Invalid email_delivery'],
+    ['relevance_threshold=2', 'Invalid relevance_threshold'],
+    ['locale=fr', 'Invalid locale']
+  ])('rejects %s', async (query, error) => {
+    const response = await sendRequest(handleDebugParse, { url: `/debug/parse?${query}`, body: {} });
+
+    expect(response).toMatchObject({ status: 400, body: { error } });
+    expect(dryRunMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects a body that is not a JSON object', async () => {
+    const response = await sendRequest(handleDebugParse, { url: '/debug/parse', body: '[1, 2]' });
+
+    expect(response).toMatchObject({ status: 400, body: { error: 'Invalid request body' } });
+  });
+});
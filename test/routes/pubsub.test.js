@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { sendRequest } from '../helpers/http.js';
+
+const { verifyIdToken } = vi.hoisted(() => {
+  process.env.PUBSUB_SUBSCRIPTION = 'boe-notifications';
+  process.env.PUBSUB_PUSH_AUDIENCE = 'https://worker.example/pubsub/push';
+  process.env.PUBSUB_PUSH_SERVICE_ACCOUNT = 'push@nifya.iam';
+  return { verifyIdToken: vi.fn() };
+});
+
+vi.mock('google-auth-library', () => ({
+  OAuth2Client: class {
+    verifyIdToken(options) {
+      return verifyIdToken(options);
+    }
+  }
+}));
+
+vi.mock('../../src/services/pubsub/processor.js', () => ({
+  handleMessage: vi.fn()
+}));
+
+vi.mock('../../src/services/pubsub/client.js', () => ({
+  publishToDLQ: vi.fn()
+}));
+
+const { config } = await import('../../src/config/index.js');
+const { handleMessage } = await import('../../src/services/pubsub/processor.js');
+const { publishToDLQ } = await import('../../src/services/pubsub/client.js');
+const { handlePubSubPush } = await import('../../src/routes/pubsub.js');
+
+const authorized = { authorization: 'Bearer token' };
+
+const envelope = (overrides = {}) => ({
+  subscription: 'projects/nifya/subscriptions/boe-notifications',
+  message: {
+    messageId: 'm-1',
+    data: Buffer.from(JSON.stringify({ trace_id: 't-1' })).toString('base64'),
+    attributes: {}
+  },
+  ...overrides
+});
+
+describe('POST /pubsub/push', () => {
+  beforeEach(() => {
+    verifyIdToken.mockReset();
+    verifyIdToken.mockResolvedValue({ getPayload: () => ({ email: 'push@nifya.iam', email_verified: true }) });
+    handleMessage.mockReset();
+    publishToDLQ.mockReset();
+  });
+
+  it('verifies the OIDC token by default', async () => {
+    const response = await sendRequest(handlePubSubPush, { body: envelope() });
+
+    expect(response.status).toBe(401);
+    expect(handleMessage).not.toHaveBeenCalled();
+  });
+
+  it('checks the audience of the token', async () => {
+    handleMessage.mockImplementation(async (message) => message.ack());
+
+    const response = await sendRequest(handlePubSubPush, { headers: authorized, body: envelope() });
+
+    expect(response.status).toBe(204);
+    expect(verifyIdToken).toHaveBeenCalledWith({ idToken: 'token', audience: 'https://worker.example/pubsub/push' });
+  });
+
+  it.each(['audience', 'serviceAccountEmail'])('refuses push requests while %s is not configured', async (setting) => {
+    const configured = config.push[setting];
+    config.push[setting] = null;
+
+    try {
+      const response = await sendRequest(handlePubSubPush, { headers: authorized, body: envelope() });
+
+      expect(response.status).toBe(401);
+      expect(verifyIdToken).not.toHaveBeenCalled();
+      expect(handleMessage).not.toHaveBeenCalled();
+    } finally {
+      config.push[setting] = configured;
+    }
+  });
+
+  it('rejects a token that fails verification', async () => {
+    verifyIdToken.mockRejectedValue(new Error('Invalid token signature'));
+
+    const response = await sendRequest(handlePubSubPush, { headers: authorized, body: envelope() });
+
+    expect(response.status).toBe(401);
+    expect(handleMessage).not.toHaveBeenCalled();
+  });
+
+  it('acks with 204 when the pipeline acks the message', async () => {
+    handleMessage.mockImplementation(async (message, runtime) => {
+      expect(runtime.name).toBe('boe-notifications');
+      expect(message.data.toString()).toBe('{"trace_id":"t-1"}');
+      message.ack();
+    });
+
+    const response = await sendRequest(handlePubSubPush, { headers: authorized, body: envelope() });
+
+    expect(response.status).toBe(204);
+  });
+
+  it('answers 500 when the pipeline nacks the message', async () => {
+    handleMessage.mockImplementation(async (message) => message.nack());
+
+    const response = await sendRequest(handlePubSubPush, { headers: authorized, body: envelope() });
+
+    expect(response.status).toBe(500);
+  });
+
+  it('dead-letters and acks an envelope that is not JSON', async () => {
+    publishToDLQ.mockResolvedValue('dlq-1');
+
+    const response = await sendRequest(handlePubSubPush, { headers: authorized, body: 'not json' });
+
+    expect(response.status).toBe(204);
+    const [payload, error] = publishToDLQ.mock.calls[0];
+    expect(payload).toEqual({ raw_message: 'not json' });
+    expect(error.category).toBe('parse');
+    expect(handleMessage).not.toHaveBeenCalled();
+  });
+
+  it('dead-letters and acks an envelope without a message', async () => {
+    publishToDLQ.mockResolvedValue('dlq-1');
+
+    const response = await sendRequest(handlePubSubPush, {
+      headers: authorized,
+      body: { subscription: 'projects/nifya/subscriptions/boe-notifications' }
+    });
+
+    expect(response.status).toBe(204);
+    expect(publishToDLQ).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks for a redelivery when an invalid envelope cannot be dead-lettered', async () => {
+    publishToDLQ.mockRejectedValue(new Error('DLQ unavailable'));
+
+    const response = await sendRequest(handlePubSubPush, { headers: authorized, body: 'not json' });
+
+    expect(response.status).toBe(500);
+  });
+
+  it('rejects envelopes from a subscription that is not configured', async () => {
+    const response = await sendRequest(handlePubSubPush, {
+      headers: authorized,
+      body: envelope({ subscription: 'projects/nifya/subscriptions/other' })
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Unknown subscription');
+    expect(handleMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects envelopes that name no subscription', async () => {
+    const response = await sendRequest(handlePubSubPush, {
+      headers: authorized,
+      body: envelope({ subscription: undefined })
+    });
+
+    expect(response.status).toBe(400);
+    expect(handleMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/services/pubsub/client.js', () => ({
+  pullMessages: vi.fn()
+}));
+
+vi.mock('../../src/services/pubsub/processor.js', () => ({
+  MESSAGE_OUTCOME: {
+    PROCESSED: 'processed',
+    DUPLICATE: 'duplicate',
+    DEAD_LETTERED: 'dead_lettered',
+    REDELIVER: 'redeliver'
+  },
+  handleMessage: vi.fn()
+}));
+
+const { pullMessages } = await import('../../src/services/pubsub/client.js');
+const { handleMessage } = await import('../../src/services/pubsub/processor.js');
+const { matchesReplayFilters, replayDeadLetters } = await import('../../src/services/dlq-replay.js');
+
+/**
+ * Builds a message pulled from the DLQ subscription
+ * @param {string} id - DLQ message ID
+ * @param {Object} envelope - DLQ payload
+ * @returns {Object} - The message
+ */
+function createDlqMessage(id, envelope) {
+  return {
+    id,
+    data: Buffer.from(JSON.stringify(envelope)),
+    ack: vi.fn().mockResolvedValue(),
+    nack: vi.fn().mockResolvedValue()
+  };
+}
+
+/**
+ * Fake DLQ subscription: pulls return what is queued, in order
+ * @param {Array<Object>} messages - Messages initially in the DLQ
+ * @returns {Array<Object>} - The queue, to which tests can add messages
+ */
+function useDlq(messages) {
+  const queue = [...messages];
+  pullMessages.mockImplementation(async (subscription, max) => queue.splice(0, max));
+  return queue;
+}
+
+const envelope = {
+  message_id: 'm-1',
+  subscription: 'boe-notifications',
+  original_message: { trace_id: 't-1', processor_type: 'boe' },
+  error: 'Connection terminated unexpectedly',
+  error_category: 'db_transient',
+  timestamp: '2025-04-10T08:00:00.000Z'
+};
+
+describe('matchesReplayFilters', () => {
+  it('matches everything without filters', () => {
+    expect(matchesReplayFilters(envelope)).toBe(true);
+  });
+
+  it('matches the error text case-insensitively', () => {
+    expect(matchesReplayFilters(envelope, { error: 'connection TERMINATED' })).toBe(true);
+    expect(matchesReplayFilters(envelope, { error: 'timeout' })).toBe(false);
+  });
+
+  it('matches the trace ID and processor type exactly', () => {
+    expect(matchesReplayFilters(envelope, { traceId: 't-1', processorType: 'boe' })).toBe(true);
+    expect(matchesReplayFilters(envelope, { traceId: 't-2' })).toBe(false);
+    expect(matchesReplayFilters(envelope, { processorType: 'doga' })).toBe(false);
+  });
+
+  it('bounds the time the message was dead-lettered', () => {
+    expect(matchesReplayFilters(envelope, { from: '2025-04-10T00:00:00Z', to: '2025-04-11T00:00:00Z' })).toBe(true);
+    expect(matchesReplayFilters(envelope, { from: '2025-04-11T00:00:00Z' })).toBe(false);
+    expect(matchesReplayFilters(envelope, { to: '2025-04-09T00:00:00Z' })).toBe(false);
+    expect(matchesReplayFilters({ ...envelope, timestamp: undefined }, { from: '2025-04-01T00:00:00Z' })).toBe(false);
+  });
+});
+
+describe('replayDeadLetters', () => {
+  beforeEach(() => {
+    pullMessages.mockReset();
+    handleMessage.mockReset();
+  });
+
+  it('replays under the original message ID and acks the DLQ message', async () => {
+    const dlqMessage = createDlqMessage('d-1', envelope);
+    useDlq([dlqMessage]);
+    handleMessage.mockResolvedValue({ outcome: 'processed' });
+
+    const report = await replayDeadLetters({ subscription: 'dlq-replay' });
+
+    expect(handleMessage.mock.calls[0][0].id).toBe('m-1');
+    expect(report).toMatchObject({ inspected: 1, matched: 1, replayed: 1, failed: 0 });
+    expect(dlqMessage.ack).toHaveBeenCalledTimes(1);
+    expect(dlqMessage.nack).not.toHaveBeenCalled();
+  });
+
+  it('holds the DLQ copy of a replay that failed again instead of replaying it in a loop', async () => {
+    const queue = useDlq([createDlqMessage('d-1', envelope)]);
+    const copies = [];
+    handleMessage.mockImplementation(async () => {
+      // The pipeline dead-letters the replay again, into the DLQ being drained
+      const copy = createDlqMessage(`d-copy-${copies.length + 1}`, { ...envelope, timestamp: new Date().toISOString() });
+      copies.push(copy);
+      queue.push(copy);
+      return { outcome: 'dead_lettered', error: 'Connection terminated unexpectedly' };
+    });
+
+    const report = await replayDeadLetters({ subscription: 'dlq-replay', maxMessages: 50 });
+
+    expect(handleMessage).toHaveBeenCalledTimes(1);
+    expect(report).toMatchObject({ inspected: 2, matched: 1, failed: 1, skipped: 1 });
+    expect(report.messages[1]).toMatchObject({ dlq_message_id: copies[0].id, status: 'replayed_this_run' });
+    expect(copies[0].nack).toHaveBeenCalledTimes(1);
+    expect(copies[0].ack).not.toHaveBeenCalled();
+  });
+
+  it('leaves messages that do not match the filters in the DLQ', async () => {
+    const dlqMessage = createDlqMessage('d-1', envelope);
+    useDlq([dlqMessage]);
+
+    const report = await replayDeadLetters({ subscription: 'dlq-replay', filters: { processorType: 'doga' } });
+
+    expect(handleMessage).not.toHaveBeenCalled();
+    expect(report).toMatchObject({ inspected: 1, matched: 0, skipped: 1 });
+    expect(dlqMessage.nack).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports without replaying on a dry run', async () => {
+    const dlqMessage = createDlqMessage('d-1', envelope);
+    useDlq([dlqMessage]);
+
+    const report = await replayDeadLetters({ subscription: 'dlq-replay', dryRun: true });
+
+    expect(handleMessage).not.toHaveBeenCalled();
+    expect(report.messages[0].status).toBe('would_replay');
+    expect(dlqMessage.nack).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.hoisted(() => {
+  process.env.EMAIL_IMMEDIATE_TOPIC = 'email-immediate';
+  process.env.EMAIL_DAILY_TOPIC = 'email-daily';
+});
+
+vi.mock('../../src/services/database.js', () => ({
+  database: { query: vi.fn(), withRLSContext: vi.fn() }
+}));
+
+const { database } = await import('../../src/services/database.js');
+const { dryRunMessage } = await import('../../src/services/dry-run.js');
+
+const USER_ID = '6f1d2c3b-4a5e-4f70-8a9b-0c1d2e3f4a5b';
+const SUBSCRIPTION_ID = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+
+const message = {
+  trace_id: 't-dry',
+  processor_type: 'boe',
+  request: { subscription_id: SUBSCRIPTION_ID, user_id: USER_ID, texts: ['ayudas vivienda'] },
+  results: {
+    query_date: '2025-04-10',
+    results: [{
+      prompt: 'ayudas vivienda',
+      matches: [
+        {
+          document_type: 'boe_document',
+          title: 'Resolución de ayudas a la vivienda',
+          summary: 'Ayudas a la vivienda',
+          relevance_score: 0.9,
+          links: { html: 'https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-1' }
+        },
+        {
+          document_type: 'boe_document',
+          title: 'Anuncio de licitación',
+          summary: 'Licitación de obras',
+          relevance_score: 0.3,
+          links: { html: 'https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-2' }
+        }
+      ]
+    }]
+  },
+  metadata: { processing_time_ms: 10, total_items_processed: 2, status: 'success' }
+};
+
+describe('dryRunMessage', () => {
+  it('reports the rows and email publishes without touching the database', async () => {
+    const report = await dryRunMessage(message, { email: 'user@example.com', relevanceThreshold: 0 });
+
+    expect(report).toMatchObject({ dry_run: true, valid: true, error: null, trace_id: 't-dry', processor: 'boe' });
+    expect(report.notifications).toHaveLength(2);
+    expect(report.notifications[0]).toMatchObject({ user_id: USER_ID, subscription_id: SUBSCRIPTION_ID });
+    expect(report.email_publishes).toHaveLength(2);
+    expect(report.email_publishes[0]).toMatchObject({
+      topic: 'email-immediate',
+      data: { userId: USER_ID, email: 'user@example.com' }
+    });
+    expect(database.query).not.toHaveBeenCalled();
+  });
+
+  it('applies the requested relevance threshold, delivery mode and locale', async () => {
+    const report = await dryRunMessage(message, { emailDelivery: 'daily', relevanceThreshold: 0.5, locale: 'en' });
+
+    expect(report.relevance).toMatchObject({ threshold: 0.5, source: 'request' });
+    expect(report.notifications).toHaveLength(1);
+    expect(report.filtered).toHaveLength(1);
+    expect(report.locale).toBe('en');
+    expect(report.email_publishes.map(({ topic }) => topic)).toEqual(['email-daily']);
+  });
+
+  it('publishes no emails for users without email delivery', async () => {
+    const report = await dryRunMessage(message, { emailDelivery: 'none', relevanceThreshold: 0 });
+
+    expect(report.notifications).toHaveLength(2);
+    expect(report.email_publishes).toEqual([]);
+  });
+
+  it('reports the stage a message fails validation at', async () => {
+    const report = await dryRunMessage({ ...message, version: '9.0' });
+
+    expect(report.valid).toBe(false);
+    expect(report.error).toMatchObject({ name: 'UnsupportedSchemaVersionError' });
+    expect(report.notifications).toEqual([]);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/services/database.js', () => ({
+  database: { query: vi.fn() }
+}));
+
+const { database } = await import('../../src/services/database.js');
+const {
+  claimMessage,
+  markFailed,
+  claimNotification,
+  recordNotificationId,
+  LEDGER_STATUS
+} = await import('../../src/services/ledger.js');
+
+const rows = (...list) => ({ rowCount: list.length, rows: list });
+
+describe('claimMessage', () => {
+  beforeEach(() => {
+    database.query.mockReset();
+  });
+
+  it('claims a new message id', async () => {
+    database.query.mockResolvedValueOnce(rows({ message_id: 'm-1', attempts: 1 }));
+
+    const claim = await claimMessage('m-1', 'trace-1');
+
+    expect(claim).toEqual({ claimed: true, key: 'm-1', attempts: 1, status: LEDGER_STATUS.PROCESSING });
+    expect(database.query).toHaveBeenCalledTimes(1);
+    expect(database.query.mock.calls[0][0]).toContain('ON CONFLICT (message_id) DO NOTHING');
+  });
+
+  it('reclaims a failed or expired entry of the same message id', async () => {
+    database.query
+      .mockResolvedValueOnce(rows())
+      .mockResolvedValueOnce(rows({ message_id: 'm-1', attempts: 3 }));
+
+    const claim = await claimMessage('m-1', 'trace-1');
+
+    expect(claim).toEqual({ claimed: true, key: 'm-1', attempts: 3, status: LEDGER_STATUS.PROCESSING });
+  });
+
+  it('reports the status of a message claimed elsewhere', async () => {
+    database.query
+      .mockResolvedValueOnce(rows())
+      .mockResolvedValueOnce(rows())
+      .mockResolvedValueOnce(rows({ message_id: 'm-1', status: LEDGER_STATUS.COMPLETED, attempts: 1 }));
+
+    const claim = await claimMessage('m-1', 'trace-1');
+
+    expect(claim).toEqual({ claimed: false, key: 'm-1', attempts: 1, status: LEDGER_STATUS.COMPLETED });
+  });
+
+  it('only matches entries by message id, never by trace id', async () => {
+    database.query
+      .mockResolvedValueOnce(rows())
+      .mockResolvedValueOnce(rows())
+      .mockResolvedValueOnce(rows());
+
+    await claimMessage('m-2', 'shared-trace');
+
+    const [, reclaim, lookup] = database.query.mock.calls;
+    expect(reclaim[0]).toMatch(/WHERE message_id = \$1\s/);
+    expect(reclaim[0]).not.toMatch(/trace_id = \$2/);
+    expect(lookup[0]).toMatch(/WHERE message_id = \$1$/);
+    expect(lookup[1]).toEqual(['m-2']);
+  });
+
+  it('does not touch the database for messages without an id', async () => {
+    const claim = await claimMessage(undefined, 'trace-1');
+
+    expect(claim.claimed).toBe(true);
+    expect(claim.key).toBeNull();
+    expect(database.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('markFailed', () => {
+  beforeEach(() => {
+    database.query.mockReset();
+  });
+
+  it('marks a processing entry as failed so it can be reclaimed', async () => {
+    database.query.mockResolvedValueOnce(rows());
+
+    await markFailed('m-1', new Error('boom'));
+
+    const [sql, params] = database.query.mock.calls[0];
+    expect(params).toEqual(['m-1', LEDGER_STATUS.FAILED, 'boom', LEDGER_STATUS.PROCESSING]);
+    // An entry that completed meanwhile (e.g. a message released during shutdown) stays completed
+    expect(sql).toContain('AND status = $4');
+  });
+
+  it('never throws', async () => {
+    database.query.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(markFailed('m-1', new Error('boom'))).resolves.toBeUndefined();
+  });
+});
+
+describe('claimNotification', () => {
+  const key = { messageId: 'm-1', userId: 'u-1', documentKey: 'BOE-A-2025-1' };
+
+  it('claims a document the message has not created yet', async () => {
+    const client = { query: vi.fn().mockResolvedValueOnce(rows({ message_id: 'm-1' })) };
+
+    await expect(claimNotification(client, key)).resolves.toEqual({ claimed: true, notificationId: null });
+    expect(client.query.mock.calls[0][1]).toEqual(['m-1', 'u-1', 'BOE-A-2025-1']);
+  });
+
+  it('returns the notification an earlier attempt created', async () => {
+    const client = {
+      query: vi.fn()
+        .mockResolvedValueOnce(rows())
+        .mockResolvedValueOnce(rows({ notification_id: 'n-1' }))
+    };
+
+    await expect(claimNotification(client, key)).resolves.toEqual({ claimed: false, notificationId: 'n-1' });
+  });
+
+  it('records the created notification on the claim', async () => {
+    const client = { query: vi.fn().mockResolvedValueOnce(rows()) };
+
+    await recordNotificationId(client, key, 'n-2');
+
+    expect(client.query.mock.calls[0][1]).toEqual(['m-1', 'u-1', 'BOE-A-2025-1', 'n-2']);
+  });
+});
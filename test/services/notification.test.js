@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/services/database.js', () => ({
+  database: { query: vi.fn(), withRLSContext: vi.fn() }
+}));
+
+vi.mock('../../src/services/pubsub/client.js', () => ({
+  publishToTopic: vi.fn().mockResolvedValue('email-1'),
+  getEmailTopics: () => ({})
+}));
+
+vi.mock('../../src/services/locale.js', () => ({
+  resolveUserLocale: vi.fn().mockResolvedValue('es')
+}));
+
+const { database } = await import('../../src/services/database.js');
+const { publishToTopic } = await import('../../src/services/pubsub/client.js');
+const { createNotification } = await import('../../src/services/notification.js');
+
+const USER_ID = '6f1d2c3b-4a5e-4f70-8a9b-0c1d2e3f4a5b';
+
+/**
+ * Fake transaction client answering the idempotency and notification queries
+ * @param {Object} [options] - Answers
+ * @param {string|null} [options.existingNotificationId] - Notification an earlier attempt created
+ * @param {Object|null} [options.suppressedBy] - Suppression entry of the document within its window
+ * @returns {Object} - Client with a query mock
+ */
+function createClient({ existingNotificationId = null, suppressedBy = null } = {}) {
+  return {
+    query: vi.fn(async (sql) => {
+      if (sql.includes('INSERT INTO processed_notifications')) {
+        return existingNotificationId ? { rowCount: 0, rows: [] } : { rowCount: 1, rows: [{}] };
+      }
+      if (sql.includes('SELECT notification_id, subscription_id')) {
+        return { rowCount: 1, rows: [suppressedBy] };
+      }
+      if (sql.includes('INSERT INTO notification_suppression')) {
+        return suppressedBy ? { rowCount: 0, rows: [] } : { rowCount: 1, rows: [{}] };
+      }
+      if (sql.includes('SELECT notification_id')) {
+        return { rowCount: 1, rows: [{ notification_id: existingNotificationId }] };
+      }
+      if (sql.includes('INSERT INTO notifications')) {
+        return { rowCount: 1, rows: [{ id: 'n-new' }] };
+      }
+      return { rowCount: 1, rows: [] };
+    })
+  };
+}
+
+const row = {
+  user_id: USER_ID,
+  subscription_id: 'sub-1',
+  title: 'Ayudas a la vivienda',
+  content: 'Resumen',
+  document_key: 'BOE-A-2025-1',
+  message_id: 'm-1',
+  locale: 'es'
+};
+
+describe('createNotification idempotency', () => {
+  let client;
+
+  beforeEach(() => {
+    database.query.mockReset();
+    // Suppression index empty and the user has email notifications turned off
+    database.query.mockResolvedValue({ rowCount: 0, rows: [] });
+    publishToTopic.mockClear();
+  });
+
+  it('creates the notification and records it under the message key', async () => {
+    client = createClient();
+    database.withRLSContext.mockImplementation((userId, callback) => callback(client));
+
+    const notification = await createNotification(row);
+
+    expect(notification.id).toBe('n-new');
+    expect(notification.duplicate).toBeUndefined();
+    const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE processed_notifications'));
+    expect(update[1]).toEqual(['m-1', USER_ID, 'BOE-A-2025-1', 'n-new']);
+  });
+
+  it('skips a notification an earlier delivery of the message created, without emailing', async () => {
+    client = createClient({ existingNotificationId: 'n-old' });
+    database.withRLSContext.mockImplementation((userId, callback) => callback(client));
+
+    const notification = await createNotification(row);
+
+    expect(notification).toMatchObject({ id: 'n-old', duplicate: true });
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO notifications'))).toBe(false);
+    expect(publishToTopic).not.toHaveBeenCalled();
+  });
+
+  it('has no idempotency key without a message id', async () => {
+    client = createClient();
+    database.withRLSContext.mockImplementation((userId, callback) => callback(client));
+
+    await createNotification({ ...row, message_id: null });
+
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('processed_notifications'))).toBe(false);
+  });
+
+  it('gates the insert on the suppression claim in the same transaction', async () => {
+    client = createClient();
+    database.withRLSContext.mockImplementation((userId, callback) => callback(client));
+
+    await createNotification(row);
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+    expect(statements).toEqual([
+      'INSERT INTO processed_notifications',
+      'INSERT INTO notification_suppression',
+      'INSERT INTO notifications',
+      'UPDATE processed_notifications SET',
+      'UPDATE notification_suppression SET'
+    ]);
+  });
+
+  it('stores and emails the same default title for an untitled notification', async () => {
+    client = createClient();
+    database.withRLSContext.mockImplementation((userId, callback) => callback(client));
+    database.query.mockResolvedValueOnce({
+      rowCount: 1,
+      rows: [{ email: 'user@example.com', email_notifications: true, instant_notifications: true }]
+    });
+
+    const notification = await createNotification({ ...row, title: '' });
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO notifications'));
+    expect(insert[1][2]).toBe('Notificación');
+    expect(notification.title).toBe('Notificación');
+    expect(publishToTopic).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      notification: expect.objectContaining({ title: 'Notificación' })
+    }));
+  });
+
+  it('suppresses a document another notification claimed within the window', async () => {
+    client = createClient({ suppressedBy: { notification_id: 'n-first', subscription_id: 'sub-0' } });
+    database.withRLSContext.mockImplementation((userId, callback) => callback(client));
+
+    const notification = await createNotification(row);
+
+    expect(notification).toMatchObject({ id: 'n-first', suppressed: true });
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO notifications'))).toBe(false);
+    expect(publishToTopic).not.toHaveBeenCalled();
+  });
+});
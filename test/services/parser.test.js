@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/services/notification.js', () => ({
+  createNotification: vi.fn(),
+  recordProcessingSummary: vi.fn().mockResolvedValue()
+}));
+
+vi.mock('../../src/services/relevance.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  resolveRelevanceThreshold: vi.fn().mockResolvedValue({ threshold: 0, source: 'default' })
+}));
+
+vi.mock('../../src/services/locale.js', () => ({
+  resolveUserLocale: vi.fn().mockResolvedValue('es')
+}));
+
+const { createNotification, recordProcessingSummary } = await import('../../src/services/notification.js');
+const { processMessage, planMessage } = await import('../../src/services/parser.js');
+
+const USER_ID = '6f1d2c3b-4a5e-4f70-8a9b-0c1d2e3f4a5b';
+const SUBSCRIPTION_ID = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+
+/**
+ * Builds a BOE parser message with one match per document ID
+ * @param {Array<string>} documentIds - BOE document IDs
+ * @returns {Object} - The message
+ */
+function createMessage(documentIds) {
+  return {
+    trace_id: 't-1',
+    processor_type: 'boe',
+    request: { subscription_id: SUBSCRIPTION_ID, user_id: USER_ID, texts: ['ayudas vivienda'] },
+    results: {
+      query_date: '2025-04-10',
+      results: [{
+        prompt: 'ayudas vivienda',
+        matches: documentIds.map(id => ({
+          document_type: 'boe_document',
+          title: `Resolución ${id}`,
+          summary: 'Ayudas a la vivienda',
+          relevance_score: 0.9,
+          links: { html: `https://www.boe.es/diario_boe/txt.php?id=${id}` }
+        })),
+        metadata: {}
+      }]
+    },
+    metadata: { processing_time_ms: 10, total_items_processed: documentIds.length, status: 'success' }
+  };
+}
+
+/**
+ * Error as raised by pg when the connection drops
+ * @returns {Error} - The error
+ */
+function connectionError() {
+  return Object.assign(new Error('Connection terminated unexpectedly'), { code: '57P01' });
+}
+
+describe('processMessage notification failures', () => {
+  beforeEach(() => {
+    createNotification.mockReset();
+    recordProcessingSummary.mockClear();
+  });
+
+  it('creates a notification per match with the message ID as idempotency key', async () => {
+    createNotification.mockResolvedValue({ id: 'n-1' });
+
+    const result = await processMessage(createMessage(['BOE-A-2025-1', 'BOE-A-2025-2']), { messageId: 'm-1' });
+
+    expect(result).toMatchObject({ created: 2, errors: 0 });
+    expect(createNotification.mock.calls.every(([row]) => row.message_id === 'm-1')).toBe(true);
+  });
+
+  it('fails the message when a row fails with a transient database error', async () => {
+    createNotification
+      .mockResolvedValueOnce({ id: 'n-1' })
+      .mockRejectedValueOnce(connectionError());
+
+    await expect(processMessage(createMessage(['BOE-A-2025-1', 'BOE-A-2025-2', 'BOE-A-2025-3']), { messageId: 'm-1' }))
+      .rejects.toThrow('Connection terminated unexpectedly');
+
+    expect(createNotification).toHaveBeenCalledTimes(2);
+    expect(recordProcessingSummary).not.toHaveBeenCalled();
+  });
+
+  it('counts rows that fail permanently and completes the message', async () => {
+    createNotification
+      .mockRejectedValueOnce(Object.assign(new Error('value too long for type character varying(255)'), { code: '22001' }))
+      .mockResolvedValueOnce({ id: 'n-2' });
+
+    const result = await processMessage(createMessage(['BOE-A-2025-1', 'BOE-A-2025-2']), { messageId: 'm-1' });
+
+    expect(result).toMatchObject({ created: 1, errors: 1 });
+    expect(recordProcessingSummary).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('planMessage document merging', () => {
+  const match = (id, relevance, title = `Resolución ${id}`) => ({
+    document_type: 'boe_document',
+    title,
+    summary: 'Ayudas a la vivienda',
+    relevance_score: relevance,
+    links: { html: `https://www.boe.es/diario_boe/txt.php?id=${id}` }
+  });
+
+  /**
+   * Plans a message with the given matches per prompt
+   * @param {Object<string, Array<Object>>} matchesByPrompt - Matches keyed by prompt
+   * @param {number} [threshold] - Relevance threshold
+   * @returns {Promise<Object>} - The plan
+   */
+  const plan = (matchesByPrompt, threshold = 0) => {
+    const message = createMessage([]);
+    message.request.texts = Object.keys(matchesByPrompt);
+    message.results.results = Object.entries(matchesByPrompt).map(([prompt, matches]) => ({ prompt, matches }));
+    return planMessage(message, {
+      dryRun: true,
+      resolveRelevance: async () => ({ threshold, source: 'config' }),
+      resolveLocale: async () => 'es'
+    });
+  };
+
+  it('creates one notification per document, keeping its best match and every prompt', async () => {
+    const result = await plan({
+      'ayudas vivienda': [match('BOE-A-2025-1', 0.6, 'Primera versión'), match('BOE-A-2025-2', 0.8)],
+      'alquiler joven': [match('BOE-A-2025-1', 0.9, 'Mejor versión')]
+    });
+
+    expect(result.merged).toBe(1);
+    expect(result.notifications).toHaveLength(2);
+    expect(result.notifications[0].title).toBe('Mejor versión');
+    expect(result.notifications[0].data.prompts).toEqual(['ayudas vivienda', 'alquiler joven']);
+    expect(result.notifications[0].document_key).toBe('boe:BOE-A-2025-1');
+  });
+
+  it('keeps matches whose document can\'t be identified apart', async () => {
+    const untitled = { document_type: 'anuncio', title: '¿?', summary: 'Anuncio', relevance_score: 0.7 };
+    const message = createMessage([]);
+    message.processor_type = 'gazette';
+    message.results.results = [{ prompt: 'ayudas vivienda', matches: [untitled, { ...untitled, title: '—' }] }];
+
+    const result = await planMessage(message, {
+      dryRun: true,
+      resolveRelevance: async () => ({ threshold: 0, source: 'config' }),
+      resolveLocale: async () => 'es'
+    });
+
+    expect(result.merged).toBe(0);
+    expect(result.notifications).toHaveLength(2);
+    expect(result.notifications.map(({ document_key }) => document_key)).toEqual([null, null]);
+  });
+
+  it('merges matches of the same document linked differently', async () => {
+    const result = await plan({
+      'ayudas vivienda': [match('BOE-A-2025-1', 0.6)],
+      'alquiler joven': [{ ...match('BOE-A-2025-1', 0.7), links: { html: 'https://www.boe.es/buscar/act.php?id=BOE-A-2025-1' } }]
+    });
+
+    expect(result.notifications).toHaveLength(1);
+    expect(result.merged).toBe(1);
+  });
+
+  it('filters matches below the threshold before merging', async () => {
+    const result = await plan({
+      'ayudas vivienda': [match('BOE-A-2025-1', 0.3)],
+      'alquiler joven': [match('BOE-A-2025-1', 0.7)]
+    }, 0.5);
+
+    expect(result.filtered).toEqual([{ match_title: 'Resolución BOE-A-2025-1', prompt: 'ayudas vivienda', relevance_score: 0.3 }]);
+    expect(result.merged).toBe(0);
+    expect(result.notifications[0].data.prompts).toEqual(['alquiler joven']);
+  });
+});
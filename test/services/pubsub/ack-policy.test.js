@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.hoisted(() => {
+  process.env.ACK_POLICY_MAX_DELIVERY_ATTEMPTS = '3';
+  process.env.ACK_POLICY_TRANSIENT_CATEGORIES = 'db_transient, unknown';
+});
+
+const { decideFailureAction, ACK_DECISION } = await import('../../../src/services/pubsub/ack-policy.js');
+const { MessageValidationError } = await import('../../../src/utils/errors.js');
+
+const transientError = () => Object.assign(new Error('Connection terminated unexpectedly'), { code: '57P01' });
+
+describe('decideFailureAction', () => {
+  it('nacks transient failures while attempts remain', () => {
+    expect(decideFailureAction(transientError(), 1)).toMatchObject({
+      decision: ACK_DECISION.NACK,
+      category: 'db_transient',
+      attempt: 1
+    });
+    expect(decideFailureAction(new Error('Something odd'), 2).decision).toBe(ACK_DECISION.NACK);
+  });
+
+  it('dead-letters transient failures on the last attempt', () => {
+    const result = decideFailureAction(transientError(), 3);
+
+    expect(result.decision).toBe(ACK_DECISION.DEAD_LETTER);
+    expect(result.reason).toBe('attempt 3 reached the limit of 3');
+  });
+
+  it('dead-letters permanent failures on the first attempt', () => {
+    expect(decideFailureAction(new MessageValidationError('Missing trace_id'), 1)).toMatchObject({
+      decision: ACK_DECISION.DEAD_LETTER,
+      category: 'validation'
+    });
+    expect(decideFailureAction(Object.assign(new Error('duplicate key'), { code: '23505' }), 1).category)
+      .toBe('db_permanent');
+  });
+
+  it('treats a missing delivery attempt as the first one', () => {
+    expect(decideFailureAction(transientError()).attempt).toBe(1);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/services/pubsub/transports/index.js', () => {
+  const transport = { name: 'mock', publish: vi.fn() };
+  return { createTransport: () => transport };
+});
+
+const { createTransport } = await import('../../../src/services/pubsub/transports/index.js');
+const { publishToDLQ } = await import('../../../src/services/pubsub/client.js');
+const { MessageValidationError } = await import('../../../src/utils/errors.js');
+
+const transport = createTransport();
+
+describe('publishToDLQ', () => {
+  beforeEach(() => {
+    transport.publish.mockReset();
+    transport.publish.mockResolvedValue('dlq-1');
+  });
+
+  it('publishes a classified envelope with the delivery metadata', async () => {
+    const original = { version: '2.0', trace_id: 'trace-1', processor_type: 'boe' };
+    const message = { id: 'm-1', attributes: { origin: 'parser' }, deliveryAttempt: 3 };
+
+    const id = await publishToDLQ(original, new MessageValidationError('missing results'), {
+      message,
+      processingStart: Date.now() - 50,
+      dlqTopic: 'boe-dlq',
+      subscription: 'boe-sub'
+    });
+
+    expect(id).toBe('dlq-1');
+    const [topic, data, attributes] = transport.publish.mock.calls[0];
+    expect(topic).toBe('boe-dlq');
+    expect(JSON.parse(data.toString())).toMatchObject({
+      original_message: original,
+      error: 'missing results',
+      error_category: 'validation',
+      message_id: 'm-1',
+      attributes: { origin: 'parser' },
+      subscription: 'boe-sub',
+      delivery_attempt: 3,
+      schema_version: '2.0',
+      processing_duration_ms: expect.any(Number)
+    });
+    expect(attributes).toMatchObject({
+      error_category: 'validation',
+      message_id: 'm-1',
+      subscription: 'boe-sub',
+      delivery_attempt: '3',
+      schema_version: '2.0',
+      processor_type: 'boe',
+      trace_id: 'trace-1'
+    });
+  });
+
+  it('leaves out the attributes it has no value for', async () => {
+    await publishToDLQ({ raw_message: 'not json' }, new Error('Unexpected token'));
+
+    const [, data, attributes] = transport.publish.mock.calls[0];
+    expect(JSON.parse(data.toString())).toMatchObject({ message_id: null, delivery_attempt: null, schema_version: 'unknown' });
+    expect(attributes).not.toHaveProperty('message_id');
+    expect(attributes).not.toHaveProperty('trace_id');
+    expect(Object.values(attributes).every(value => typeof value === 'string' && value !== '')).toBe(true);
+  });
+});
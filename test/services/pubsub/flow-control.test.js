@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.hoisted(() => {
+  process.env.BACKPRESSURE_CHECK_INTERVAL_MS = '1';
+  process.env.BACKPRESSURE_MAX_POOL_WAITING = '5';
+  process.env.BACKPRESSURE_MAX_QUERY_LATENCY_MS = '2000';
+});
+
+vi.mock('../../../src/database/client.js', () => ({
+  db: { getConnectionState: vi.fn() }
+}));
+
+const { db } = await import('../../../src/database/client.js');
+const { createFlowController, evaluateBackpressure } = await import('../../../src/services/pubsub/flow-control.js');
+
+const connectionState = ({ waitingCount = 0, avgDurationMs = null } = {}) => ({
+  poolStats: { waitingCount },
+  queryStats: { avgDurationMs }
+});
+
+describe('evaluateBackpressure', () => {
+  it('activates on pool waiters or slow queries', () => {
+    db.getConnectionState.mockReturnValueOnce(connectionState({ waitingCount: 6 }));
+    expect(evaluateBackpressure()).toMatchObject({ active: true, reason: expect.stringContaining('pool waiting') });
+
+    db.getConnectionState.mockReturnValueOnce(connectionState({ avgDurationMs: 2500 }));
+    expect(evaluateBackpressure()).toMatchObject({ active: true, reason: expect.stringContaining('query latency') });
+
+    db.getConnectionState.mockReturnValueOnce(connectionState({ waitingCount: 5, avgDurationMs: 2000 }));
+    expect(evaluateBackpressure()).toEqual({ active: false, reason: null });
+  });
+});
+
+describe('createFlowController', () => {
+  beforeEach(() => {
+    db.getConnectionState.mockReset();
+    db.getConnectionState.mockReturnValue(connectionState());
+  });
+
+  it('holds messages beyond the message limit until one is released', async () => {
+    const controller = createFlowController({ name: 'sub', maxMessages: 2, maxBytes: 1000 });
+    await controller.acquire(10);
+    await controller.acquire(10);
+
+    let admitted = false;
+    const third = controller.acquire(10).then(() => { admitted = true; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(admitted).toBe(false);
+    expect(controller.getStatus()).toMatchObject({ in_flight: 2, waiting: 1 });
+
+    controller.release(10);
+    await third;
+    expect(controller.getStatus()).toMatchObject({ in_flight: 2, in_flight_bytes: 20, waiting: 0 });
+  });
+
+  it('bounds the bytes in flight but always admits a single message', async () => {
+    const controller = createFlowController({ maxMessages: 10, maxBytes: 100 });
+    await controller.acquire(500);
+
+    let admitted = false;
+    const next = controller.acquire(1).then(() => { admitted = true; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(admitted).toBe(false);
+
+    controller.release(500);
+    await next;
+    expect(controller.getStatus()).toMatchObject({ in_flight: 1, in_flight_bytes: 1 });
+  });
+
+  it('admits one message at a time under backpressure and recovers when it clears', async () => {
+    const controller = createFlowController({ maxMessages: 10, maxBytes: 1000 });
+    db.getConnectionState.mockReturnValue(connectionState({ waitingCount: 20 }));
+    await controller.acquire(1);
+
+    let admitted = false;
+    const next = controller.acquire(1).then(() => { admitted = true; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(admitted).toBe(false);
+    expect(controller.getStatus().backpressure).toMatchObject({ active: true, activations: 1 });
+
+    db.getConnectionState.mockReturnValue(connectionState());
+    await next;
+    expect(controller.getStatus().backpressure).toMatchObject({ active: false, since: null });
+    expect(controller.getStatus().in_flight).toBe(2);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.hoisted(() => {
+  process.env.ORDERING_ENABLED = 'true';
+  process.env.ORDERING_KEY_FIELD = 'user_id';
+});
+
+const { createKeyedQueue, resolveOrderingKey } = await import('../../../src/services/pubsub/ordering.js');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('resolveOrderingKey', () => {
+  it('prefers the PubSub ordering key, then the configured request field', () => {
+    const data = Buffer.from(JSON.stringify({ request: { user_id: 'user-1' } }));
+
+    expect(resolveOrderingKey({ orderingKey: 'key-1', data })).toBe('key-1');
+    expect(resolveOrderingKey({ data })).toBe('user-1');
+    expect(resolveOrderingKey({ data: Buffer.from('not json') })).toBeNull();
+  });
+});
+
+describe('createKeyedQueue', () => {
+  it('runs tasks of a key in order and other keys in parallel', async () => {
+    const queue = createKeyedQueue();
+    const gate = deferred();
+    const events = [];
+
+    const first = queue.run('a', async () => { await gate.promise; events.push('a1'); });
+    const second = queue.run('a', async () => { events.push('a2'); });
+    await queue.run('b', async () => { events.push('b1'); });
+
+    expect(events).toEqual(['b1']);
+    expect(queue.getStatus()).toEqual({ active_keys: 1, queued: 2, failed_keys: 0 });
+
+    gate.resolve();
+    await Promise.all([first, second]);
+    expect(events).toEqual(['b1', 'a1', 'a2']);
+    expect(queue.getStatus()).toEqual({ active_keys: 0, queued: 0, failed_keys: 0 });
+  });
+
+  it('tells the tasks queued behind a failure, until the key drains', async () => {
+    const queue = createKeyedQueue({ isFailure: outcome => outcome === 'nacked' });
+    const seen = [];
+
+    const first = queue.run('a', async () => 'nacked');
+    const second = queue.run('a', async ({ failed }) => { seen.push(failed); });
+    const third = queue.run('a', async ({ failed }) => { seen.push(failed); throw new Error('boom'); });
+    await Promise.allSettled([first, second, third]);
+
+    await queue.run('a', async ({ failed }) => { seen.push(failed); });
+    expect(seen).toEqual([true, true, false]);
+    await expect(third).rejects.toThrow('boom');
+  });
+});
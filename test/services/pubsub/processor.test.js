@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../../src/services/pubsub/client.js', () => ({
+  publishToDLQ: vi.fn().mockResolvedValue('dlq-1')
+}));
+
+vi.mock('../../../src/services/ledger.js', () => ({
+  LEDGER_STATUS: { PROCESSING: 'processing', COMPLETED: 'completed', FAILED: 'failed' },
+  claimMessage: vi.fn(),
+  markCompleted: vi.fn().mockResolvedValue(),
+  markFailed: vi.fn().mockResolvedValue()
+}));
+
+vi.mock('../../../src/services/parser.js', () => ({
+  processMessage: vi.fn()
+}));
+
+const { config } = await import('../../../src/config/index.js');
+const { claimMessage, markCompleted, markFailed } = await import('../../../src/services/ledger.js');
+const { processMessage: processParserMessage } = await import('../../../src/services/parser.js');
+const {
+  processMessage,
+  handleMessage,
+  nackInFlightMessages,
+  getOrderingStatus,
+  MESSAGE_OUTCOME
+} = await import('../../../src/services/pubsub/processor.js');
+
+const runtime = { name: 'boe-notifications', processorType: null, dlqTopic: 'dlq' };
+
+/**
+ * Builds a PubSub-like message with ack and nack spies
+ * @param {Object} data - Message body
+ * @returns {Object} - The message
+ */
+function createMessage(data) {
+  return {
+    id: 'm-1',
+    data: Buffer.from(JSON.stringify(data)),
+    attributes: {},
+    deliveryAttempt: 1,
+    ack: vi.fn(),
+    nack: vi.fn()
+  };
+}
+
+const body = { trace_id: 't-1', request: { user_id: 'u-1', subscription_id: 's-1' }, results: {} };
+
+describe('processMessage ledger claims', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    claimMessage.mockReset();
+    processParserMessage.mockReset();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('holds a message claimed by another instance before nacking it', async () => {
+    claimMessage.mockResolvedValue({ claimed: false, key: 'm-1', attempts: 1, status: 'processing' });
+    const message = createMessage(body);
+
+    const { outcome } = await processMessage(message, runtime);
+
+    expect(outcome).toBe(MESSAGE_OUTCOME.REDELIVER);
+    expect(message.nack).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(config.ledger.claimedNackDelayMs);
+    expect(message.nack).toHaveBeenCalledTimes(1);
+    expect(message.ack).not.toHaveBeenCalled();
+    expect(processParserMessage).not.toHaveBeenCalled();
+  });
+
+  it('acks a message the ledger already completed', async () => {
+    claimMessage.mockResolvedValue({ claimed: false, key: 'm-1', attempts: 1, status: 'completed' });
+    const message = createMessage(body);
+
+    const { outcome } = await processMessage(message, runtime);
+
+    expect(outcome).toBe(MESSAGE_OUTCOME.DUPLICATE);
+    expect(message.ack).toHaveBeenCalledTimes(1);
+  });
+
+  it('passes the message id to the parser as the notification idempotency key', async () => {
+    claimMessage.mockResolvedValue({ claimed: true, key: 'm-1', attempts: 1, status: 'processing' });
+    processParserMessage.mockResolvedValue({ created: 1, errors: 0 });
+    const message = createMessage(body);
+
+    await processMessage(message, runtime);
+
+    expect(processParserMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ trace_id: 't-1' }),
+      expect.objectContaining({ messageId: 'm-1' })
+    );
+    expect(message.ack).toHaveBeenCalledTimes(1);
+  });
+
+  it('nacks and releases the claim when a notification insert fails transiently', async () => {
+    claimMessage.mockResolvedValue({ claimed: true, key: 'm-1', attempts: 1, status: 'processing' });
+    processParserMessage.mockRejectedValue(Object.assign(new Error('sorry, too many clients already'), { code: '53300' }));
+    markCompleted.mockClear();
+    markFailed.mockClear();
+    const message = createMessage(body);
+
+    const { outcome } = await processMessage(message, runtime);
+
+    expect(outcome).toBe(MESSAGE_OUTCOME.REDELIVER);
+    expect(message.nack).toHaveBeenCalledTimes(1);
+    expect(message.ack).not.toHaveBeenCalled();
+    expect(markCompleted).not.toHaveBeenCalled();
+    expect(markFailed).toHaveBeenCalledWith('m-1', expect.any(Error));
+  });
+});
+
+describe('nackInFlightMessages', () => {
+  it('nacks messages still being processed and releases their ledger claims', async () => {
+    claimMessage.mockResolvedValue({ claimed: true, key: 'm-1', attempts: 1, status: 'processing' });
+    let finish;
+    processParserMessage.mockReset();
+    processParserMessage.mockImplementation(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    markFailed.mockClear();
+    const message = createMessage(body);
+
+    const streamingRuntime = {
+      ...runtime,
+      health: { messages: 0 },
+      flowController: { acquire: async () => {}, release: () => {} }
+    };
+
+    const handling = handleMessage(message, streamingRuntime);
+    await vi.waitFor(() => expect(processParserMessage).toHaveBeenCalled());
+
+    await expect(nackInFlightMessages()).resolves.toBe(1);
+    expect(message.nack).toHaveBeenCalledTimes(1);
+    expect(markFailed).toHaveBeenCalledWith('m-1', expect.objectContaining({ message: 'Released during shutdown' }));
+
+    // The late ack of the still-running handler is ignored
+    finish({ created: 0, errors: 0 });
+    await handling;
+    expect(message.ack).not.toHaveBeenCalled();
+  });
+});
+
+/**
+ * Builds a subscription runtime whose flow controller admits everything
+ * @param {string} name - Subscription name
+ * @returns {Object} - The runtime
+ */
+function createRuntime(name) {
+  return {
+    name,
+    processorType: null,
+    dlqTopic: 'dlq',
+    health: { messages: 0 },
+    flowController: { acquire: async () => {}, release: () => {} }
+  };
+}
+
+/**
+ * Builds a message for a user, ordered by request.user_id
+ * @param {string} id - Message ID
+ * @returns {Object} - The message
+ */
+function createUserMessage(id) {
+  const body = { trace_id: id, request: { user_id: 'u-1', subscription_id: 's-1' }, results: {} };
+  return { id, data: Buffer.from(JSON.stringify(body)), attributes: {}, ack: vi.fn(), nack: vi.fn() };
+}
+
+describe('ordered processing across subscriptions', () => {
+  it('does not hold back a key on one subscription while it is busy on another', async () => {
+    claimMessage.mockImplementation(async (messageId) => ({ claimed: true, key: messageId, attempts: 1, status: 'processing' }));
+    let finishBoe;
+    processParserMessage.mockImplementation(async (data) => {
+      if (data.trace_id === 'boe-1') {
+        await new Promise(resolve => {
+          finishBoe = resolve;
+        });
+      }
+      return { created: 1, errors: 0 };
+    });
+    const boe = createRuntime('boe-notifications');
+    const doga = createRuntime('doga-notifications');
+    const boeMessage = createUserMessage('boe-1');
+    const dogaMessage = createUserMessage('doga-1');
+
+    const boeHandling = handleMessage(boeMessage, boe);
+    await vi.waitFor(() => expect(finishBoe).toBeTypeOf('function'));
+
+    await handleMessage(dogaMessage, doga);
+    expect(dogaMessage.ack).toHaveBeenCalledTimes(1);
+    expect(boeMessage.ack).not.toHaveBeenCalled();
+    expect(getOrderingStatus()).toEqual({
+      'boe-notifications': { active_keys: 1, queued: 1, failed_keys: 0 },
+      'doga-notifications': { active_keys: 0, queued: 0, failed_keys: 0 }
+    });
+
+    finishBoe();
+    await boeHandling;
+    expect(boeMessage.ack).toHaveBeenCalledTimes(1);
+  });
+});
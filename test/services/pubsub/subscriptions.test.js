@@ -0,0 +1,34 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.hoisted(() => {
+  process.env.PUBSUB_SUBSCRIPTIONS = JSON.stringify([
+    { name: 'boe-notifications', processorType: 'boe', dlqTopic: 'boe-dlq' },
+    { name: 'doga-notifications', processorType: 'doga', flowControl: { maxMessages: 2 } }
+  ]);
+  process.env.DLQ_TOPIC = 'notification-dlq';
+});
+
+const { getSubscriptionRuntime, getSubscriptionRuntimes } = await import('../../../src/services/pubsub/subscriptions.js');
+
+describe('getSubscriptionRuntime', () => {
+  it('finds a subscription by short or full resource name', () => {
+    expect(getSubscriptionRuntime('doga-notifications').processorType).toBe('doga');
+    expect(getSubscriptionRuntime('projects/nifya/subscriptions/doga-notifications').processorType).toBe('doga');
+  });
+
+  it('returns null for a subscription that is not configured', () => {
+    expect(getSubscriptionRuntime('projects/nifya/subscriptions/other')).toBeNull();
+  });
+
+  it('returns the first subscription when no name is given', () => {
+    expect(getSubscriptionRuntime().name).toBe('boe-notifications');
+  });
+
+  it('gives every subscription its own flow controller', () => {
+    const [boe, doga] = getSubscriptionRuntimes();
+
+    expect(boe.flowController).not.toBe(doga.flowController);
+    expect(doga.flowController.state.maxMessages).toBe(2);
+    expect(doga.dlqTopic).toBe('notification-dlq');
+  });
+});
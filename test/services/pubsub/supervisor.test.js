@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+
+vi.hoisted(() => {
+  process.env.SUBSCRIPTION_RETRY_INITIAL_DELAY_MS = '100';
+  process.env.SUBSCRIPTION_RETRY_MAX_DELAY_MS = '1000';
+});
+
+vi.mock('../../../src/services/pubsub/client.js', () => ({
+  initializeSubscription: vi.fn()
+}));
+
+vi.mock('../../../src/services/pubsub/processor.js', () => ({
+  setupSubscriptionListeners: vi.fn()
+}));
+
+const { initializeSubscription } = await import('../../../src/services/pubsub/client.js');
+const { setupSubscriptionListeners } = await import('../../../src/services/pubsub/processor.js');
+const { computeBackoffDelay, createSubscriptionSupervisor } = await import('../../../src/services/pubsub/supervisor.js');
+const { SUBSCRIPTION_STATE } = await import('../../../src/services/pubsub/subscriptions.js');
+
+const createRuntime = () => ({
+  name: 'boe-sub',
+  health: {
+    state: SUBSCRIPTION_STATE.STOPPED,
+    stateSince: null,
+    consecutiveFailures: 0,
+    nextAttemptAt: null,
+    transitions: [],
+    lastErrorTime: null,
+    lastErrorMessage: null
+  }
+});
+
+const createSubscription = () => Object.assign(new EventEmitter(), { close: vi.fn().mockResolvedValue() });
+
+describe('computeBackoffDelay', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('doubles the delay per failure up to the maximum', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect(computeBackoffDelay(1)).toBe(100);
+    expect(computeBackoffDelay(3)).toBe(400);
+    expect(computeBackoffDelay(10)).toBe(1000);
+  });
+
+  it('spreads the delay by the jitter fraction', () => {
+    vi.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(0.999999);
+
+    expect(computeBackoffDelay(2)).toBe(160);
+    expect(computeBackoffDelay(2)).toBe(240);
+  });
+});
+
+describe('createSubscriptionSupervisor', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    initializeSubscription.mockReset();
+    setupSubscriptionListeners.mockReset();
+    setupSubscriptionListeners.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('backs off and reconnects until the subscription opens', async () => {
+    const runtime = createRuntime();
+    const onStateChange = vi.fn();
+    initializeSubscription
+      .mockRejectedValueOnce(new Error('unavailable'))
+      .mockResolvedValueOnce(createSubscription());
+    const supervisor = createSubscriptionSupervisor(runtime, { onStateChange });
+
+    expect(await supervisor.start()).toBe(false);
+    expect(supervisor.state).toBe(SUBSCRIPTION_STATE.BACKING_OFF);
+    expect(runtime.health.consecutiveFailures).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(supervisor.state).toBe(SUBSCRIPTION_STATE.ACTIVE);
+    expect(runtime.health.consecutiveFailures).toBe(0);
+    expect(onStateChange.mock.calls.map(([change]) => change.to)).toEqual([
+      SUBSCRIPTION_STATE.CONNECTING,
+      SUBSCRIPTION_STATE.BACKING_OFF,
+      SUBSCRIPTION_STATE.CONNECTING,
+      SUBSCRIPTION_STATE.ACTIVE
+    ]);
+  });
+
+  it('releases a failed subscription and opens a new one', async () => {
+    const runtime = createRuntime();
+    const first = createSubscription();
+    initializeSubscription.mockResolvedValueOnce(first).mockResolvedValueOnce(createSubscription());
+    const supervisor = createSubscriptionSupervisor(runtime);
+    await supervisor.start();
+    const onError = setupSubscriptionListeners.mock.calls[0][2];
+
+    await onError(new Error('stream closed'));
+
+    expect(first.close).toHaveBeenCalled();
+    expect(runtime.health.lastErrorMessage).toBe('stream closed');
+    expect(runtime.health.transitions.map(({ to }) => to)).toContain(SUBSCRIPTION_STATE.DEGRADED);
+    expect(supervisor.state).toBe(SUBSCRIPTION_STATE.BACKING_OFF);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(supervisor.state).toBe(SUBSCRIPTION_STATE.ACTIVE);
+    expect(initializeSubscription).toHaveBeenCalledTimes(2);
+  });
+
+  it('cancels pending retries when stopped', async () => {
+    const runtime = createRuntime();
+    initializeSubscription.mockRejectedValue(new Error('unavailable'));
+    const supervisor = createSubscriptionSupervisor(runtime);
+    await supervisor.start();
+
+    await supervisor.stop('shutdown');
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(supervisor.state).toBe(SUBSCRIPTION_STATE.STOPPED);
+    expect(initializeSubscription).toHaveBeenCalledTimes(1);
+    expect(runtime.health.nextAttemptAt).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { createLocalTransport } = await import('../../../../src/services/pubsub/transports/local.js');
+
+/**
+ * Collects the messages a subscription delivers, settling each one with the given callback
+ */
+function collect(subscription, settle = message => message.ack()) {
+  const delivered = [];
+  subscription.on('message', message => {
+    delivered.push({ data: message.data.toString(), attempt: message.deliveryAttempt });
+    settle(message);
+  });
+  return delivered;
+}
+
+const waitFor = async (condition, timeoutMs = 1000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('createLocalTransport', () => {
+  let transport;
+  let directory;
+
+  afterEach(async () => {
+    await transport?.close();
+    if (directory) {
+      fs.rmSync(directory, { recursive: true, force: true });
+      directory = null;
+    }
+  });
+
+  it('delivers messages published to the topic of the same name and records them', async () => {
+    transport = createLocalTransport({ redeliveryDelayMs: 1 });
+    const delivered = collect(transport.subscription('alerts'));
+
+    const id = await transport.topic('alerts').publish(Buffer.from('hello'), { source: 'test' });
+
+    await waitFor(() => delivered.length === 1);
+    expect(delivered[0]).toEqual({ data: 'hello', attempt: 1 });
+    expect(transport.getPublished('alerts')).toMatchObject([{ id, attributes: { source: 'test' }, data: 'hello' }]);
+  });
+
+  it('redelivers nacked messages with the next delivery attempt', async () => {
+    transport = createLocalTransport({ redeliveryDelayMs: 1 });
+    const delivered = collect(transport.subscription('alerts'), message => {
+      if (message.deliveryAttempt === 1) message.nack(); else message.ack();
+    });
+
+    await transport.publish('alerts', Buffer.from('retry me'));
+
+    await waitFor(() => delivered.length === 2);
+    expect(delivered.map(entry => entry.attempt)).toEqual([1, 2]);
+  });
+
+  it('redelivers a nacked ordered message before the later messages of its key', async () => {
+    transport = createLocalTransport({ redeliveryDelayMs: 5 });
+    const subscription = transport.subscription('alerts');
+    const topic = transport.topic('alerts');
+    await topic.publishMessage({ data: Buffer.from('first'), orderingKey: 'user-1' });
+    await topic.publishMessage({ data: Buffer.from('second'), orderingKey: 'user-1' });
+    const [first, second] = await transport.pull('alerts', 10);
+
+    first.nack();
+    second.nack();
+    const delivered = collect(subscription);
+
+    await waitFor(() => delivered.length === 2);
+    expect(delivered.map(entry => entry.data)).toEqual(['first', 'second']);
+  });
+
+  it('delivers files dropped into the subscription directory and moves them once acked', async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-queue-'));
+    const inbox = path.join(directory, 'subscriptions', 'alerts');
+    fs.mkdirSync(inbox, { recursive: true });
+    fs.writeFileSync(path.join(inbox, 'message-1.json'), '{"trace_id":"t-1"}');
+    transport = createLocalTransport({ directory, redeliveryDelayMs: 1 });
+
+    const delivered = collect(transport.subscription('alerts'));
+
+    await waitFor(() => delivered.length === 1);
+    expect(delivered[0].data).toBe('{"trace_id":"t-1"}');
+    expect(fs.existsSync(path.join(inbox, '.acked', 'message-1.json'))).toBe(true);
+    expect(fs.readdirSync(path.join(inbox, '.inflight'))).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.hoisted(() => {
+  process.env.RELEVANCE_THRESHOLD = '0.5';
+});
+
+vi.mock('../../src/services/database.js', () => ({
+  database: { query: vi.fn() }
+}));
+
+const { database } = await import('../../src/services/database.js');
+const {
+  isBelowRelevanceThreshold,
+  resolveRelevanceThreshold,
+  getDefaultRelevanceThreshold
+} = await import('../../src/services/relevance.js');
+
+const thresholds = (row) => ({ rowCount: 1, rows: [row] });
+
+describe('isBelowRelevanceThreshold', () => {
+  it('filters matches scoring below the threshold', () => {
+    expect(isBelowRelevanceThreshold({ relevance_score: 0.4 }, 0.5)).toBe(true);
+    expect(isBelowRelevanceThreshold({ relevance_score: 0.5 }, 0.5)).toBe(false);
+  });
+
+  it('keeps every match with a zero threshold and matches without a score', () => {
+    expect(isBelowRelevanceThreshold({ relevance_score: 0 }, 0)).toBe(false);
+    expect(isBelowRelevanceThreshold({}, 0.9)).toBe(false);
+  });
+});
+
+describe('resolveRelevanceThreshold', () => {
+  beforeEach(() => {
+    database.query.mockReset();
+  });
+
+  it('prefers the subscription threshold over the user one', async () => {
+    database.query.mockResolvedValue(thresholds({ subscription_threshold: '0.7', user_threshold: '0.6' }));
+
+    expect(await resolveRelevanceThreshold('u-1', 's-1')).toEqual({ threshold: 0.7, source: 'subscription' });
+  });
+
+  it('skips invalid thresholds', async () => {
+    database.query.mockResolvedValue(thresholds({ subscription_threshold: '7', user_threshold: '0.6' }));
+
+    expect(await resolveRelevanceThreshold('u-1', 's-1')).toEqual({ threshold: 0.6, source: 'user' });
+  });
+
+  it('falls back to the configured threshold', async () => {
+    database.query.mockResolvedValueOnce(thresholds({ subscription_threshold: null, user_threshold: null }));
+    expect(await resolveRelevanceThreshold('u-1', 's-1')).toEqual({ threshold: 0.5, source: 'config' });
+
+    database.query.mockRejectedValueOnce(new Error('Connection terminated'));
+    expect(await resolveRelevanceThreshold('u-1', 's-1')).toEqual(getDefaultRelevanceThreshold());
+  });
+});
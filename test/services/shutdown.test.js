@@ -0,0 +1,54 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.hoisted(() => {
+  process.env.SHUTDOWN_DRAIN_TIMEOUT_MS = '300';
+});
+
+vi.mock('../../src/services/database.js', () => ({
+  database: { end: vi.fn().mockResolvedValue() }
+}));
+
+vi.mock('../../src/services/pubsub/client.js', () => ({
+  flushPublishes: vi.fn().mockResolvedValue()
+}));
+
+vi.mock('../../src/services/pubsub/processor.js', () => ({
+  stopAcceptingMessages: vi.fn(),
+  getInFlightCount: vi.fn(),
+  nackInFlightMessages: vi.fn()
+}));
+
+const { database } = await import('../../src/services/database.js');
+const { stopAcceptingMessages, getInFlightCount, nackInFlightMessages } = await import('../../src/services/pubsub/processor.js');
+const { gracefulShutdown, shutdownState } = await import('../../src/services/shutdown.js');
+
+describe('gracefulShutdown', () => {
+  it('drains and nacks what is left before closing the subscriptions', async () => {
+    const events = [];
+    let inFlight = 2;
+    getInFlightCount.mockImplementation(() => inFlight);
+    stopAcceptingMessages.mockImplementation(() => {
+      events.push('stop accepting');
+    });
+    nackInFlightMessages.mockImplementation(async () => {
+      events.push('nack');
+      inFlight = 0;
+      return 2;
+    });
+    database.end.mockImplementation(async () => {
+      events.push('database');
+    });
+    const supervisor = {
+      stop: vi.fn(async () => {
+        events.push(`stop while ${getInFlightCount()} in flight`);
+      })
+    };
+    const server = { close: vi.fn() };
+
+    await gracefulShutdown({ server, supervisors: [supervisor] });
+
+    expect(supervisor.stop).toHaveBeenCalledWith('shutdown');
+    expect(events).toEqual(['stop accepting', 'nack', 'stop while 0 in flight', 'database']);
+    expect(shutdownState).toMatchObject({ state: 'stopped', nackedOnTimeout: 2 });
+  });
+});
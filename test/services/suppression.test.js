@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/services/database.js', () => ({
+  database: { query: vi.fn(), withRLSContext: vi.fn() }
+}));
+
+const { config } = await import('../../src/config/index.js');
+const { claimDelivery, recordDelivery } = await import('../../src/services/suppression.js');
+
+const delivery = { userId: 'u-1', subscriptionId: 's-1', documentKey: 'BOE-A-2025-1' };
+
+/**
+ * Fake transaction client
+ * @param {Object|null} existing - Entry already in the index within its window, if any
+ * @returns {Object} - Client with a query mock
+ */
+function createClient(existing = null) {
+  return {
+    query: vi.fn(async (sql) => {
+      if (sql.includes('INSERT INTO notification_suppression')) {
+        return existing ? { rowCount: 0, rows: [] } : { rowCount: 1, rows: [{ user_id: 'u-1' }] };
+      }
+      return { rowCount: existing ? 1 : 0, rows: existing ? [existing] : [] };
+    })
+  };
+}
+
+describe('claimDelivery', () => {
+  beforeEach(() => {
+    config.suppression.enabled = true;
+    config.suppression.perSubscription = false;
+  });
+
+  it('claims a document the user was not notified about', async () => {
+    const client = createClient();
+
+    await expect(claimDelivery(client, delivery)).resolves.toEqual({ claimed: true, suppression: null });
+
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (user_id, document_key, scope) DO UPDATE');
+    expect(sql).toContain("WHERE notification_suppression.created_at <= NOW() - ($5 * INTERVAL '1 hour')");
+    expect(params).toEqual(['u-1', 'BOE-A-2025-1', '', 's-1', config.suppression.windowHours]);
+  });
+
+  it('returns the entry that suppresses a document already claimed within the window', async () => {
+    const existing = { notification_id: 'n-1', subscription_id: 's-0', created_at: '2025-04-10T08:00:00Z' };
+    const client = createClient(existing);
+
+    await expect(claimDelivery(client, delivery)).resolves.toEqual({ claimed: false, suppression: existing });
+  });
+
+  it('scopes entries by subscription when suppression is per subscription', async () => {
+    config.suppression.perSubscription = true;
+    const client = createClient();
+
+    await claimDelivery(client, delivery);
+
+    expect(client.query.mock.calls[0][1][2]).toBe('s-1');
+  });
+
+  it('claims without touching the index when suppression is off or there is no document key', async () => {
+    const client = createClient();
+
+    await expect(claimDelivery(client, { ...delivery, documentKey: null })).resolves.toMatchObject({ claimed: true });
+    config.suppression.enabled = false;
+    await expect(claimDelivery(client, delivery)).resolves.toMatchObject({ claimed: true });
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordDelivery', () => {
+  it('points the claimed entry at the created notification', async () => {
+    config.suppression.enabled = true;
+    const client = createClient();
+
+    await recordDelivery(client, delivery, 'n-2');
+
+    expect(client.query.mock.calls[0][1]).toEqual(['u-1', 'BOE-A-2025-1', '', 'n-2']);
+  });
+});
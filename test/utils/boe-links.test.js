@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+
+const { buildBoeLinks, canonicalizeBoeUrl, getBoeEliUrl } = await import('../../src/utils/boe-links.js');
+const { sanitizeMessage } = await import('../../src/utils/sanitize.js');
+const { boeProcessor } = await import('../../src/processors/boe.js');
+
+describe('canonicalizeBoeUrl', () => {
+  it('turns act.php and mobile links into the txt.php page', () => {
+    expect(canonicalizeBoeUrl('https://www.boe.es/buscar/act.php?id=BOE-A-2025-7321&p=20250410'))
+      .toBe('https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-7321');
+    expect(canonicalizeBoeUrl('http://m.boe.es/diario_boe/txt.php?id=boe-a-2025-7321'))
+      .toBe('https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-7321');
+  });
+
+  it('keeps links to other sites', () => {
+    expect(canonicalizeBoeUrl('https://example.org/doc')).toBe('https://example.org/doc');
+  });
+});
+
+describe('getBoeEliUrl', () => {
+  it('uses the permalink the match carries', () => {
+    expect(getBoeEliUrl({ url_eli: 'http://www.boe.es/eli/es/l/2025/04/02/5' }))
+      .toBe('https://www.boe.es/eli/es/l/2025/04/02/5');
+  });
+
+  it('builds the permalink from the parser metadata', () => {
+    expect(getBoeEliUrl({
+      title: 'Ayudas para la compra de vivienda',
+      rank: 'Orden',
+      official_number: 'VIV/123/2025',
+      disposition_date: '2025-04-09'
+    })).toBe('https://www.boe.es/eli/es/o/2025/04/09/viv123');
+  });
+
+  it('builds the permalink from the BOE API metadata', () => {
+    expect(getBoeEliUrl({
+      rango: { codigo: '1320', texto: 'Real Decreto-ley' },
+      numero_oficial: '7/2025',
+      fecha_disposicion: '20250624'
+    })).toBe('https://www.boe.es/eli/es/rdl/2025/06/24/7');
+    expect(getBoeEliUrl({ rank: 'Ley Orgánica', official_number: '1/2025', dates: { disposition_date: '2025-01-02' } }))
+      .toBe('https://www.boe.es/eli/es/lo/2025/01/02/1');
+  });
+
+  it('falls back to the title', () => {
+    expect(getBoeEliUrl({ title: 'Orden VIV/123/2025, de 9 de abril, por la que se convocan ayudas' }))
+      .toBe('https://www.boe.es/eli/es/o/2025/04/09/viv123');
+  });
+
+  it('has no permalink for ranks without one or incomplete metadata', () => {
+    expect(getBoeEliUrl({ rank: 'Resolución', official_number: '12/2025', disposition_date: '2025-04-09' })).toBeNull();
+    expect(getBoeEliUrl({ rank: 'Orden', official_number: 'VIV/123/2025', disposition_date: '2025-02-30' })).toBeNull();
+    expect(getBoeEliUrl({ title: 'Resolución de 9 de abril de 2025, de la Dirección General' })).toBeNull();
+  });
+});
+
+describe('buildBoeLinks', () => {
+  it('derives the HTML, PDF and ELI links of a document', () => {
+    expect(buildBoeLinks(
+      { document_id: 'BOE-A-2025-7321', title: 'Orden VIV/123/2025, de 9 de abril, por la que se convocan ayudas' },
+      { publicationDate: '2025-04-10' }
+    )).toEqual({
+      html: 'https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-7321',
+      pdf: 'https://www.boe.es/boe/dias/2025/04/10/pdfs/BOE-A-2025-7321.pdf',
+      eli: 'https://www.boe.es/eli/es/o/2025/04/09/viv123'
+    });
+  });
+
+  it('leaves out the links it cannot build', () => {
+    expect(buildBoeLinks({ title: 'Anuncio' })).toEqual({});
+  });
+});
+
+describe('boeProcessor.extractData', () => {
+  it('stores the ELI permalink of a disposition titled by the parser', () => {
+    const { message } = sanitizeMessage({
+      results: {
+        query_date: '2025-04-10',
+        results: [{
+          prompt: 'vivienda',
+          matches: [{
+            document_id: 'BOE-A-2025-7321',
+            title: 'Ayudas para la compra de vivienda',
+            rank: 'Orden',
+            official_number: 'VIV/123/2025',
+            disposition_date: '20250409',
+            url_eli: 'javascript:alert(1)'
+          }]
+        }]
+      }
+    }, { baseUrl: boeProcessor.baseUrl, linkFields: boeProcessor.linkFields });
+    const match = message.results.results[0].matches[0];
+
+    const data = boeProcessor.extractData(match, { message, prompt: 'vivienda' });
+
+    expect(match.url_eli).toBeUndefined();
+    expect(data.links.eli).toBe('https://www.boe.es/eli/es/o/2025/04/09/viv123');
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+
+const { getCalendarDate, toCalendarDate, normalizeMessageDates, getInvalidDates } = await import('../../src/utils/dates.js');
+
+describe('getCalendarDate', () => {
+  it('reads instants in Europe/Madrid', () => {
+    expect(getCalendarDate(new Date('2025-04-09T22:30:00Z'))).toBe('2025-04-10');
+    expect(getCalendarDate(new Date('2025-04-09T21:30:00Z'))).toBe('2025-04-09');
+  });
+
+  it('accepts another time zone', () => {
+    expect(getCalendarDate(new Date('2025-04-09T22:30:00Z'), 'UTC')).toBe('2025-04-09');
+  });
+});
+
+describe('toCalendarDate', () => {
+  it('accepts the date formats parsers send', () => {
+    expect(toCalendarDate('20250410')).toBe('2025-04-10');
+    expect(toCalendarDate('10/04/2025')).toBe('2025-04-10');
+    expect(toCalendarDate('2025-04-10T08:00:00')).toBe('2025-04-10');
+    expect(toCalendarDate('2025-04-09T23:30:00+00:00')).toBe('2025-04-10');
+  });
+
+  it('rejects impossible dates and other values', () => {
+    expect(toCalendarDate('2025-02-30')).toBeNull();
+    expect(toCalendarDate('abril')).toBeNull();
+    expect(toCalendarDate(20250410)).toBeNull();
+  });
+});
+
+describe('normalizeMessageDates', () => {
+  it('normalizes the dates of a message and flags the invalid ones', () => {
+    const message = {
+      results: {
+        query_date: '2025-04-09T22:30:00Z',
+        boe_info: { publication_date: '20250410' },
+        results: [{ prompt: 'x', matches: [{ title: 'x', publication_date: '31/02/2025', dates: { disposition_date: '20250409' } }] }]
+      }
+    };
+
+    const report = normalizeMessageDates(message);
+    const match = message.results.results[0].matches[0];
+
+    expect(message.results.query_date).toBe('2025-04-10');
+    expect(message.results.boe_info.publication_date).toBe('2025-04-10');
+    expect(match.publication_date).toBeUndefined();
+    expect(match.dates.disposition_date).toBe('2025-04-09');
+    expect(match.invalid_dates).toEqual({ publication_date: '31/02/2025' });
+    expect(report.invalid).toHaveLength(1);
+    expect(getInvalidDates(match, message)).toEqual({ publication_date: '31/02/2025' });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  classifyError,
+  ERROR_CATEGORY,
+  MessageParseError,
+  UnsupportedSchemaVersionError
+} = await import('../../src/utils/errors.js');
+
+const pgError = (code, message = 'database error') => Object.assign(new Error(message), { code });
+
+describe('classifyError', () => {
+  it('uses the category of the worker errors', () => {
+    expect(classifyError(new MessageParseError('bad body'))).toBe(ERROR_CATEGORY.PARSE);
+    expect(classifyError(new UnsupportedSchemaVersionError('9.0', ['1.0', '2.0']))).toBe(ERROR_CATEGORY.VALIDATION);
+  });
+
+  it('classifies JSON and schema errors', () => {
+    let syntaxError;
+    try {
+      JSON.parse('{');
+    } catch (error) {
+      syntaxError = error;
+    }
+    expect(classifyError(syntaxError)).toBe(ERROR_CATEGORY.PARSE);
+    expect(classifyError(Object.assign(new Error('invalid'), { name: 'ZodError' }))).toBe(ERROR_CATEGORY.VALIDATION);
+  });
+
+  it('classifies row-level security failures', () => {
+    expect(classifyError(pgError('42501'))).toBe(ERROR_CATEGORY.RLS);
+    expect(classifyError(new Error('new row violates row-level security policy'))).toBe(ERROR_CATEGORY.RLS);
+  });
+
+  it('tells transient database errors from permanent ones', () => {
+    expect(classifyError(pgError('08006'))).toBe(ERROR_CATEGORY.DB_TRANSIENT);
+    expect(classifyError(pgError('53300'))).toBe(ERROR_CATEGORY.DB_TRANSIENT);
+    expect(classifyError(pgError('ECONNREFUSED'))).toBe(ERROR_CATEGORY.DB_TRANSIENT);
+    expect(classifyError(pgError('23505'))).toBe(ERROR_CATEGORY.DB_PERMANENT);
+  });
+
+  it('falls back to unknown', () => {
+    expect(classifyError(new Error('something else'))).toBe(ERROR_CATEGORY.UNKNOWN);
+    expect(classifyError(null)).toBe(ERROR_CATEGORY.UNKNOWN);
+  });
+});
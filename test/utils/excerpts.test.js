@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  buildExcerpt,
+  getPromptTerms,
+  findHighlights,
+  splitSentences,
+  highlightNotification
+} = await import('../../src/utils/excerpts.js');
+
+const terms = getPromptTerms(['Ayudas para la compra de vivienda pública']);
+const longSummary = 'Se aprueban las bases reguladoras. Según el art. 5 de la Ley, la convocatoria es anual. ' +
+  'Las ayudas a la adquisición de viviendas se amplían. Otra frase final.';
+
+/**
+ * Returns the text of each highlighted range
+ * @param {string} text - The text
+ * @returns {Array<string>} - The highlighted words
+ */
+const highlighted = (text) => findHighlights(text, terms).map(range => text.slice(range.start, range.end));
+
+describe('getPromptTerms', () => {
+  it('keeps the meaningful words of the prompts, without accents', () => {
+    expect(terms).toEqual(['ayudas', 'compra', 'vivienda', 'publica']);
+  });
+});
+
+describe('findHighlights', () => {
+  it('matches regardless of case and accents', () => {
+    expect(highlighted('Las AYUDAS a la Vivienda Publica')).toEqual(['AYUDAS', 'Vivienda', 'Publica']);
+  });
+
+  it('matches plurals but not parts of other words', () => {
+    expect(highlighted('Viviendas')).toEqual(['Viviendas']);
+    expect(highlighted('revivienda')).toEqual([]);
+  });
+});
+
+describe('splitSentences', () => {
+  it('does not split at abbreviations', () => {
+    expect(splitSentences(longSummary)).toEqual([
+      'Se aprueban las bases reguladoras.',
+      'Según el art. 5 de la Ley, la convocatoria es anual.',
+      'Las ayudas a la adquisición de viviendas se amplían.',
+      'Otra frase final.'
+    ]);
+  });
+});
+
+describe('buildExcerpt', () => {
+  it('keeps short summaries', () => {
+    expect(buildExcerpt('Texto corto.', { maxLength: 50 })).toBe('Texto corto.');
+  });
+
+  it('ends at a sentence boundary', () => {
+    expect(buildExcerpt(longSummary, { maxLength: 100 }))
+      .toBe('Se aprueban las bases reguladoras. Según el art. 5 de la Ley, la convocatoria es anual.');
+  });
+
+  it('starts at the first sentence with a prompt term when the opening would leave them out', () => {
+    expect(buildExcerpt(longSummary, { maxLength: 60, terms }))
+      .toBe('... Las ayudas a la adquisición de viviendas se amplían.');
+  });
+
+  it('cuts a sentence longer than the limit at a word', () => {
+    expect(buildExcerpt('Una frase muy larga sin puntos que no cabe en el extracto', { maxLength: 30 }))
+      .toBe('Una frase muy larga sin...');
+  });
+});
+
+describe('highlightNotification', () => {
+  it('lists the terms found and their ranges in the title and content', () => {
+    const highlights = highlightNotification({ title: 'Ayudas a la vivienda', content: 'Compra de pisos' }, terms);
+
+    expect(highlights.terms).toEqual(['ayudas', 'compra', 'vivienda']);
+    expect(highlights.title).toHaveLength(2);
+    expect(highlights.content).toEqual([expect.objectContaining({ start: 0, end: 6, term: 'compra' })]);
+  });
+});
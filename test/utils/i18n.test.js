@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+
+const { translate, normalizeLocale, getMessage } = await import('../../src/utils/i18n.js');
+const { buildTitle } = await import('../../src/utils/titles.js');
+
+describe('normalizeLocale', () => {
+  it('reduces language tags to a supported locale', () => {
+    expect(normalizeLocale('gl-ES')).toBe('gl');
+    expect(normalizeLocale(' EN_gb ')).toBe('en');
+  });
+
+  it('rejects unsupported languages', () => {
+    expect(normalizeLocale('fr')).toBeNull();
+    expect(normalizeLocale(undefined)).toBeNull();
+  });
+});
+
+describe('translate', () => {
+  it('renders catalog entries in the requested locale', () => {
+    expect(translate('es', 'content.no_summary')).toBe('Sin resumen disponible');
+    expect(translate('gl', 'email.subscription_name')).toBe('Alerta NIFYA');
+    expect(translate('en', 'listing.rooms', { rooms: 2, property_type: 'flat' })).toBe('2-room flat');
+  });
+
+  it('falls back to the default locale, then to the key', () => {
+    expect(translate('fr', 'title.default')).toBe('Notificación');
+    expect(translate('es', 'missing.key')).toBe('missing.key');
+  });
+
+  it('has the same keys in every catalog', () => {
+    for (const key of ['property_type.flat', 'property_type.penthouse', 'listing.property']) {
+      expect([getMessage('es', key), getMessage('gl', key), getMessage('en', key)].every(Boolean)).toBe(true);
+    }
+  });
+});
+
+describe('localized titles', () => {
+  it('writes fallback titles in the user locale', () => {
+    expect(buildTitle('boe', { title: 'x' }, { prompt: 'pisos', locale: 'en' })).toBe('BOE alert');
+    expect(buildTitle('bocm', {}, { locale: 'gl' })).toBe('Alerta bocm');
+  });
+
+  it('prefers the Galician DOGA title for Galician readers', () => {
+    const match = { title_es: 'Título en castellano', title_gl: 'Título en galego' };
+
+    expect(buildTitle('doga', match, { locale: 'gl' })).toBe('Título en galego');
+  });
+});
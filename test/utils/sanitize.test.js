@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+
+const { sanitizeText, resolveSafeUrl, sanitizeMessage } = await import('../../src/utils/sanitize.js');
+const { getProcessor } = await import('../../src/processors/registry.js');
+
+describe('sanitizeText', () => {
+  it('strips HTML and decodes entities', () => {
+    expect(sanitizeText('<p>Resoluci&oacute;n de <i>ayudas</i></p><script>alert(1)</script>')).toBe('Resolución de ayudas');
+  });
+
+  it('strips markup that was encoded as entities', () => {
+    expect(sanitizeText('Hola &lt;img src=x onerror=alert(1)&gt;')).toBe('Hola');
+    expect(sanitizeText('a &lt; b')).toBe('a < b');
+  });
+
+  it('collapses whitespace and removes invisible characters', () => {
+    expect(sanitizeText('a \t\n  b\u200B')).toBe('a b');
+  });
+
+  it('cuts text to the maximum length', () => {
+    expect(sanitizeText('ayudas a la vivienda', 10)).toBe('ayudas...');
+  });
+});
+
+describe('resolveSafeUrl', () => {
+  it('resolves relative links against the base URL', () => {
+    expect(resolveSafeUrl('foo.pdf', 'https://www.boe.es/')).toMatchObject({ url: 'https://www.boe.es/foo.pdf', resolved: true });
+  });
+
+  it('rejects relative links without a base and unsafe schemes', () => {
+    expect(resolveSafeUrl('/foo.pdf').url).toBeNull();
+    expect(resolveSafeUrl('data:text/html,x', 'https://www.boe.es').url).toBeNull();
+    expect(resolveSafeUrl('javascript:alert(1)', 'https://www.boe.es').url).toBeNull();
+  });
+
+  it('rejects protocol-relative links to another host', () => {
+    expect(resolveSafeUrl('//evil.com/x', 'https://www.boe.es')).toMatchObject({ url: null, reason: 'relative link to another origin' });
+    expect(resolveSafeUrl('\\\\evil.com/x', 'https://www.boe.es').url).toBeNull();
+    expect(resolveSafeUrl('//www.boe.es/foo.pdf', 'https://www.boe.es').url).toBe('https://www.boe.es/foo.pdf');
+  });
+});
+
+describe('sanitizeMessage', () => {
+  it('cleans the matches of a copy of the message and reports the changes', () => {
+    const original = {
+      results: {
+        results: [{
+          prompt: 'x',
+          matches: [{
+            title: ' <b>Orden</b>\u0000 de ayudas ',
+            links: { html: '/diario_boe/txt.php?id=BOE-A-2025-1', pdf: 'javascript:alert(1)' }
+          }]
+        }]
+      }
+    };
+
+    const { message, report } = sanitizeMessage(original, { baseUrl: getProcessor('boe').baseUrl });
+    const match = message.results.results[0].matches[0];
+
+    expect(match.title).toBe('Orden de ayudas');
+    expect(match.links).toEqual({ html: 'https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-1' });
+    expect(report).toMatchObject({ texts_cleaned: 1, links_resolved: 1 });
+    expect(report.links_rejected).toEqual([expect.objectContaining({ path: 'results.results.0.matches.0.links.pdf' })]);
+    expect(original.results.results[0].matches[0].title).toBe(' <b>Orden</b>\u0000 de ayudas ');
+  });
+
+  it('sanitizes the link fields of the processor', () => {
+    const { message } = sanitizeMessage({
+      results: {
+        results: [{
+          prompt: 'x',
+          matches: [{ title: 'Piso', listing_url: 'javascript:alert(1)', images: ['https://img.example/1.jpg', 'ftp://x'] }]
+        }]
+      }
+    }, { linkFields: getProcessor('real-estate').linkFields });
+    const match = message.results.results[0].matches[0];
+
+    expect(match.listing_url).toBeUndefined();
+    expect(match.images).toEqual(['https://img.example/1.jpg']);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+
+const {
+  toCanonicalMessage,
+  detectSchemaVersion,
+  normalizeSchemaVersion,
+  CANONICAL_SCHEMA_VERSION
+} = await import('../../../src/utils/schemas/versions.js');
+const { createDefaultBoeParserMessage } = await import('../../../src/utils/schemas/pubsubMessages.js');
+const { MessageSchema } = await import('../../../src/types/parser.js');
+const { UnsupportedSchemaVersionError } = await import('../../../src/utils/errors.js');
+
+const v1Message = {
+  version: '1.0',
+  trace_id: 'test-v1',
+  processor_type: 'boe',
+  request: { subscription_id: 'sub', user_id: 'user', processing_id: 'proc', prompts: ['quiero ser funcionario'] },
+  results: {
+    query_date: '2025-03-26',
+    matches: [{
+      prompt: 'quiero ser funcionario',
+      documents: [{ document_type: 'boe_document', title: 'Convocatoria', summary: 'Resumen', relevance_score: 0.95, links: { html: 'https://www.boe.es/diario_boe/txt.php?id=BOE-A-2025-1234' } }]
+    }]
+  },
+  metadata: { processing_time_ms: 1969, total_matches: 1, status: 'success', error: null }
+};
+
+describe('detectSchemaVersion', () => {
+  it('reads the version field, then the attribute, then the shape', () => {
+    expect(detectSchemaVersion({ version: 'v1' }, { schema_version: '2.0' })).toEqual({ version: '1.0', source: 'message' });
+    expect(detectSchemaVersion({}, { schema_version: '1' })).toEqual({ version: '1.0', source: 'attribute' });
+    expect(detectSchemaVersion({ results: { matches: [] } })).toEqual({ version: '1.0', source: 'shape' });
+    expect(detectSchemaVersion({ results: { results: [] } })).toEqual({ version: '2.0', source: 'shape' });
+  });
+
+  it('normalizes version notations', () => {
+    expect(normalizeSchemaVersion(2)).toBe('2.0');
+    expect(normalizeSchemaVersion(' V1.0 ')).toBe('1.0');
+  });
+});
+
+describe('toCanonicalMessage', () => {
+  it.each([
+    ['1.0 (declared)', v1Message, undefined, ['1.0->2.0']],
+    ['1.0 (attribute)', { ...v1Message, version: undefined }, { schema_version: '1.0' }, ['1.0->2.0']],
+    ['2.0 (unversioned)', createDefaultBoeParserMessage(), undefined, []]
+  ])('converts %s to a valid canonical message', (label, message, attributes, steps) => {
+    const { message: canonical, steps: applied } = toCanonicalMessage(message, attributes);
+
+    expect(MessageSchema.safeParse(canonical).success).toBe(true);
+    expect(canonical.version).toBe(CANONICAL_SCHEMA_VERSION);
+    expect(applied).toEqual(steps);
+  });
+
+  it('turns 1.0 documents into 2.0 matches', () => {
+    const { message } = toCanonicalMessage(v1Message);
+
+    expect(message.request.texts).toEqual(['quiero ser funcionario']);
+    expect(message.results.results[0]).toMatchObject({
+      prompt: 'quiero ser funcionario',
+      matches: [{ title: 'Convocatoria', relevance_score: 0.95 }]
+    });
+  });
+
+  it('rejects unknown versions', () => {
+    expect(() => toCanonicalMessage({ ...createDefaultBoeParserMessage(), version: '9.0' }))
+      .toThrow(UnsupportedSchemaVersionError);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+
+const { buildTitle, renderTitleTemplate, isUsableTitle, truncateTitle } = await import('../../src/utils/titles.js');
+
+const longTitle = 'Resolución de 10 de abril de 2025 por la que se aprueba la convocatoria de ayudas a la vivienda';
+
+describe('buildTitle', () => {
+  it('prefers the notification title of the parser', () => {
+    expect(buildTitle('boe', { notification_title: 'Ayudas a la vivienda', title: longTitle })).toBe('Ayudas a la vivienda');
+  });
+
+  it('skips placeholder titles', () => {
+    expect(buildTitle('boe', { notification_title: 'string', title: 'Real title' })).toBe('Real title');
+  });
+
+  it('cuts long titles', () => {
+    expect(buildTitle('boe', { title: longTitle })).toBe(`${longTitle.substring(0, 77)}...`);
+  });
+
+  it('falls back to the template of the processor', () => {
+    expect(buildTitle('boe', {
+      title: 'N/A',
+      document_type: 'Resolución',
+      issuing_body: 'Ministerio de Vivienda',
+      dates: { publication_date: '2025-04-10' }
+    })).toBe('Resolución de Ministerio de Vivienda (2025-04-10)');
+    expect(buildTitle('boe', { title: '', document_type: 'Orden' })).toBe('Orden');
+  });
+
+  it('falls back to the prompt, then to the processor name', () => {
+    expect(buildTitle('boe', { title: 'x' }, { prompt: 'ayudas para la compra de vivienda habitual' }))
+      .toBe('Alerta BOE: "ayudas para la compra de vivie..."');
+    expect(buildTitle('boe', { title: 'x' }, { prompt: 'pisos' })).toBe('Alerta BOE');
+    expect(buildTitle('bocm', { title: '' })).toBe('Alerta bocm');
+  });
+});
+
+describe('renderTitleTemplate', () => {
+  it('drops optional segments with an empty placeholder', () => {
+    expect(renderTitleTemplate('{document_type}[ de {issuer}]', { document_type: 'Orden' })).toBe('Orden');
+    expect(renderTitleTemplate('{document_type}[ de {issuer}]', { document_type: 'Orden', issuer: 'Xunta' }))
+      .toBe('Orden de Xunta');
+  });
+
+  it('is unusable when a required placeholder is empty', () => {
+    expect(renderTitleTemplate('{document_type}[ de {issuer}]', { issuer: 'Xunta' })).toBeNull();
+    expect(renderTitleTemplate('', {})).toBeNull();
+  });
+});
+
+describe('isUsableTitle and truncateTitle', () => {
+  it('rejects short and placeholder titles', () => {
+    expect(isUsableTitle('N/A')).toBe(false);
+    expect(isUsableTitle(' Untitled ', ['untitled'])).toBe(false);
+    expect(isUsableTitle('Orden de ayudas')).toBe(true);
+  });
+
+  it('keeps titles within the maximum length', () => {
+    expect(truncateTitle('Orden de ayudas', 10)).toBe('Orden d...');
+    expect(truncateTitle('Orden', 10)).toBe('Orden');
+  });
+});